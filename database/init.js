@@ -1,35 +1,53 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { runMigrations } = require('./migrate');
 
-const dbPath = path.join(__dirname, 'gamezone.db');
+// DATABASE_PATH pozwala użyć innej bazy (np. tymczasowej w testach)
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'gamezone.db');
 const db = new Database(dbPath);
 
-// Włącz foreign keys
+// Włącz WAL i foreign keys
 db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
 
-// Tworzenie tabel
-db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT,
-        steam_id TEXT UNIQUE,
-        steam_username TEXT,
-        avatar_url TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_login DATETIME
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-    CREATE INDEX IF NOT EXISTS idx_users_steam_id ON users(steam_id);
-`);
+// Schemat bazy - migracje z folderu migrations/ (nowa zmiana = nowy plik NNN_nazwa.js)
+runMigrations(db);
+
+// Tabele powiązane z użytkownikiem (w nowych migracjach) muszą mieć
+// FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+// żeby usunięcie konta usuwało również ich dane
+
+// Warunek SQL: sekcja o poziomie prywatności `level` (kolumna users.privacy_<sekcja>) jest widoczna
+// dla @viewerId (NULL = niezalogowany) - ta sama reguła co canView w routes/users.js
+function visibleToViewer(level) {
+    return `(
+        users.id = @viewerId
+        OR ${level} = 'public'
+        OR (${level} = 'friends' AND EXISTS (
+            SELECT 1 FROM friendships
+            WHERE friendships.status = 'accepted'
+              AND ((friendships.requester_id = @viewerId AND friendships.addressee_id = users.id)
+                OR (friendships.requester_id = users.id AND friendships.addressee_id = @viewerId))
+        ))
+    )`;
+}
+
+// Sekcja prywatności zdarzenia z feedu: recenzje, osiągnięcia lub biblioteka (czas gry)
+const ACTIVITY_PRIVACY = `CASE activity_events.type
+    WHEN 'review' THEN users.privacy_reviews
+    WHEN 'achievement_unlocked' THEN users.privacy_achievements
+    WHEN 'completed_game' THEN users.privacy_achievements
+    ELSE users.privacy_library
+END`;
 
 // Funkcje pomocnicze
 const userQueries = {
     findByEmail: db.prepare('SELECT * FROM users WHERE email = ?'),
     findById: db.prepare('SELECT * FROM users WHERE id = ?'),
     findBySteamId: db.prepare('SELECT * FROM users WHERE steam_id = ?'),
+    findByUsername: db.prepare('SELECT * FROM users WHERE username = ?'),
+    // Użytkownicy GameZone z połączonym Steam spośród podanych Steam ID (tablica JSON)
+    findBySteamIds: db.prepare('SELECT * FROM users WHERE steam_id IN (SELECT value FROM json_each(?))'),
 
     create: db.prepare(`
         INSERT INTO users (username, email, password_hash)
@@ -46,9 +64,511 @@ const userQueries = {
         WHERE id = ?
     `),
 
+    unlinkSteam: db.prepare(`
+        UPDATE users SET steam_id = NULL, steam_username = NULL, avatar_url = NULL
+        WHERE id = ?
+    `),
+
+    updatePassword: db.prepare(`
+        UPDATE users SET password_hash = ? WHERE id = ?
+    `),
+
+    updatePrivacy: db.prepare(`
+        UPDATE users SET privacy_steam = @steam, privacy_library = @library,
+            privacy_reviews = @reviews, privacy_achievements = @achievements
+        WHERE id = @userId
+    `),
+
+    updatePriceRegion: db.prepare('UPDATE users SET price_region = ? WHERE id = ?'),
+    // Region domyślny (z Accept-Language) nie nadpisuje wybranego przez użytkownika
+    initPriceRegion: db.prepare('UPDATE users SET price_region = ? WHERE id = ? AND price_region IS NULL'),
+
+    delete: db.prepare('DELETE FROM users WHERE id = ?'),
+
     updateLastLogin: db.prepare(`
         UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?
     `)
 };
 
-module.exports = { db, userQueries };
+const libraryQueries = {
+    findByUser: db.prepare('SELECT * FROM user_games WHERE user_id = ? ORDER BY updated_at DESC'),
+    find: db.prepare('SELECT * FROM user_games WHERE user_id = ? AND app_id = ?'),
+    countByStatus: db.prepare('SELECT status, COUNT(*) AS count FROM user_games WHERE user_id = ? GROUP BY status'),
+
+    upsert: db.prepare(`
+        INSERT INTO user_games (user_id, app_id, status, started_at, finished_at, notes)
+        VALUES (@userId, @appId, @status, @startedAt, @finishedAt, @notes)
+        ON CONFLICT(user_id, app_id) DO UPDATE SET
+            status = excluded.status,
+            started_at = excluded.started_at,
+            finished_at = excluded.finished_at,
+            notes = excluded.notes,
+            updated_at = CURRENT_TIMESTAMP
+    `),
+
+    // Import nie nadpisuje statusów zapisanych już na serwerze
+    insertIfMissing: db.prepare(`
+        INSERT OR IGNORE INTO user_games (user_id, app_id, status)
+        VALUES (?, ?, ?)
+    `),
+
+    delete: db.prepare('DELETE FROM user_games WHERE user_id = ? AND app_id = ?')
+};
+
+const reviewQueries = {
+    find: db.prepare('SELECT * FROM reviews WHERE user_id = ? AND app_id = ?'),
+
+    // Recenzje gry widoczne dla @viewerId (ustawienie privacy_reviews autora)
+    findByApp: db.prepare(`
+        SELECT reviews.*, users.username, users.avatar_url
+        FROM reviews JOIN users ON users.id = reviews.user_id
+        WHERE reviews.app_id = @appId AND ${visibleToViewer('users.privacy_reviews')}
+        ORDER BY reviews.created_at DESC, reviews.id DESC
+        LIMIT @limit OFFSET @offset
+    `),
+
+    // Liczba i średnia ocen recenzji widocznych dla @viewerId - ukryte recenzje nie zdradzają się w agregacie
+    summaryVisibleByApp: db.prepare(`
+        SELECT COUNT(*) AS count, AVG(reviews.rating) AS average
+        FROM reviews JOIN users ON users.id = reviews.user_id
+        WHERE reviews.app_id = @appId AND ${visibleToViewer('users.privacy_reviews')}
+    `),
+
+    findByUser: db.prepare(`
+        SELECT * FROM reviews WHERE user_id = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+    `),
+
+    summaryByUser: db.prepare(`
+        SELECT COUNT(*) AS count, AVG(rating) AS average
+        FROM reviews WHERE user_id = ?
+    `),
+
+    // Średnie dla wielu gier naraz (@appIds jako tablica JSON) - z recenzji widocznych dla @viewerId
+    summaryByApps: db.prepare(`
+        SELECT reviews.app_id, COUNT(*) AS count, AVG(reviews.rating) AS average
+        FROM reviews JOIN users ON users.id = reviews.user_id
+        WHERE reviews.app_id IN (SELECT value FROM json_each(@appIds)) AND ${visibleToViewer('users.privacy_reviews')}
+        GROUP BY reviews.app_id
+    `),
+
+    create: db.prepare(`
+        INSERT INTO reviews (user_id, app_id, rating, body, playtime_minutes)
+        VALUES (?, ?, ?, ?, ?)
+    `),
+
+    update: db.prepare(`
+        UPDATE reviews SET rating = ?, body = ?, playtime_minutes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND app_id = ?
+    `),
+
+    delete: db.prepare('DELETE FROM reviews WHERE user_id = ? AND app_id = ?')
+};
+
+const achievementSyncQueries = {
+    createJob: db.prepare('INSERT INTO achievement_sync_jobs (user_id, steam_id) VALUES (?, ?)'),
+    addItem: db.prepare('INSERT OR IGNORE INTO achievement_sync_items (job_id, app_id, game_name) VALUES (?, ?, ?)'),
+
+    findLatestJob: db.prepare('SELECT * FROM achievement_sync_jobs WHERE user_id = ? ORDER BY id DESC LIMIT 1'),
+    findActiveJob: db.prepare(`
+        SELECT * FROM achievement_sync_jobs
+        WHERE user_id = ? AND status IN ('queued', 'running')
+        ORDER BY id DESC LIMIT 1
+    `),
+
+    // Liczba gier w zadaniu wg statusu (queued / running / done / error)
+    countItems: db.prepare('SELECT status, COUNT(*) AS count FROM achievement_sync_items WHERE job_id = ? GROUP BY status'),
+
+    // Następna gra do pobrania - zadania obsługiwane w kolejności utworzenia
+    nextItem: db.prepare(`
+        SELECT items.*, jobs.user_id, jobs.steam_id
+        FROM achievement_sync_items items
+        JOIN achievement_sync_jobs jobs ON jobs.id = items.job_id
+        WHERE items.status = 'queued' AND jobs.status IN ('queued', 'running')
+        ORDER BY items.job_id, items.app_id
+        LIMIT 1
+    `),
+
+    startJob: db.prepare(`
+        UPDATE achievement_sync_jobs SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+        WHERE id = ?
+    `),
+    finishJob: db.prepare(`
+        UPDATE achievement_sync_jobs SET status = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `),
+    // Zadania bez gier w kolejce są zakończone
+    finishCompletedJobs: db.prepare(`
+        UPDATE achievement_sync_jobs SET status = 'done', finished_at = CURRENT_TIMESTAMP
+        WHERE status IN ('queued', 'running') AND NOT EXISTS (
+            SELECT 1 FROM achievement_sync_items
+            WHERE job_id = achievement_sync_jobs.id AND status IN ('queued', 'running')
+        )
+    `),
+
+    updateItem: db.prepare(`
+        UPDATE achievement_sync_items SET status = ?, attempts = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE job_id = ? AND app_id = ?
+    `),
+    // Pozostałe gry zadania przerwanego błędem (np. profil prywatny)
+    failQueuedItems: db.prepare(`
+        UPDATE achievement_sync_items SET status = 'error', error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE job_id = ? AND status IN ('queued', 'running')
+    `),
+    // Po restarcie serwera gry przerwane w trakcie pobierania wracają do kolejki
+    requeueRunningItems: db.prepare(`UPDATE achievement_sync_items SET status = 'queued' WHERE status = 'running'`),
+
+    saveResult: db.prepare(`
+        INSERT INTO user_achievements (user_id, app_id, steam_id, game_name, has_achievements, total, unlocked)
+        VALUES (@userId, @appId, @steamId, @gameName, @hasAchievements, @total, @unlocked)
+        ON CONFLICT(user_id, app_id) DO UPDATE SET
+            steam_id = excluded.steam_id,
+            game_name = excluded.game_name,
+            has_achievements = excluded.has_achievements,
+            total = excluded.total,
+            unlocked = excluded.unlocked,
+            synced_at = CURRENT_TIMESTAMP
+    `),
+
+    findResult: db.prepare('SELECT * FROM user_achievements WHERE user_id = ? AND app_id = ?'),
+
+    // Wyniki dla aktualnie połączonego konta Steam
+    findResults: db.prepare('SELECT * FROM user_achievements WHERE user_id = ? AND steam_id = ? ORDER BY app_id')
+};
+
+const playtimeQueries = {
+    // Użytkownicy z połączonym Steam - dla zaplanowanych zrzutów
+    findUsersWithSteam: db.prepare('SELECT id, steam_id FROM users WHERE steam_id IS NOT NULL ORDER BY id'),
+
+    // Ostatni znany czas gry każdej gry użytkownika
+    findLatest: db.prepare(`
+        SELECT app_id, playtime_minutes, MAX(snapshot_date) AS snapshot_date
+        FROM playtime_snapshots
+        WHERE user_id = ? AND steam_id = ?
+        GROUP BY app_id
+    `),
+
+    upsert: db.prepare(`
+        INSERT INTO playtime_snapshots (user_id, steam_id, app_id, game_name, snapshot_date, playtime_minutes)
+        VALUES (@userId, @steamId, @appId, @gameName, @snapshotDate, @playtimeMinutes)
+        ON CONFLICT(user_id, steam_id, app_id, snapshot_date) DO UPDATE SET
+            game_name = excluded.game_name,
+            playtime_minutes = excluded.playtime_minutes
+    `),
+
+    // Zrzuty do podanej daty (włącznie) - wszystkie gry lub jedna (appId = NULL -> wszystkie)
+    findUntil: db.prepare(`
+        SELECT app_id, game_name, snapshot_date, playtime_minutes
+        FROM playtime_snapshots
+        WHERE user_id = @userId AND steam_id = @steamId AND snapshot_date <= @to
+          AND (@appId IS NULL OR app_id = @appId)
+        ORDER BY app_id, snapshot_date
+    `)
+};
+
+const activityQueries = {
+    // Powtórzone zdarzenie (ten sam dedupe_key) jest ignorowane
+    create: db.prepare(`
+        INSERT OR IGNORE INTO activity_events (user_id, type, app_id, game_name, data, dedupe_key, occurred_at)
+        VALUES (@userId, @type, @appId, @gameName, @data, @dedupeKey, @occurredAt)
+    `),
+
+    // Zdarzenia wybranych użytkowników (userIds i types jako tablice JSON, types = NULL -> wszystkie)
+    // widoczne dla @viewerId według ustawień prywatności autora
+    findByUsers: db.prepare(`
+        SELECT activity_events.*, users.username, users.steam_id, users.steam_username, users.avatar_url
+        FROM activity_events JOIN users ON users.id = activity_events.user_id
+        WHERE activity_events.user_id IN (SELECT value FROM json_each(@userIds))
+          AND (@types IS NULL OR activity_events.type IN (SELECT value FROM json_each(@types)))
+          AND ${visibleToViewer(ACTIVITY_PRIVACY)}
+        ORDER BY activity_events.occurred_at DESC, activity_events.id DESC
+        LIMIT @limit OFFSET @offset
+    `),
+
+    countByUsers: db.prepare(`
+        SELECT COUNT(*) AS count
+        FROM activity_events JOIN users ON users.id = activity_events.user_id
+        WHERE activity_events.user_id IN (SELECT value FROM json_each(@userIds))
+          AND (@types IS NULL OR activity_events.type IN (SELECT value FROM json_each(@types)))
+          AND ${visibleToViewer(ACTIVITY_PRIVACY)}
+    `),
+
+    deleteByKey: db.prepare('DELETE FROM activity_events WHERE user_id = ? AND dedupe_key = ?')
+};
+
+const friendQueries = {
+    // Zaproszenie lub znajomość między dwoma użytkownikami (w dowolnym kierunku)
+    findBetween: db.prepare(`
+        SELECT * FROM friendships
+        WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?)
+    `),
+
+    // Zaakceptowani znajomi z danymi profilu
+    findFriends: db.prepare(`
+        SELECT users.id, users.username, users.steam_id, users.steam_username, users.avatar_url, friendships.accepted_at
+        FROM friendships
+        JOIN users ON users.id = CASE WHEN friendships.requester_id = @userId THEN friendships.addressee_id ELSE friendships.requester_id END
+        WHERE (friendships.requester_id = @userId OR friendships.addressee_id = @userId) AND friendships.status = 'accepted'
+        ORDER BY users.username COLLATE NOCASE
+    `),
+
+    findIncoming: db.prepare(`
+        SELECT users.id, users.username, users.steam_id, users.steam_username, users.avatar_url, friendships.created_at
+        FROM friendships JOIN users ON users.id = friendships.requester_id
+        WHERE friendships.addressee_id = ? AND friendships.status = 'pending'
+        ORDER BY friendships.created_at DESC
+    `),
+
+    findOutgoing: db.prepare(`
+        SELECT users.id, users.username, users.steam_id, users.steam_username, users.avatar_url, friendships.created_at
+        FROM friendships JOIN users ON users.id = friendships.addressee_id
+        WHERE friendships.requester_id = ? AND friendships.status = 'pending'
+        ORDER BY friendships.created_at DESC
+    `),
+
+    create: db.prepare('INSERT INTO friendships (requester_id, addressee_id) VALUES (?, ?)'),
+    accept: db.prepare(`
+        UPDATE friendships SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+    `),
+    delete: db.prepare('DELETE FROM friendships WHERE id = ?'),
+
+    findBlocked: db.prepare(`
+        SELECT users.id, users.username, users.avatar_url, user_blocks.created_at
+        FROM user_blocks JOIN users ON users.id = user_blocks.blocked_id
+        WHERE user_blocks.blocker_id = ?
+        ORDER BY user_blocks.created_at DESC
+    `),
+    // Blokada w dowolnym kierunku
+    isBlockedBetween: db.prepare(`
+        SELECT 1 FROM user_blocks
+        WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+    `),
+    block: db.prepare('INSERT OR IGNORE INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)'),
+    unblock: db.prepare('DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?')
+};
+
+const storeDetailsQueries = {
+    // Zapisane dane wielu gier naraz - appIds jako tablica JSON.
+    // Kategorie gier zmieniają się rzadko - dane starsze niż 30 dni są tylko odświeżane w tle
+    findMany: db.prepare(`
+        SELECT *, fetched_at < datetime('now', '-30 days') AS stale
+        FROM store_app_details WHERE app_id IN (SELECT value FROM json_each(?))
+    `),
+
+    save: db.prepare(`
+        INSERT INTO store_app_details (app_id, available, name, type, categories, genres, tags, fetched_at)
+        VALUES (@appId, @available, @name, @type, @categories, @genres, @tags, CURRENT_TIMESTAMP)
+        ON CONFLICT(app_id) DO UPDATE SET
+            available = excluded.available,
+            name = excluded.name,
+            type = excluded.type,
+            categories = excluded.categories,
+            genres = excluded.genres,
+            tags = excluded.tags,
+            fetched_at = excluded.fetched_at
+    `)
+};
+
+const wishlistQueries = {
+    // Lista życzeń z ostatnią zapisaną ceną każdej gry w danym regionie (appId = NULL -> wszystkie gry)
+    findByUser: db.prepare(`
+        SELECT wishlist_items.*, price_history.currency, price_history.current_retail, price_history.current_keyshops,
+               price_history.historical_retail, price_history.historical_keyshops, price_history.recorded_at
+        FROM wishlist_items
+        LEFT JOIN price_history ON price_history.id = (
+            SELECT id FROM price_history
+            WHERE app_id = wishlist_items.app_id AND region = @region
+            ORDER BY recorded_at DESC, id DESC LIMIT 1
+        )
+        WHERE wishlist_items.user_id = @userId AND (@appId IS NULL OR wishlist_items.app_id = @appId)
+        ORDER BY wishlist_items.created_at DESC, wishlist_items.app_id
+    `),
+    find: db.prepare('SELECT * FROM wishlist_items WHERE user_id = ? AND app_id = ?'),
+
+    // Zmiana progu cenowego kasuje stan powiadomienia o progu
+    upsert: db.prepare(`
+        INSERT INTO wishlist_items (user_id, app_id, game_name, target_price)
+        VALUES (@userId, @appId, @gameName, @targetPrice)
+        ON CONFLICT(user_id, app_id) DO UPDATE SET
+            game_name = COALESCE(excluded.game_name, game_name),
+            notified_price = CASE WHEN target_price IS excluded.target_price THEN notified_price ELSE NULL END,
+            target_price = excluded.target_price,
+            updated_at = CURRENT_TIMESTAMP
+    `),
+    delete: db.prepare('DELETE FROM wishlist_items WHERE user_id = ? AND app_id = ?'),
+
+    // Gry z list życzeń wszystkich użytkowników w regionach ich cen - dla zaplanowanego zapisu cen
+    findTracked: db.prepare(`
+        SELECT DISTINCT wishlist_items.app_id, COALESCE(users.price_region, @defaultRegion) AS region
+        FROM wishlist_items JOIN users ON users.id = wishlist_items.user_id
+        ORDER BY region, wishlist_items.app_id
+    `),
+    // Wpisy gry u użytkowników z danego regionu cen
+    findByApp: db.prepare(`
+        SELECT wishlist_items.* FROM wishlist_items JOIN users ON users.id = wishlist_items.user_id
+        WHERE wishlist_items.app_id = @appId AND COALESCE(users.price_region, @defaultRegion) = @region
+    `),
+
+    setNotifiedPrice: db.prepare('UPDATE wishlist_items SET notified_price = ? WHERE user_id = ? AND app_id = ?'),
+    // Nazwa gry z gg.deals dla wpisów dodanych bez nazwy
+    fillGameName: db.prepare('UPDATE wishlist_items SET game_name = ? WHERE app_id = ? AND game_name IS NULL')
+};
+
+const priceHistoryQueries = {
+    create: db.prepare(`
+        INSERT INTO price_history (app_id, region, currency, current_retail, current_keyshops, historical_retail, historical_keyshops, recorded_at)
+        VALUES (@appId, @region, @currency, @currentRetail, @currentKeyshops, @historicalRetail, @historicalKeyshops, @recordedAt)
+    `),
+
+    findLatest: db.prepare(`
+        SELECT * FROM price_history WHERE app_id = ? AND region = ?
+        ORDER BY recorded_at DESC, id DESC LIMIT 1
+    `),
+
+    // Obserwacje z zakresu [from, before) - daty ISO
+    findRange: db.prepare(`
+        SELECT * FROM price_history
+        WHERE app_id = @appId AND region = @region AND recorded_at >= @from AND recorded_at < @before
+        ORDER BY recorded_at, id
+    `)
+};
+
+const notificationQueries = {
+    // Powtórzone powiadomienie (ten sam dedupe_key) jest ignorowane
+    create: db.prepare(`
+        INSERT OR IGNORE INTO notifications (user_id, type, app_id, game_name, data, dedupe_key)
+        VALUES (@userId, @type, @appId, @gameName, @data, @dedupeKey)
+    `),
+
+    findByUser: db.prepare(`
+        SELECT * FROM notifications
+        WHERE user_id = @userId AND (@unreadOnly = 0 OR read_at IS NULL)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit OFFSET @offset
+    `),
+    countByUser: db.prepare(`
+        SELECT COUNT(*) AS count FROM notifications
+        WHERE user_id = @userId AND (@unreadOnly = 0 OR read_at IS NULL)
+    `),
+
+    markRead: db.prepare('UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = ? AND user_id = ?'),
+    markAllRead: db.prepare('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL')
+};
+
+const storeClickQueries = {
+    create: db.prepare(`
+        INSERT INTO store_clicks (store, app_id, user_id, affiliate)
+        VALUES (@store, @appId, @userId, @affiliate)
+    `),
+
+    // Kliknięcia per sklep w zakresie dat [from, before) - daty YYYY-MM-DD
+    summaryByStore: db.prepare(`
+        SELECT store, COUNT(*) AS clicks, COUNT(DISTINCT app_id) AS games,
+               COUNT(DISTINCT user_id) AS users, SUM(affiliate) AS affiliate_clicks
+        FROM store_clicks
+        WHERE created_at >= @from AND created_at < @before
+        GROUP BY store
+        ORDER BY clicks DESC, store
+    `),
+
+    // Najczęściej klikane gry w zakresie dat
+    topGames: db.prepare(`
+        SELECT app_id, COUNT(*) AS clicks
+        FROM store_clicks
+        WHERE created_at >= @from AND created_at < @before
+        GROUP BY app_id
+        ORDER BY clicks DESC, app_id
+        LIMIT @limit
+    `)
+};
+
+// Eksport danych użytkownika (services/dataExport.js). Zapytania stronami: @after - ostatni rowid
+// (lub appId) poprzedniej strony, @limit - rozmiar strony; bez otwartego kursora między porcjami strumienia
+const exportQueries = {
+    // Statusy, osiągnięcia i recenzje wybranych gier (@appIds - tablica JSON)
+    gameDetails: db.prepare(`
+        SELECT ids.value AS app_id, ua.game_name,
+               ua.has_achievements, ua.total AS achievements_total, ua.unlocked AS achievements_unlocked,
+               ug.status, ug.started_at, ug.finished_at, ug.notes,
+               r.rating, r.body AS review, r.created_at AS reviewed_at
+        FROM json_each(@appIds) ids
+        LEFT JOIN user_games ug ON ug.user_id = @userId AND ug.app_id = ids.value
+        LEFT JOIN user_achievements ua ON ua.user_id = @userId AND ua.app_id = ids.value
+        LEFT JOIN reviews r ON r.user_id = @userId AND r.app_id = ids.value
+    `),
+
+    // appId gier z danymi w GameZone (status, osiągnięcia lub recenzja)
+    gameAppIds: db.prepare(`
+        SELECT app_id FROM (
+            SELECT app_id FROM user_games WHERE user_id = @userId
+            UNION SELECT app_id FROM user_achievements WHERE user_id = @userId
+            UNION SELECT app_id FROM reviews WHERE user_id = @userId
+        )
+        WHERE app_id > @after
+        ORDER BY app_id
+        LIMIT @limit
+    `),
+
+    wishlist: db.prepare(`
+        SELECT rowid, app_id, game_name, target_price, created_at, updated_at
+        FROM wishlist_items WHERE user_id = @userId AND rowid > @after
+        ORDER BY rowid LIMIT @limit
+    `),
+
+    // Zaproszenia i znajomości w obu kierunkach
+    friendships: db.prepare(`
+        SELECT friendships.id AS rowid, friendships.status, friendships.created_at, friendships.accepted_at,
+               CASE WHEN friendships.requester_id = @userId THEN 'sent' ELSE 'received' END AS direction,
+               users.username
+        FROM friendships
+        JOIN users ON users.id = CASE WHEN friendships.requester_id = @userId THEN friendships.addressee_id ELSE friendships.requester_id END
+        WHERE (friendships.requester_id = @userId OR friendships.addressee_id = @userId) AND friendships.id > @after
+        ORDER BY friendships.id LIMIT @limit
+    `),
+
+    // Blokady założone przez użytkownika
+    blocks: db.prepare(`
+        SELECT user_blocks.rowid, users.username, user_blocks.created_at
+        FROM user_blocks JOIN users ON users.id = user_blocks.blocked_id
+        WHERE user_blocks.blocker_id = @userId AND user_blocks.rowid > @after
+        ORDER BY user_blocks.rowid LIMIT @limit
+    `),
+
+    notifications: db.prepare(`
+        SELECT id AS rowid, type, app_id, game_name, data, read_at, created_at
+        FROM notifications WHERE user_id = @userId AND id > @after
+        ORDER BY id LIMIT @limit
+    `),
+
+    playtimeSnapshots: db.prepare(`
+        SELECT rowid, steam_id, app_id, game_name, snapshot_date, playtime_minutes
+        FROM playtime_snapshots WHERE user_id = @userId AND rowid > @after
+        ORDER BY rowid LIMIT @limit
+    `),
+
+    activity: db.prepare(`
+        SELECT id AS rowid, type, app_id, game_name, data, occurred_at
+        FROM activity_events WHERE user_id = @userId AND id > @after
+        ORDER BY id LIMIT @limit
+    `),
+
+    achievementSyncJobs: db.prepare(`
+        SELECT id AS rowid, steam_id, status, error, created_at, started_at, finished_at,
+               (SELECT COUNT(*) FROM achievement_sync_items WHERE job_id = achievement_sync_jobs.id) AS games
+        FROM achievement_sync_jobs WHERE user_id = @userId AND id > @after
+        ORDER BY id LIMIT @limit
+    `),
+
+    storeClicks: db.prepare(`
+        SELECT id AS rowid, store, app_id, affiliate, created_at
+        FROM store_clicks WHERE user_id = @userId AND id > @after
+        ORDER BY id LIMIT @limit
+    `)
+};
+
+module.exports = {
+    db, userQueries, libraryQueries, reviewQueries, achievementSyncQueries, playtimeQueries, activityQueries, friendQueries,
+    storeDetailsQueries, wishlistQueries, priceHistoryQueries, notificationQueries, storeClickQueries, exportQueries
+};
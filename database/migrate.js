@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Wczytaj migracje z folderu migrations/ (pliki NNN_nazwa.js) posortowane wg wersji
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => /^(\d+)_(.+)\.js$/.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            version: parseInt(version, 10),
+            name,
+            up: require(path.join(dir, file)).up
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    // Wersje muszą być kolejnymi liczbami od 1
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1) {
+            throw new Error(`Nieprawidłowa numeracja migracji: oczekiwano ${index + 1}, znaleziono ${migration.version} (${migration.name})`);
+        }
+    });
+
+    return migrations;
+}
+
+// Uruchom oczekujące migracje - każda w osobnej transakcji
+function runMigrations(db, migrations = loadMigrations()) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    const currentVersion = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+    // Baza utworzona przez nowszą wersję aplikacji - nie ryzykujemy uszkodzenia danych
+    if (currentVersion > latestVersion) {
+        throw new Error(`Schemat bazy danych (wersja ${currentVersion}) jest nowszy niż obsługiwany przez aplikację (wersja ${latestVersion})`);
+    }
+
+    const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+    const pending = migrations.filter(m => m.version > currentVersion);
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db);
+            recordMigration.run(migration.version, migration.name);
+        })();
+        console.log(`[Migrations] Zastosowano migrację ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+    }
+
+    return { from: currentVersion, to: latestVersion, applied: pending.length };
+}
+
+module.exports = { loadMigrations, runMigrations };
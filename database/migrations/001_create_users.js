@@ -0,0 +1,22 @@
+// Tabela użytkowników (konta email i Steam).
+// IF NOT EXISTS - bazy sprzed systemu migracji mają już tę tabelę
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT UNIQUE NOT NULL,
+                email TEXT UNIQUE NOT NULL,
+                password_hash TEXT,
+                steam_id TEXT UNIQUE,
+                steam_username TEXT,
+                avatar_url TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_login DATETIME
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+            CREATE INDEX IF NOT EXISTS idx_users_steam_id ON users(steam_id);
+        `);
+    }
+};
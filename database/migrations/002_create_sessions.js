@@ -0,0 +1,20 @@
+// Sesje express-session (database/sessionStore.js). Bez klucza obcego,
+// bo sesje gości nie mają user_id - sesje użytkownika usuwa destroyByUser().
+// IF NOT EXISTS - bazy sprzed systemu migracji mogą mieć już tę tabelę
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                sid TEXT PRIMARY KEY,
+                sess TEXT NOT NULL,
+                user_id INTEGER,
+                expires INTEGER NOT NULL,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+            CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires);
+        `);
+    }
+};
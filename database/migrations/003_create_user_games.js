@@ -0,0 +1,18 @@
+// Biblioteka użytkownika - status gry, daty i notatki per appId Steam
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE user_games (
+                user_id INTEGER NOT NULL,
+                app_id INTEGER NOT NULL,
+                status TEXT NOT NULL CHECK (status IN ('backlog', 'playing', 'completed', 'abandoned')),
+                started_at DATE,
+                finished_at DATE,
+                notes TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, app_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+        `);
+    }
+};
@@ -0,0 +1,21 @@
+// Oceny (1-10) i recenzje gier - jedna recenzja na użytkownika i appId Steam
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE reviews (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                app_id INTEGER NOT NULL,
+                rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 10),
+                body TEXT,
+                playtime_minutes INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, app_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_reviews_app_id ON reviews(app_id, created_at);
+        `);
+    }
+};
@@ -0,0 +1,16 @@
+// Trwała warstwa cache (services/cache.js) - dane Steam przetrwają restart serwera
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE cache_entries (
+                namespace TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                expires INTEGER NOT NULL,
+                PRIMARY KEY (namespace, key)
+            );
+
+            CREATE INDEX idx_cache_entries_expires ON cache_entries(expires);
+        `);
+    }
+};
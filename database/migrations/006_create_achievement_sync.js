@@ -0,0 +1,47 @@
+// Synchronizacja osiągnięć całej biblioteki w tle: zadania, kolejka gier i zapisane wyniki
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE achievement_sync_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                steam_id TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'error')),
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                started_at DATETIME,
+                finished_at DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_achievement_sync_jobs_user ON achievement_sync_jobs(user_id, id);
+
+            CREATE TABLE achievement_sync_items (
+                job_id INTEGER NOT NULL,
+                app_id INTEGER NOT NULL,
+                game_name TEXT,
+                status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'error')),
+                attempts INTEGER NOT NULL DEFAULT 0,
+                error TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (job_id, app_id),
+                FOREIGN KEY (job_id) REFERENCES achievement_sync_jobs(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_achievement_sync_items_status ON achievement_sync_items(status, job_id);
+
+            CREATE TABLE user_achievements (
+                user_id INTEGER NOT NULL,
+                app_id INTEGER NOT NULL,
+                steam_id TEXT NOT NULL,
+                game_name TEXT,
+                has_achievements INTEGER NOT NULL DEFAULT 0,
+                total INTEGER NOT NULL DEFAULT 0,
+                unlocked INTEGER NOT NULL DEFAULT 0,
+                synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, app_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+        `);
+    }
+};
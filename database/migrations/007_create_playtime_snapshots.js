@@ -0,0 +1,21 @@
+// Historia czasu gry - dzienne zrzuty playtime_forever z GetOwnedGames.
+// Zapisywane są tylko zmiany (pierwszy zrzut gry + dni, w których czas gry wzrósł)
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE playtime_snapshots (
+                user_id INTEGER NOT NULL,
+                steam_id TEXT NOT NULL,
+                app_id INTEGER NOT NULL,
+                game_name TEXT,
+                snapshot_date TEXT NOT NULL,
+                playtime_minutes INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, steam_id, app_id, snapshot_date),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_playtime_snapshots_date ON playtime_snapshots(user_id, steam_id, snapshot_date);
+        `);
+    }
+};
@@ -0,0 +1,23 @@
+// Zdarzenia do feedu aktywności znajomych. dedupe_key zapobiega zapisaniu
+// tego samego zdarzenia dwa razy (np. przy ponownym zrzucie z tego samego dnia)
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE activity_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('started_game', 'playtime_milestone', 'achievement_unlocked', 'completed_game', 'review')),
+                app_id INTEGER NOT NULL,
+                game_name TEXT,
+                data TEXT,
+                dedupe_key TEXT NOT NULL,
+                occurred_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, dedupe_key),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_activity_events_user ON activity_events(user_id, occurred_at);
+        `);
+    }
+};
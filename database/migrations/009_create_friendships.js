@@ -0,0 +1,31 @@
+// Znajomi w GameZone (niezależni od Steam) i blokady użytkowników.
+// Jedno zaproszenie / znajomość na parę użytkowników niezależnie od kierunku
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE friendships (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                requester_id INTEGER NOT NULL,
+                addressee_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                accepted_at DATETIME,
+                CHECK (requester_id <> addressee_id),
+                FOREIGN KEY (requester_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (addressee_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE UNIQUE INDEX idx_friendships_pair ON friendships(MIN(requester_id, addressee_id), MAX(requester_id, addressee_id));
+            CREATE INDEX idx_friendships_addressee ON friendships(addressee_id, status);
+
+            CREATE TABLE user_blocks (
+                blocker_id INTEGER NOT NULL,
+                blocked_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (blocker_id, blocked_id),
+                FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+        `);
+    }
+};
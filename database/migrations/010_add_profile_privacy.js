@@ -0,0 +1,14 @@
+// Prywatność publicznego profilu (/api/users/:username) - osobno dla każdej sekcji:
+// public (wszyscy), friends (znajomi GameZone), private (tylko właściciel)
+const FIELDS = ['steam', 'library', 'reviews', 'achievements'];
+
+module.exports = {
+    up(db) {
+        for (const field of FIELDS) {
+            db.exec(`
+                ALTER TABLE users ADD COLUMN privacy_${field} TEXT NOT NULL DEFAULT 'public'
+                    CHECK (privacy_${field} IN ('public', 'friends', 'private'))
+            `);
+        }
+    }
+};
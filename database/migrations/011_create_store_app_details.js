@@ -0,0 +1,17 @@
+// Dane gier ze sklepu Steam (appdetails) - kategorie (co-op, PvP, LAN, Remote Play...) i gatunki.
+// available = 0 dla gier bez strony w sklepie (usunięte, testowe) - nie pobieramy ich ponownie do odświeżenia
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE store_app_details (
+                app_id INTEGER PRIMARY KEY,
+                available INTEGER NOT NULL DEFAULT 1,
+                name TEXT,
+                type TEXT,
+                categories TEXT NOT NULL DEFAULT '[]',
+                genres TEXT NOT NULL DEFAULT '[]',
+                fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+};
@@ -0,0 +1,52 @@
+// Lista życzeń z progiem cenowym, historia cen z gg.deals i powiadomienia w aplikacji.
+// notified_price - cena z ostatniego powiadomienia o progu (NULL = jeszcze nie powiadomiono
+// albo cena wróciła powyżej progu). dedupe_key zapobiega powtórzeniu tego samego powiadomienia
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE wishlist_items (
+                user_id INTEGER NOT NULL,
+                app_id INTEGER NOT NULL,
+                game_name TEXT,
+                target_price REAL CHECK (target_price IS NULL OR target_price > 0),
+                notified_price REAL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, app_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_wishlist_items_app ON wishlist_items(app_id);
+
+            CREATE TABLE price_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                app_id INTEGER NOT NULL,
+                region TEXT NOT NULL DEFAULT 'pl',
+                currency TEXT,
+                current_retail REAL,
+                current_keyshops REAL,
+                historical_retail REAL,
+                historical_keyshops REAL,
+                recorded_at DATETIME NOT NULL
+            );
+
+            CREATE INDEX idx_price_history_app ON price_history(app_id, region, recorded_at);
+
+            CREATE TABLE notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('price_target', 'historical_low')),
+                app_id INTEGER NOT NULL,
+                game_name TEXT,
+                data TEXT,
+                dedupe_key TEXT NOT NULL,
+                read_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, dedupe_key),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_notifications_user ON notifications(user_id, created_at);
+        `);
+    }
+};
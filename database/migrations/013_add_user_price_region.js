@@ -0,0 +1,7 @@
+// Region cen gg.deals (waluta wynika z regionu). NULL = nie wybrano - region z Accept-Language
+// jest zapisywany przy rejestracji / logowaniu, do tego czasu obowiązuje domyślny (pl)
+module.exports = {
+    up(db) {
+        db.exec('ALTER TABLE users ADD COLUMN price_region TEXT');
+    }
+};
@@ -0,0 +1,19 @@
+// Przejścia do sklepów przez /go/:store/:appId - do raportu klikalności per sklep.
+// user_id = NULL dla niezalogowanych (i po usunięciu konta - klik zostaje w statystykach)
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE store_clicks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                store TEXT NOT NULL,
+                app_id INTEGER NOT NULL,
+                user_id INTEGER,
+                affiliate INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+            );
+
+            CREATE INDEX idx_store_clicks_store ON store_clicks(store, created_at);
+        `);
+    }
+};
@@ -0,0 +1,10 @@
+// Tagi użytkowników gry (SteamSpy) obok kategorii i gatunków ze sklepu Steam.
+// Zapisane wcześniej gry są oznaczane jako nieaktualne - tagi uzupełni odświeżanie w tle
+module.exports = {
+    up(db) {
+        db.exec(`
+            ALTER TABLE store_app_details ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+            UPDATE store_app_details SET fetched_at = datetime('now', '-31 days');
+        `);
+    }
+};
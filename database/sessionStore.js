@@ -0,0 +1,157 @@
+const session = require('express-session');
+const { db } = require('./init');
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 godziny (gdy ciasteczko nie ma daty wygaśnięcia)
+const CLEANUP_INTERVAL = 15 * 60 * 1000; // 15 minut
+
+const sessionQueries = {
+    get: db.prepare('SELECT sess FROM sessions WHERE sid = ? AND expires > ?'),
+    all: db.prepare('SELECT sid, sess FROM sessions WHERE expires > ?'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires > ?'),
+
+    findByUser: db.prepare(`
+        SELECT sid, sess, expires, created_at, updated_at FROM sessions
+        WHERE user_id = ? AND expires > ?
+        ORDER BY updated_at DESC
+    `),
+
+    upsert: db.prepare(`
+        INSERT INTO sessions (sid, sess, user_id, expires, created_at, updated_at)
+        VALUES (@sid, @sess, @userId, @expires, @now, @now)
+        ON CONFLICT(sid) DO UPDATE SET
+            sess = excluded.sess,
+            user_id = excluded.user_id,
+            expires = excluded.expires,
+            updated_at = excluded.updated_at
+    `),
+
+    touch: db.prepare('UPDATE sessions SET expires = ?, updated_at = ? WHERE sid = ?'),
+    destroy: db.prepare('DELETE FROM sessions WHERE sid = ?'),
+    destroyByUser: db.prepare('DELETE FROM sessions WHERE user_id = ? AND sid != ?'),
+    deleteExpired: db.prepare('DELETE FROM sessions WHERE expires <= ?'),
+    clear: db.prepare('DELETE FROM sessions')
+};
+
+// Store dla express-session oparty na bazie SQLite aplikacji
+class SQLiteStore extends session.Store {
+    constructor(options = {}) {
+        super();
+
+        this.ttl = options.ttl || DEFAULT_TTL;
+
+        // Okresowe usuwanie wygasłych sesji
+        const cleanupInterval = options.cleanupInterval ?? CLEANUP_INTERVAL;
+        if (cleanupInterval > 0) {
+            this.cleanupTimer = setInterval(() => this.cleanup(), cleanupInterval);
+            this.cleanupTimer.unref();
+        }
+    }
+
+    // Czas wygaśnięcia zgodny z maxAge ciasteczka (np. 30 dni dla "zapamiętaj mnie")
+    getExpires(sess) {
+        if (sess.cookie && sess.cookie.expires) {
+            return new Date(sess.cookie.expires).getTime();
+        }
+        return Date.now() + this.ttl;
+    }
+
+    get(sid, callback) {
+        try {
+            const row = sessionQueries.get.get(sid, Date.now());
+            callback(null, row ? JSON.parse(row.sess) : null);
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    set(sid, sess, callback) {
+        try {
+            sessionQueries.upsert.run({
+                sid,
+                sess: JSON.stringify(sess),
+                userId: sess.userId || null,
+                expires: this.getExpires(sess),
+                now: Date.now()
+            });
+            callback && callback(null);
+        } catch (error) {
+            callback && callback(error);
+        }
+    }
+
+    touch(sid, sess, callback) {
+        try {
+            sessionQueries.touch.run(this.getExpires(sess), Date.now(), sid);
+            callback && callback(null);
+        } catch (error) {
+            callback && callback(error);
+        }
+    }
+
+    destroy(sid, callback) {
+        try {
+            sessionQueries.destroy.run(sid);
+            callback && callback(null);
+        } catch (error) {
+            callback && callback(error);
+        }
+    }
+
+    all(callback) {
+        try {
+            const sessions = {};
+            for (const row of sessionQueries.all.all(Date.now())) {
+                sessions[row.sid] = JSON.parse(row.sess);
+            }
+            callback(null, sessions);
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    length(callback) {
+        try {
+            callback(null, sessionQueries.count.get(Date.now()).count);
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    clear(callback) {
+        try {
+            sessionQueries.clear.run();
+            callback && callback(null);
+        } catch (error) {
+            callback && callback(error);
+        }
+    }
+
+    // Aktywne sesje użytkownika (najpierw ostatnio używane)
+    findByUser(userId) {
+        return sessionQueries.findByUser.all(userId, Date.now()).map(row => ({
+            sid: row.sid,
+            session: JSON.parse(row.sess),
+            expires: row.expires,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    // Usuń wszystkie sesje użytkownika poza wskazaną; zwraca liczbę usuniętych
+    destroyByUser(userId, exceptSessionId = '') {
+        return sessionQueries.destroyByUser.run(userId, exceptSessionId).changes;
+    }
+
+    cleanup() {
+        try {
+            const { changes } = sessionQueries.deleteExpired.run(Date.now());
+            if (changes > 0) {
+                console.log(`[Sessions] Usunięto ${changes} wygasłych sesji`);
+            }
+        } catch (error) {
+            console.error('Session cleanup error:', error);
+        }
+    }
+}
+
+module.exports = { SQLiteStore };
@@ -9,6 +9,59 @@ function requireAuth(req, res, next) {
     next();
 }
 
+// Middleware sprawdzający czy użytkownik jest zalogowany i ma Steam
+function requireSteam(req, res, next) {
+    if (!req.session.userId) {
+        return res.status(401).json({
+            success: false,
+            message: 'Nie jesteś zalogowany'
+        });
+    }
+
+    if (!req.session.user?.steamId) {
+        return res.status(400).json({
+            success: false,
+            message: 'Konto Steam nie jest połączone'
+        });
+    }
+
+    if (!process.env.STEAM_API_KEY) {
+        return res.status(500).json({
+            success: false,
+            message: 'Steam API nie jest skonfigurowane'
+        });
+    }
+
+    next();
+}
+
+// Czy użytkownik jest administratorem - ADMIN_USER_IDS (id użytkowników po przecinku)
+function isAdmin(userId) {
+    return Boolean(userId) && (process.env.ADMIN_USER_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .includes(String(userId));
+}
+
+// Middleware sprawdzający czy użytkownik jest administratorem (raporty i statystyki serwisu)
+function requireAdmin(req, res, next) {
+    if (!req.session.userId) {
+        return res.status(401).json({
+            success: false,
+            message: 'Musisz być zalogowany aby wykonać tę akcję'
+        });
+    }
+
+    if (!isAdmin(req.session.userId)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Brak uprawnień administratora'
+        });
+    }
+
+    next();
+}
+
 // Middleware dla stron HTML - przekierowanie do logowania
 function requireAuthPage(req, res, next) {
     if (!req.session.userId) {
@@ -27,6 +80,9 @@ function requireGuest(req, res, next) {
 
 module.exports = {
     requireAuth,
+    requireSteam,
+    requireAdmin,
+    isAdmin,
     requireAuthPage,
     requireGuest
 };
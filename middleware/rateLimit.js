@@ -0,0 +1,47 @@
+// Limit zapytań w pamięci (stałe okno czasowe) dla kosztownych endpointów - per zalogowany
+// użytkownik, a dla gości per adres IP. Opcje:
+//   windowMs - długość okna (ms)
+//   max      - maksymalna liczba zapytań w oknie
+//   message  - komunikat odpowiedzi 429
+const PRUNE_THRESHOLD = 1000; // przy tylu kluczach usuwane są wygasłe okna
+
+function createRateLimit({ windowMs, max, message = 'Zbyt wiele zapytań - spróbuj ponownie później' }) {
+    const windows = new Map(); // klucz -> { count, resetAt }
+
+    function prune(now) {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        }
+    }
+
+    return function rateLimit(req, res, next) {
+        const now = Date.now();
+        const key = req.session.userId ? `user:${req.session.userId}` : `ip:${req.ip}`;
+
+        if (windows.size >= PRUNE_THRESHOLD) {
+            prune(now);
+        }
+
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+
+        window.count++;
+
+        if (window.count > max) {
+            res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+            return res.status(429).json({
+                success: false,
+                message: message
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = { createRateLimit };
@@ -0,0 +1,91 @@
+const express = require('express');
+const { achievementSyncQueries } = require('../database/init');
+const { requireSteam } = require('../middleware/auth');
+const { achievementSync, getAchievementStats } = require('../services/achievementSync');
+const { getOwnedGames } = require('./steam');
+
+const router = express.Router();
+
+router.use(requireSteam);
+
+// POST /api/achievements/sync - Rozpocznij synchronizację osiągnięć całej biblioteki w tle
+router.post('/sync', async (req, res) => {
+    try {
+        const userId = req.session.userId;
+
+        // Jedno aktywne zadanie na użytkownika
+        if (achievementSyncQueries.findActiveJob.get(userId)) {
+            return res.json({
+                success: true,
+                message: 'Synchronizacja już trwa',
+                ...achievementSync.getProgress(userId)
+            });
+        }
+
+        const steamId = req.session.user.steamId;
+        const owned = await getOwnedGames(steamId);
+
+        if (!owned) {
+            return res.status(400).json({
+                success: false,
+                message: 'Brak gier lub profil jest prywatny'
+            });
+        }
+
+        achievementSync.enqueue(userId, steamId, owned.games);
+
+        res.status(202).json({
+            success: true,
+            message: 'Synchronizacja rozpoczęta',
+            ...achievementSync.getProgress(userId)
+        });
+
+    } catch (error) {
+        console.error('Achievement sync start error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas uruchamiania synchronizacji'
+        });
+    }
+});
+
+// GET /api/achievements/sync - Postęp ostatniej synchronizacji (queued / running / done / error)
+router.get('/sync', (req, res) => {
+    try {
+        const progress = achievementSync.getProgress(req.session.userId);
+
+        res.json({
+            success: true,
+            job: null,
+            ...progress
+        });
+
+    } catch (error) {
+        console.error('Achievement sync progress error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania postępu synchronizacji'
+        });
+    }
+});
+
+// GET /api/achievements/stats - Statystyki osiągnięć całej biblioteki (z zapisanych wyników)
+router.get('/stats', (req, res) => {
+    try {
+        const results = achievementSyncQueries.findResults.all(req.session.userId, req.session.user.steamId);
+
+        res.json({
+            success: true,
+            ...getAchievementStats(results)
+        });
+
+    } catch (error) {
+        console.error('Achievement stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania statystyk osiągnięć'
+        });
+    }
+});
+
+module.exports = router;
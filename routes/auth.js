@@ -1,11 +1,17 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const passport = require('passport');
 const { userQueries } = require('../database/init');
+const { requireAuth } = require('../middleware/auth');
+const { initUserRegion } = require('../services/priceRegion');
+const { purgeSteamCache } = require('./steam');
 
 const router = express.Router();
 
 const SALT_ROUNDS = 10;
+const STEAM_REAUTH_TTL = 5 * 60 * 1000; // 5 minut na potwierdzenie operacji po logowaniu Steam
+const REAUTH_OPERATIONS = ['delete', 'password'];
 
 // Walidacja email
 function isValidEmail(email) {
@@ -18,6 +24,11 @@ function isValidPassword(password) {
     return password && password.length >= 8;
 }
 
+// Publiczny identyfikator sesji - nie ujawniamy samego sid
+function getSessionPublicId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
 // POST /api/auth/register
 router.post('/register', async (req, res) => {
     try {
@@ -67,6 +78,9 @@ router.post('/register', async (req, res) => {
         // Tworzenie użytkownika
         const result = userQueries.create.run(username, email, passwordHash);
 
+        // Region cen z języka przeglądarki
+        initUserRegion(result.lastInsertRowid, req);
+
         // Pobierz utworzonego użytkownika
         const newUser = userQueries.findById.get(result.lastInsertRowid);
 
@@ -148,6 +162,7 @@ router.post('/login', async (req, res) => {
 
         // Aktualizuj ostatnie logowanie
         userQueries.updateLastLogin.run(user.id);
+        initUserRegion(user.id, req);
 
         // Ustaw sesję
         req.session.userId = user.id;
@@ -220,6 +235,227 @@ router.get('/me', (req, res) => {
     });
 });
 
+// Czy użytkownik potwierdził tożsamość logowaniem przez Steam dla tej operacji (delete lub password)
+// w ciągu ostatnich 5 minut (konta Steam-only nie mają hasła do potwierdzenia operacji)
+function hasFreshSteamReauth(req, operation) {
+    const { steamReauthAt: reauthAt, steamReauthFor: reauthFor } = req.session;
+    return Boolean(reauthAt) && reauthFor === operation && Date.now() - reauthAt <= STEAM_REAUTH_TTL;
+}
+
+// Potwierdzenie jest jednorazowe - usuwane po wykonaniu operacji, którą autoryzowało
+function clearSteamReauth(req) {
+    delete req.session.steamReauthAt;
+    delete req.session.steamReauthFor;
+}
+
+// Odpowiedź 401 - operacja wymaga ponownego logowania przez Steam
+function sendSteamReauthRequired(res) {
+    return res.status(401).json({
+        success: false,
+        reauthRequired: 'steam',
+        message: 'Potwierdź tożsamość logując się ponownie przez Steam'
+    });
+}
+
+// POST /api/auth/password - Zmień (lub ustaw pierwsze) hasło
+router.post('/password', requireAuth, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = userQueries.findById.get(req.session.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Użytkownik nie istnieje'
+            });
+        }
+
+        // Konta Steam-only nie mają hasła - pierwsze ustawiają po świeżym logowaniu przez Steam
+        if (user.password_hash) {
+            if (!currentPassword) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Aktualne hasło jest wymagane'
+                });
+            }
+
+            const isValid = await bcrypt.compare(currentPassword, user.password_hash);
+
+            if (!isValid) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Aktualne hasło jest nieprawidłowe'
+                });
+            }
+        } else if (!hasFreshSteamReauth(req, 'password')) {
+            return sendSteamReauthRequired(res);
+        }
+
+        if (!isValidPassword(newPassword)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Hasło musi mieć co najmniej 8 znaków'
+            });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        userQueries.updatePassword.run(passwordHash, user.id);
+        clearSteamReauth(req);
+
+        // Unieważnij pozostałe sesje - skradzione ciasteczko przestaje działać
+        req.sessionStore.destroyByUser(user.id, req.sessionID);
+
+        res.json({
+            success: true,
+            message: user.password_hash ? 'Hasło zostało zmienione' : 'Hasło zostało ustawione'
+        });
+
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Wystąpił błąd podczas zmiany hasła'
+        });
+    }
+});
+
+// DELETE /api/auth/account - Usuń konto wraz ze wszystkimi danymi
+router.delete('/account', requireAuth, async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        const user = userQueries.findById.get(req.session.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Użytkownik nie istnieje'
+            });
+        }
+
+        // Potwierdzenie tożsamości: hasło, a dla kont Steam-only świeże logowanie przez Steam
+        if (user.password_hash) {
+            if (!password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Hasło jest wymagane'
+                });
+            }
+
+            const isValid = await bcrypt.compare(password, user.password_hash);
+
+            if (!isValid) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Nieprawidłowe hasło'
+                });
+            }
+        } else if (!hasFreshSteamReauth(req, 'delete')) {
+            return sendSteamReauthRequired(res);
+        }
+
+        // Dane w tabelach powiązanych usuwa ON DELETE CASCADE
+        userQueries.delete.run(user.id);
+
+        if (user.steam_id) {
+            purgeSteamCache(user.steam_id);
+        }
+
+        req.sessionStore.destroyByUser(user.id, req.sessionID);
+
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Account delete session error:', err);
+            }
+
+            res.clearCookie('connect.sid');
+            res.json({
+                success: true,
+                message: 'Konto zostało usunięte'
+            });
+        });
+
+    } catch (error) {
+        console.error('Account delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Wystąpił błąd podczas usuwania konta'
+        });
+    }
+});
+
+// GET /api/auth/sessions - Lista aktywnych sesji użytkownika
+router.get('/sessions', requireAuth, (req, res) => {
+    try {
+        const sessions = req.sessionStore.findByUser(req.session.userId).map(entry => ({
+            id: getSessionPublicId(entry.sid),
+            current: entry.sid === req.sessionID,
+            userAgent: entry.session.client?.userAgent || null,
+            ip: entry.session.client?.ip || null,
+            createdAt: entry.createdAt,
+            lastActive: entry.updatedAt,
+            expiresAt: entry.expires
+        }));
+
+        res.json({
+            success: true,
+            sessions: sessions
+        });
+
+    } catch (error) {
+        console.error('Sessions list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Wystąpił błąd podczas pobierania sesji'
+        });
+    }
+});
+
+// DELETE /api/auth/sessions/:id - Wyloguj wybraną sesję
+router.delete('/sessions/:id', requireAuth, (req, res) => {
+    try {
+        const entry = req.sessionStore.findByUser(req.session.userId)
+            .find(e => getSessionPublicId(e.sid) === req.params.id);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sesja nie została znaleziona'
+            });
+        }
+
+        if (entry.sid === req.sessionID) {
+            return res.status(400).json({
+                success: false,
+                message: 'Aby zakończyć bieżącą sesję, wyloguj się'
+            });
+        }
+
+        req.sessionStore.destroy(entry.sid, (err) => {
+            if (err) {
+                console.error('Session revoke error:', err);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Wystąpił błąd podczas zamykania sesji'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Sesja została zakończona'
+            });
+        });
+
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Wystąpił błąd podczas zamykania sesji'
+        });
+    }
+});
+
 // ================================================
 // Steam OAuth
 // ================================================
@@ -258,9 +494,164 @@ router.get('/steam/callback', (req, res, next) => {
 
         // Aktualizuj ostatnie logowanie
         userQueries.updateLastLogin.run(user.id);
+        initUserRegion(user.id, req);
 
         res.redirect('/?login=steam_success');
     })(req, res, next);
 });
 
+// GET /api/auth/steam/link - Połącz Steam z kontem zalogowanego użytkownika
+router.get('/steam/link', (req, res, next) => {
+    if (!req.session.userId) {
+        return res.redirect('/login.html');
+    }
+
+    if (!process.env.STEAM_API_KEY) {
+        return res.redirect('/profile.html?error=steam_not_configured');
+    }
+
+    passport.authenticate('steam-link', { failureRedirect: '/profile.html?error=steam_link_failed' })(req, res, next);
+});
+
+// GET /api/auth/steam/link/callback
+router.get('/steam/link/callback', (req, res, next) => {
+    if (!req.session.userId) {
+        return res.redirect('/login.html');
+    }
+
+    if (!process.env.STEAM_API_KEY) {
+        return res.redirect('/profile.html?error=steam_not_configured');
+    }
+
+    passport.authenticate('steam-link', (err, steamProfile) => {
+        if (err || !steamProfile) {
+            console.error('Steam link error:', err);
+            return res.redirect('/profile.html?error=steam_link_failed');
+        }
+
+        try {
+            // Steam ID może być już przypisane do innego konta
+            const owner = userQueries.findBySteamId.get(steamProfile.steamId);
+            if (owner && owner.id !== req.session.userId) {
+                return res.redirect('/profile.html?error=steam_already_linked');
+            }
+
+            userQueries.linkSteam.run(
+                steamProfile.steamId,
+                steamProfile.steamUsername,
+                steamProfile.avatarUrl,
+                req.session.userId
+            );
+
+            // Aktualizuj sesję
+            req.session.user = {
+                ...req.session.user,
+                steamId: steamProfile.steamId,
+                steamUsername: steamProfile.steamUsername,
+                avatarUrl: steamProfile.avatarUrl
+            };
+
+            res.redirect('/profile.html?steam=linked');
+        } catch (error) {
+            console.error('Steam link error:', error);
+            res.redirect('/profile.html?error=steam_link_failed');
+        }
+    })(req, res, next);
+});
+
+// GET /api/auth/steam/reauth?for=delete|password - Potwierdź tożsamość ponownym logowaniem przez Steam.
+// `for` wraca w przekierowaniu do profilu, żeby strona wznowiła przerwaną operację
+router.get('/steam/reauth', (req, res, next) => {
+    if (!req.session.userId) {
+        return res.redirect('/login.html');
+    }
+
+    if (!process.env.STEAM_API_KEY) {
+        return res.redirect('/profile.html?error=steam_not_configured');
+    }
+
+    // Nowe logowanie unieważnia wcześniejsze potwierdzenie - steamReauthAt dotyczy zawsze steamReauthFor
+    clearSteamReauth(req);
+    req.session.steamReauthFor = REAUTH_OPERATIONS.includes(req.query.for) ? req.query.for : 'delete';
+    passport.authenticate('steam-reauth', { failureRedirect: '/profile.html?error=steam_reauth_failed' })(req, res, next);
+});
+
+// GET /api/auth/steam/reauth/callback
+router.get('/steam/reauth/callback', (req, res, next) => {
+    if (!req.session.userId) {
+        return res.redirect('/login.html');
+    }
+
+    if (!process.env.STEAM_API_KEY) {
+        return res.redirect('/profile.html?error=steam_not_configured');
+    }
+
+    passport.authenticate('steam-reauth', (err, steamProfile) => {
+        if (err || !steamProfile) {
+            console.error('Steam reauth error:', err);
+            return res.redirect('/profile.html?error=steam_reauth_failed');
+        }
+
+        // Musi to być to samo konto Steam, które jest połączone z kontem
+        const user = userQueries.findById.get(req.session.userId);
+        if (!user || user.steam_id !== steamProfile.steamId) {
+            return res.redirect('/profile.html?error=steam_reauth_mismatch');
+        }
+
+        req.session.steamReauthAt = Date.now();
+        res.redirect(`/profile.html?reauth=steam&for=${req.session.steamReauthFor || 'delete'}`);
+    })(req, res, next);
+});
+
+// DELETE /api/auth/steam - Odłącz Steam od konta
+router.delete('/steam', requireAuth, (req, res) => {
+    try {
+        const user = userQueries.findById.get(req.session.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Użytkownik nie istnieje'
+            });
+        }
+
+        if (!user.steam_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Konto Steam nie jest połączone'
+            });
+        }
+
+        // Bez hasła użytkownik nie mógłby się więcej zalogować
+        if (!user.password_hash) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ustaw hasło przed odłączeniem Steam - to jedyny sposób logowania na to konto'
+            });
+        }
+
+        userQueries.unlinkSteam.run(user.id);
+
+        // Aktualizuj sesję
+        req.session.user = {
+            ...req.session.user,
+            steamId: null,
+            steamUsername: null,
+            avatarUrl: null
+        };
+
+        res.json({
+            success: true,
+            message: 'Konto Steam zostało odłączone'
+        });
+
+    } catch (error) {
+        console.error('Steam unlink error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Wystąpił błąd podczas odłączania Steam'
+        });
+    }
+});
+
 module.exports = router;
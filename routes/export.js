@@ -0,0 +1,90 @@
+const express = require('express');
+const { Readable, pipeline } = require('stream');
+const { userQueries } = require('../database/init');
+const { requireAuth } = require('../middleware/auth');
+const { FORMATS, exportChunks } = require('../services/dataExport');
+const { getOwnedGames } = require('./steam');
+
+const router = express.Router();
+
+// Biblioteka Steam do eksportu. steamLibrary: ok, private, not_linked lub unavailable
+// (błąd Steam API nie blokuje eksportu danych zapisanych w GameZone)
+async function getSteamLibrary(steamId) {
+    if (!steamId) {
+        return { steamLibrary: 'not_linked', steamGames: [] };
+    }
+
+    if (!process.env.STEAM_API_KEY) {
+        return { steamLibrary: 'unavailable', steamGames: [] };
+    }
+
+    try {
+        const result = await getOwnedGames(steamId);
+        return result ? { steamLibrary: 'ok', steamGames: result.games } : { steamLibrary: 'private', steamGames: [] };
+    } catch (error) {
+        console.error('Export Steam library error:', error.message);
+        return { steamLibrary: 'unavailable', steamGames: [] };
+    }
+}
+
+// GET /api/export?format=csv|json - Eksport wszystkich danych użytkownika (gry, osiągnięcia, statusy,
+// recenzje, listy życzeń, znajomi, powiadomienia, historia, sesje i dane konta) jako plik do pobrania -
+// także na żądanie dostępu do danych (RODO)
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+
+        if (typeof format !== 'string' || !Object.hasOwn(FORMATS, format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Format musi być jednym z: ${Object.keys(FORMATS).join(', ')}`
+            });
+        }
+
+        const user = userQueries.findById.get(req.session.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Użytkownik nie istnieje'
+            });
+        }
+
+        const { steamLibrary, steamGames } = await getSteamLibrary(user.steam_id);
+
+        // Bez identyfikatorów sesji - to dane logowania, nie dane użytkownika
+        const sessions = req.sessionStore.findByUser(user.id).map(entry => ({
+            userAgent: entry.session.client?.userAgent || null,
+            ip: entry.session.client?.ip || null,
+            createdAt: entry.createdAt,
+            lastActive: entry.updatedAt,
+            expiresAt: entry.expires
+        }));
+
+        const exportedAt = new Date().toISOString();
+
+        res.set({
+            'Content-Type': FORMATS[format],
+            'Content-Disposition': `attachment; filename="gamezone-export-${exportedAt.slice(0, 10)}.${format}"`,
+            'Cache-Control': 'no-store'
+        });
+
+        // Strumień z kontrolą przepływu - kolejne strony danych są czytane z bazy dopiero,
+        // gdy klient odbierze poprzednie
+        const chunks = exportChunks(format, user, { steamLibrary, steamGames, sessions, exportedAt });
+        pipeline(Readable.from(chunks), res, error => {
+            if (error) {
+                console.error('Export stream error:', error.message);
+            }
+        });
+
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas eksportu danych'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const { userQueries, activityQueries } = require('../database/init');
+const { requireSteam } = require('../middleware/auth');
+const { EVENT_TYPES } = require('../services/activityFeed');
+const { getFriendSteamIds } = require('./steam');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Lista z parametru query oddzielona przecinkami (?type=a,b) - null gdy brak
+function parseList(value) {
+    if (!value) return null;
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Mapowanie wiersza z bazy na odpowiedź API
+function toEvent(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        appId: row.app_id,
+        gameName: row.game_name,
+        data: row.data ? JSON.parse(row.data) : {},
+        occurredAt: row.occurred_at,
+        friend: {
+            steamId: row.steam_id,
+            username: row.steam_username || row.username,
+            avatarUrl: row.avatar_url
+        }
+    };
+}
+
+// GET /api/feed?page=1&limit=20&type=started_game,review&friend=<steamId>,<steamId>
+// Aktywność znajomych Steam, którzy mają konto GameZone - od najnowszej
+router.get('/', requireSteam, async (req, res) => {
+    try {
+        const types = parseList(req.query.type);
+        const friendFilter = parseList(req.query.friend);
+
+        if (types && types.some(type => !EVENT_TYPES.includes(type))) {
+            return res.status(400).json({
+                success: false,
+                message: `Nieprawidłowy typ zdarzenia (dozwolone: ${EVENT_TYPES.join(', ')})`
+            });
+        }
+
+        if (friendFilter && friendFilter.some(id => !/^\d{17}$/.test(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowy format Steam ID'
+            });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        // Filtr znajomych zawęża listę - aktywność spoza listy znajomych nie jest widoczna
+        let friendSteamIds = await getFriendSteamIds(req.session.user.steamId);
+        if (friendFilter) {
+            friendSteamIds = friendSteamIds.filter(id => friendFilter.includes(id));
+        }
+
+        const userIds = userQueries.findBySteamIds.all(JSON.stringify(friendSteamIds)).map(user => user.id);
+        const params = {
+            userIds: JSON.stringify(userIds),
+            types: types ? JSON.stringify(types) : null,
+            viewerId: req.session.userId
+        };
+
+        const total = activityQueries.countByUsers.get(params).count;
+        const events = activityQueries.findByUsers.all({ ...params, limit, offset: (page - 1) * limit }).map(toEvent);
+
+        res.json({
+            success: true,
+            events: events,
+            pagination: {
+                page: page,
+                limit: limit,
+                total: total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Feed fetch error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania aktywności znajomych'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const { db, userQueries, friendQueries } = require('../database/init');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Walidacja id użytkownika z URL
+function parseUserId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Mapowanie wiersza z bazy na odpowiedź API
+function toFriend(row) {
+    return {
+        userId: row.id,
+        username: row.username,
+        steamId: row.steam_id,
+        steamUsername: row.steam_username,
+        avatarUrl: row.avatar_url,
+        ...(row.accepted_at !== undefined && { since: row.accepted_at }),
+        ...(row.created_at !== undefined && { requestedAt: row.created_at })
+    };
+}
+
+// Odpowiedź 404 dla nieistniejącego użytkownika (również gdy blokada - nie zdradzamy jej)
+function userNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Nie znaleziono użytkownika'
+    });
+}
+
+router.use(requireAuth);
+
+// GET /api/friends - Znajomi oraz zaproszenia przychodzące i wysłane
+router.get('/', (req, res) => {
+    try {
+        const userId = req.session.userId;
+
+        res.json({
+            success: true,
+            friends: friendQueries.findFriends.all({ userId }).map(toFriend),
+            incoming: friendQueries.findIncoming.all(userId).map(toFriend),
+            outgoing: friendQueries.findOutgoing.all(userId).map(toFriend)
+        });
+
+    } catch (error) {
+        console.error('Friends fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania znajomych'
+        });
+    }
+});
+
+// POST /api/friends/requests - Wyślij zaproszenie ({ username } lub { userId }).
+// Jeśli ta osoba zaprosiła już nas, zaproszenie zostaje od razu przyjęte
+router.post('/requests', (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { username, userId: targetId } = req.body;
+
+        const target = targetId !== undefined
+            ? userQueries.findById.get(parseUserId(targetId))
+            : (typeof username === 'string' ? userQueries.findByUsername.get(username.trim()) : undefined);
+
+        if (!target || friendQueries.isBlockedBetween.get(userId, target.id, target.id, userId)) {
+            return userNotFound(res);
+        }
+
+        if (target.id === userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nie możesz zaprosić samego siebie'
+            });
+        }
+
+        const existing = friendQueries.findBetween.get(userId, target.id, target.id, userId);
+
+        if (existing?.status === 'accepted') {
+            return res.status(409).json({
+                success: false,
+                message: 'Jesteście już znajomymi'
+            });
+        }
+
+        if (existing && existing.requester_id === userId) {
+            return res.status(409).json({
+                success: false,
+                message: 'Zaproszenie zostało już wysłane'
+            });
+        }
+
+        if (existing) {
+            friendQueries.accept.run(existing.id);
+            return res.json({
+                success: true,
+                status: 'accepted',
+                message: 'Zaproszenie przyjęte - jesteście znajomymi'
+            });
+        }
+
+        friendQueries.create.run(userId, target.id);
+
+        res.status(201).json({
+            success: true,
+            status: 'pending',
+            message: 'Zaproszenie wysłane'
+        });
+
+    } catch (error) {
+        console.error('Friend request error:', error);
+
+        // Równoległe zaproszenia tej samej pary
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({
+                success: false,
+                message: 'Zaproszenie zostało już wysłane'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas wysyłania zaproszenia'
+        });
+    }
+});
+
+// Zaproszenie przychodzące od użytkownika z URL - null gdy brak
+function findIncomingRequest(req) {
+    const requesterId = parseUserId(req.params.userId);
+    if (!requesterId) return null;
+
+    const request = friendQueries.findBetween.get(req.session.userId, requesterId, requesterId, req.session.userId);
+    return request && request.status === 'pending' && request.addressee_id === req.session.userId ? request : null;
+}
+
+// POST /api/friends/requests/:userId/accept - Przyjmij zaproszenie
+router.post('/requests/:userId/accept', (req, res) => {
+    try {
+        const request = findIncomingRequest(req);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nie znaleziono zaproszenia'
+            });
+        }
+
+        friendQueries.accept.run(request.id);
+
+        res.json({
+            success: true,
+            message: 'Zaproszenie przyjęte'
+        });
+
+    } catch (error) {
+        console.error('Friend accept error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas przyjmowania zaproszenia'
+        });
+    }
+});
+
+// POST /api/friends/requests/:userId/decline - Odrzuć zaproszenie
+router.post('/requests/:userId/decline', (req, res) => {
+    try {
+        const request = findIncomingRequest(req);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nie znaleziono zaproszenia'
+            });
+        }
+
+        friendQueries.delete.run(request.id);
+
+        res.json({
+            success: true,
+            message: 'Zaproszenie odrzucone'
+        });
+
+    } catch (error) {
+        console.error('Friend decline error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas odrzucania zaproszenia'
+        });
+    }
+});
+
+// DELETE /api/friends/:userId - Usuń znajomego lub anuluj wysłane zaproszenie
+router.delete('/:userId', (req, res) => {
+    try {
+        const otherId = parseUserId(req.params.userId);
+        const friendship = otherId && friendQueries.findBetween.get(req.session.userId, otherId, otherId, req.session.userId);
+
+        // Przychodzące zaproszenie odrzuca się przez /decline
+        if (!friendship || (friendship.status === 'pending' && friendship.requester_id !== req.session.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nie znaleziono znajomego ani zaproszenia'
+            });
+        }
+
+        friendQueries.delete.run(friendship.id);
+
+        res.json({
+            success: true,
+            message: friendship.status === 'accepted' ? 'Usunięto ze znajomych' : 'Zaproszenie anulowane'
+        });
+
+    } catch (error) {
+        console.error('Friend remove error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas usuwania znajomego'
+        });
+    }
+});
+
+// GET /api/friends/blocks - Zablokowani użytkownicy
+router.get('/blocks', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            blocked: friendQueries.findBlocked.all(req.session.userId).map(row => ({
+                userId: row.id,
+                username: row.username,
+                avatarUrl: row.avatar_url,
+                blockedAt: row.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Blocks fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania zablokowanych'
+        });
+    }
+});
+
+// POST /api/friends/blocks/:userId - Zablokuj użytkownika (usuwa znajomość i zaproszenia)
+router.post('/blocks/:userId', (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const target = userQueries.findById.get(parseUserId(req.params.userId));
+
+        if (!target) {
+            return userNotFound(res);
+        }
+
+        if (target.id === userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nie możesz zablokować samego siebie'
+            });
+        }
+
+        db.transaction(() => {
+            const friendship = friendQueries.findBetween.get(userId, target.id, target.id, userId);
+            if (friendship) {
+                friendQueries.delete.run(friendship.id);
+            }
+            friendQueries.block.run(userId, target.id);
+        })();
+
+        res.json({
+            success: true,
+            message: 'Użytkownik zablokowany'
+        });
+
+    } catch (error) {
+        console.error('Block error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas blokowania użytkownika'
+        });
+    }
+});
+
+// DELETE /api/friends/blocks/:userId - Odblokuj użytkownika
+router.delete('/blocks/:userId', (req, res) => {
+    try {
+        const result = friendQueries.unblock.run(req.session.userId, parseUserId(req.params.userId));
+
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ten użytkownik nie jest zablokowany'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Użytkownik odblokowany'
+        });
+
+    } catch (error) {
+        console.error('Unblock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas odblokowywania użytkownika'
+        });
+    }
+});
+
+module.exports = router;
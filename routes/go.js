@@ -0,0 +1,67 @@
+const express = require('express');
+const { storeClickQueries } = require('../database/init');
+const { createCache } = require('../services/cache');
+const { isEnabledStore, getAffiliateTag, buildStoreUrl } = require('../services/storeLinks');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 200;
+
+// Ostatnie zapisane przejścia - powtórne kliknięcie tej samej gry w tym samym sklepie
+// przez tego samego odwiedzającego w ciągu 30 minut nie jest liczone w raporcie
+const recentClicks = createCache('storeClicks', {
+    ttl: 30 * 60 * 1000, // 30 minut
+    maxSize: 10000
+});
+
+// Odwiedzający: zalogowany użytkownik lub adres IP (nowa sesja gościa nie omija limitu)
+function visitorKey(req) {
+    return req.session.userId ? `user:${req.session.userId}` : `ip:${req.ip}`;
+}
+
+// GET /go/:store/:appId?name=<nazwa gry>&url=<strona gry w sklepie> - Przejście do sklepu.
+// Zapisuje kliknięcie (raport: GET /api/stores/clicks, bez powtórzeń) i przekierowuje z tagiem afiliacyjnym
+router.get('/:store/:appId', (req, res) => {
+    try {
+        const { store, appId } = req.params;
+
+        if (!/^\d+$/.test(appId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        if (!isEnabledStore(store)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nieznany sklep'
+            });
+        }
+
+        const name = typeof req.query.name === 'string' ? req.query.name.slice(0, MAX_NAME_LENGTH) : null;
+        const url = typeof req.query.url === 'string' ? req.query.url : null;
+
+        const clickKey = `${visitorKey(req)}:${store}:${appId}`;
+        if (recentClicks.get(clickKey) === undefined) {
+            storeClickQueries.create.run({
+                store: store,
+                appId: Number(appId),
+                userId: req.session.userId || null,
+                affiliate: getAffiliateTag(store) ? 1 : 0
+            });
+            recentClicks.set(clickKey, true);
+        }
+
+        res.redirect(buildStoreUrl(store, { appId, name, url }));
+
+    } catch (error) {
+        console.error('Store redirect error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas przekierowania do sklepu'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const { steamClient } = require('../services/steamClient');
+const { SteamIdError, resolveSteamId } = require('../services/steamId');
+const { MULTIPLAYER_MODES, parseMultiplayerModes, findInvalidMode, storeDetails } = require('../services/storeDetails');
+const { resolveRegion } = require('../services/priceRegion');
+const { getOwnedGames, getPricesBatched } = require('./steam');
+const { requireAuth } = require('../middleware/auth');
+const { createRateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+const MIN_GROUP_SIZE = 2;
+const MAX_GROUP_SIZE = 10;
+
+// Jedno porównanie to do 10 bibliotek, profili i zapytań o ceny w Steam i gg.deals -
+// GROUP_RATE_LIMIT porównań na użytkownika w ciągu 10 minut
+const groupRateLimit = createRateLimit({
+    windowMs: 10 * 60 * 1000,
+    max: parseInt(process.env.GROUP_RATE_LIMIT, 10) || 20,
+    message: 'Zbyt wiele porównań bibliotek - spróbuj ponownie za kilka minut'
+});
+
+// Ceny brakujących gier (w paczkach po 100) - null gdy gg.deals niedostępne
+async function getPricesFor(appIds, region) {
+    if (!process.env.GGDEALS_API_KEY) {
+        return null;
+    }
+
+    try {
+        return await getPricesBatched(appIds, region);
+    } catch (error) {
+        console.error('Group prices fetch error:', error.message);
+        return null;
+    }
+}
+
+// Gra z łącznym czasem gry grupy i czasem każdego członka (w minutach)
+function toGroupGame(game, owners) {
+    const playtime = Object.fromEntries(owners.map(member => [member.steamId, member.games.get(game.appId).playtime]));
+    const totalPlaytime = Object.values(playtime).reduce((sum, minutes) => sum + minutes, 0);
+
+    return {
+        appId: game.appId,
+        name: game.name,
+        iconUrl: game.iconUrl,
+        headerUrl: game.headerUrl,
+        playtime: playtime,
+        totalPlaytime: totalPlaytime,
+        totalPlaytimeHours: Math.round(totalPlaytime / 60 * 10) / 10
+    };
+}
+
+const byGroupPlaytime = (a, b) => b.totalPlaytime - a.totalPlaytime || (a.name || '').localeCompare(b.name || '');
+
+// GET /api/group/library?steamIds=<id>,<id>,<id>&multiplayer=coop - W co możemy zagrać całą grupą.
+// Każdy identyfikator w dowolnym formacie obsługiwanym przez services/steamId.js.
+// Prywatne biblioteki są zgłaszane w `privateMembers` i pomijane przy porównaniu
+router.get('/library', requireAuth, groupRateLimit, async (req, res) => {
+    try {
+        if (!process.env.STEAM_API_KEY) {
+            return res.status(500).json({
+                success: false,
+                message: 'Steam API nie jest skonfigurowane'
+            });
+        }
+
+        const modes = parseMultiplayerModes(req.query.multiplayer);
+        const invalidMode = findInvalidMode(modes);
+
+        if (invalidMode) {
+            return res.status(400).json({
+                success: false,
+                message: `Nieznany tryb gry wieloosobowej: ${invalidMode} (dozwolone: ${Object.keys(MULTIPLAYER_MODES).join(', ')})`
+            });
+        }
+
+        const inputs = [...new Set(String(req.query.steamIds || '').split(',').map(id => id.trim()).filter(Boolean))];
+        const sendInvalidSize = () => res.status(400).json({
+            success: false,
+            message: `Podaj od ${MIN_GROUP_SIZE} do ${MAX_GROUP_SIZE} różnych Steam ID (parametr steamIds)`
+        });
+
+        // Przed rozpoznawaniem - każda nazwa vanity to osobne zapytanie do Steam
+        if (inputs.length > MAX_GROUP_SIZE) {
+            return sendInvalidSize();
+        }
+
+        // Rozpoznaj identyfikatory równolegle - błąd wskazuje, który wpis jest nieprawidłowy
+        const resolved = await Promise.all(inputs.map(input => resolveSteamId(input).then(
+            ({ steamId }) => ({ input, steamId }),
+            error => ({ input, error })
+        )));
+
+        const failed = resolved.find(result => result.error);
+        if (failed) {
+            if (!(failed.error instanceof SteamIdError)) throw failed.error;
+            return res.status(failed.error.status).json({
+                success: false,
+                code: failed.error.code,
+                input: failed.input,
+                message: `${failed.error.message}: ${failed.input}`
+            });
+        }
+
+        const steamIds = [...new Set(resolved.map(result => result.steamId))];
+
+        if (steamIds.length < MIN_GROUP_SIZE) {
+            return sendInvalidSize();
+        }
+
+        const [libraries, players] = await Promise.all([
+            Promise.all(steamIds.map(steamId => getOwnedGames(steamId))),
+            steamClient.getPlayerSummaries(steamIds)
+        ]);
+        const playersById = new Map(players.map(player => [player.steamid, player]));
+
+        const members = steamIds.map((steamId, i) => ({
+            steamId: steamId,
+            personaName: playersById.get(steamId)?.personaname || null,
+            avatarUrl: playersById.get(steamId)?.avatarmedium || null,
+            isPrivate: !libraries[i],
+            games: new Map((libraries[i]?.games || []).map(game => [game.appId, game]))
+        }));
+        const publicMembers = members.filter(member => !member.isPrivate);
+
+        // Właściciele każdej gry wśród publicznych bibliotek
+        const owned = new Map();
+        for (const member of publicMembers) {
+            for (const game of member.games.values()) {
+                const entry = owned.get(game.appId) || { game, owners: [] };
+                entry.owners.push(member);
+                owned.set(game.appId, entry);
+            }
+        }
+
+        let everyoneOwns = [];
+        let allButOne = [];
+
+        if (publicMembers.length >= MIN_GROUP_SIZE) {
+            for (const { game, owners } of owned.values()) {
+                if (owners.length === publicMembers.length) {
+                    everyoneOwns.push(toGroupGame(game, owners));
+                } else if (publicMembers.length > MIN_GROUP_SIZE && owners.length === publicMembers.length - 1) {
+                    const missing = publicMembers.find(member => !owners.includes(member));
+                    allButOne.push({
+                        ...toGroupGame(game, owners),
+                        missing: { steamId: missing.steamId, personaName: missing.personaName }
+                    });
+                }
+            }
+        }
+
+        everyoneOwns.sort(byGroupPlaytime);
+        allButOne.sort(byGroupPlaytime);
+
+        // Tylko gry wieloosobowe w wybranych trybach (dane ze sklepu Steam)
+        let detailsPending = 0;
+        if (modes) {
+            const everyone = storeDetails.filterByMultiplayer(everyoneOwns, modes);
+            const butOne = storeDetails.filterByMultiplayer(allButOne, modes);
+            everyoneOwns = everyone.games;
+            allButOne = butOne.games;
+            detailsPending = everyone.detailsPending + butOne.detailsPending;
+        }
+
+        // Ceny dla osoby, której brakuje gry - w regionie pytającego
+        const { region, currency } = resolveRegion(req);
+        const prices = await getPricesFor(allButOne.map(game => game.appId), region);
+        for (const game of allButOne) {
+            game.price = prices?.[game.appId] ?? null;
+        }
+
+        res.json({
+            success: true,
+            members: members.map(member => {
+                const minutes = [...member.games.values()].reduce((sum, game) => sum + game.playtime, 0);
+                return {
+                    steamId: member.steamId,
+                    personaName: member.personaName,
+                    avatarUrl: member.avatarUrl,
+                    isPrivate: member.isPrivate,
+                    gameCount: member.games.size,
+                    playtimeHours: Math.round(minutes / 60 * 10) / 10
+                };
+            }),
+            privateMembers: members.filter(member => member.isPrivate).map(member => member.steamId),
+            everyoneOwns: everyoneOwns,
+            allButOne: allButOne,
+            pricesAvailable: prices !== null,
+            region: region,
+            currency: currency,
+            ...(modes && { multiplayer: modes, detailsPending: detailsPending })
+        });
+
+    } catch (error) {
+        console.error('Group library error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas porównywania bibliotek grupy'
+        });
+    }
+});
+
+module.exports = router;
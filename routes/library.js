@@ -0,0 +1,243 @@
+const express = require('express');
+const { db, libraryQueries } = require('../database/init');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const STATUSES = ['backlog', 'playing', 'completed', 'abandoned'];
+const MAX_NOTES_LENGTH = 2000;
+const MAX_IMPORT = 5000;
+
+// Walidacja appId Steam
+function parseAppId(value) {
+    const appId = Number(value);
+    return Number.isInteger(appId) && appId > 0 ? appId : null;
+}
+
+// Walidacja daty w formacie YYYY-MM-DD
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// Dzisiejsza data w formacie YYYY-MM-DD
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Mapowanie wiersza z bazy na odpowiedź API
+function toLibraryEntry(row) {
+    return {
+        appId: row.app_id,
+        status: row.status,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        notes: row.notes,
+        updatedAt: row.updated_at
+    };
+}
+
+router.use(requireAuth);
+
+// GET /api/library - Cała biblioteka użytkownika
+router.get('/', (req, res) => {
+    try {
+        const games = libraryQueries.findByUser.all(req.session.userId).map(toLibraryEntry);
+
+        res.json({
+            success: true,
+            games: games
+        });
+
+    } catch (error) {
+        console.error('Library fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania biblioteki'
+        });
+    }
+});
+
+// POST /api/library/import - Jednorazowy import ukończonych gier z localStorage
+router.post('/import', (req, res) => {
+    try {
+        const { completedGames } = req.body;
+
+        if (!Array.isArray(completedGames) || completedGames.length > MAX_IMPORT) {
+            return res.status(400).json({
+                success: false,
+                message: `Parametr completedGames musi być listą (max ${MAX_IMPORT})`
+            });
+        }
+
+        const appIds = completedGames.map(parseAppId).filter(Boolean);
+
+        const imported = db.transaction(() => {
+            let count = 0;
+            for (const appId of appIds) {
+                count += libraryQueries.insertIfMissing.run(req.session.userId, appId, 'completed').changes;
+            }
+            return count;
+        })();
+
+        res.json({
+            success: true,
+            imported: imported,
+            skipped: completedGames.length - imported
+        });
+
+    } catch (error) {
+        console.error('Library import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas importu biblioteki'
+        });
+    }
+});
+
+// GET /api/library/:appId - Status pojedynczej gry
+router.get('/:appId', (req, res) => {
+    try {
+        const appId = parseAppId(req.params.appId);
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        const row = libraryQueries.find.get(req.session.userId, appId);
+
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gry nie ma w bibliotece'
+            });
+        }
+
+        res.json({
+            success: true,
+            game: toLibraryEntry(row)
+        });
+
+    } catch (error) {
+        console.error('Library fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania biblioteki'
+        });
+    }
+});
+
+// PUT /api/library/:appId - Ustaw status gry (pola nieprzekazane pozostają bez zmian)
+router.put('/:appId', (req, res) => {
+    try {
+        const appId = parseAppId(req.params.appId);
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        const existing = libraryQueries.find.get(req.session.userId, appId);
+        const { status = existing?.status, notes } = req.body;
+        let { startedAt, finishedAt } = req.body;
+
+        if (!STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status musi być jednym z: ${STATUSES.join(', ')}`
+            });
+        }
+
+        for (const date of [startedAt, finishedAt]) {
+            if (date != null && !isValidDate(date)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Daty muszą mieć format YYYY-MM-DD'
+                });
+            }
+        }
+
+        if (notes != null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `Notatka może mieć maksymalnie ${MAX_NOTES_LENGTH} znaków`
+            });
+        }
+
+        if (startedAt === undefined) startedAt = existing?.started_at ?? null;
+        if (finishedAt === undefined) finishedAt = existing?.finished_at ?? null;
+
+        // Domyślne daty przy zmianie statusu
+        if (status === 'playing' && !startedAt) startedAt = today();
+        if (status === 'completed' && !finishedAt) finishedAt = today();
+
+        if (startedAt && finishedAt && finishedAt < startedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Data ukończenia nie może być wcześniejsza niż data rozpoczęcia'
+            });
+        }
+
+        libraryQueries.upsert.run({
+            userId: req.session.userId,
+            appId: appId,
+            status: status,
+            startedAt: startedAt,
+            finishedAt: finishedAt,
+            notes: notes === undefined ? existing?.notes ?? null : notes
+        });
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            game: toLibraryEntry(libraryQueries.find.get(req.session.userId, appId))
+        });
+
+    } catch (error) {
+        console.error('Library update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas zapisywania gry'
+        });
+    }
+});
+
+// DELETE /api/library/:appId - Usuń grę z biblioteki
+router.delete('/:appId', (req, res) => {
+    try {
+        const appId = parseAppId(req.params.appId);
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        const { changes } = libraryQueries.delete.run(req.session.userId, appId);
+
+        if (changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gry nie ma w bibliotece'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Gra została usunięta z biblioteki'
+        });
+
+    } catch (error) {
+        console.error('Library delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas usuwania gry'
+        });
+    }
+});
+
+module.exports = router;
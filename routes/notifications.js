@@ -0,0 +1,104 @@
+const express = require('express');
+const { notificationQueries } = require('../database/init');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Mapowanie wiersza z bazy na odpowiedź API
+function toNotification(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        appId: row.app_id,
+        gameName: row.game_name,
+        data: row.data ? JSON.parse(row.data) : {},
+        read: row.read_at !== null,
+        createdAt: row.created_at
+    };
+}
+
+router.use(requireAuth);
+
+// GET /api/notifications?page=1&limit=20&unread=1 - Powiadomienia użytkownika od najnowszego
+router.get('/', (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const params = {
+            userId: req.session.userId,
+            unreadOnly: ['1', 'true'].includes(req.query.unread) ? 1 : 0
+        };
+
+        const total = notificationQueries.countByUser.get(params).count;
+        const notifications = notificationQueries.findByUser.all({ ...params, limit, offset: (page - 1) * limit }).map(toNotification);
+
+        res.json({
+            success: true,
+            notifications: notifications,
+            unreadCount: notificationQueries.countByUser.get({ userId: req.session.userId, unreadOnly: 1 }).count,
+            pagination: {
+                page: page,
+                limit: limit,
+                total: total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Notifications fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania powiadomień'
+        });
+    }
+});
+
+// POST /api/notifications/read - Oznacz wszystkie powiadomienia jako przeczytane
+router.post('/read', (req, res) => {
+    try {
+        const { changes } = notificationQueries.markAllRead.run(req.session.userId);
+
+        res.json({
+            success: true,
+            marked: changes
+        });
+
+    } catch (error) {
+        console.error('Notifications update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas oznaczania powiadomień'
+        });
+    }
+});
+
+// POST /api/notifications/:id/read - Oznacz jedno powiadomienie jako przeczytane
+router.post('/:id/read', (req, res) => {
+    try {
+        const { changes } = notificationQueries.markRead.run(Number(req.params.id), req.session.userId);
+
+        if (changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Powiadomienie nie zostało znalezione'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Powiadomienie oznaczone jako przeczytane'
+        });
+
+    } catch (error) {
+        console.error('Notification update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas oznaczania powiadomienia'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const { requireSteam } = require('../middleware/auth');
+const { createRateLimit } = require('../middleware/rateLimit');
+const { BUCKETS, toDateString, addDays, snapshotUser, getPlaytimeHistory } = require('../services/playtimeHistory');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+// Każdy zrzut pobiera całą bibliotekę ze Steam - PLAYTIME_SNAPSHOT_RATE_LIMIT zrzutów na użytkownika w ciągu 10 minut
+const snapshotRateLimit = createRateLimit({
+    windowMs: 10 * 60 * 1000,
+    max: parseInt(process.env.PLAYTIME_SNAPSHOT_RATE_LIMIT, 10) || 5,
+    message: 'Zbyt wiele zrzutów czasu gry - spróbuj ponownie za kilka minut'
+});
+
+// Walidacja daty w formacie YYYY-MM-DD
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// Zakres dat i przedział z query (?from, ?to, ?bucket) - null gdy nieprawidłowe
+function parseRange(query) {
+    const to = query.to || toDateString(new Date());
+    const from = query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+    const bucket = query.bucket || 'day';
+
+    if (!isValidDate(from) || !isValidDate(to) || from > to || !BUCKETS.includes(bucket)) {
+        return null;
+    }
+    if (addDays(from, MAX_RANGE_DAYS) <= to) {
+        return null;
+    }
+    return { from, to, bucket };
+}
+
+router.use(requireSteam);
+
+// Wspólna obsługa historii - wszystkie gry lub jedna
+function sendHistory(req, res, appId) {
+    try {
+        const range = parseRange(req.query);
+
+        if (!range) {
+            return res.status(400).json({
+                success: false,
+                message: `Nieprawidłowy zakres dat (YYYY-MM-DD, max ${MAX_RANGE_DAYS} dni) lub przedział (${BUCKETS.join(', ')})`
+            });
+        }
+
+        const history = getPlaytimeHistory({
+            userId: req.session.userId,
+            steamId: req.session.user.steamId,
+            appId,
+            ...range
+        });
+
+        res.json({
+            success: true,
+            ...history
+        });
+
+    } catch (error) {
+        console.error('Playtime history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania historii czasu gry'
+        });
+    }
+}
+
+// GET /api/playtime/history - Łączny czas gry w przedziałach (?from, ?to, ?bucket=day|week|month)
+router.get('/history', (req, res) => sendHistory(req, res, null));
+
+// GET /api/playtime/history/:appId - Czas gry w jednej grze
+router.get('/history/:appId', (req, res) => {
+    const appId = Number(req.params.appId);
+
+    if (!Number.isInteger(appId) || appId <= 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Nieprawidłowe appId'
+        });
+    }
+
+    sendHistory(req, res, appId);
+});
+
+// POST /api/playtime/snapshot - Zapisz zrzut czasu gry teraz (bez czekania na harmonogram)
+router.post('/snapshot', snapshotRateLimit, async (req, res) => {
+    try {
+        const saved = await snapshotUser(req.session.userId, req.session.user.steamId);
+
+        if (saved === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Brak gier lub profil jest prywatny'
+            });
+        }
+
+        res.json({
+            success: true,
+            saved: saved
+        });
+
+    } catch (error) {
+        console.error('Playtime snapshot error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas zapisywania czasu gry'
+        });
+    }
+});
+
+module.exports = router;
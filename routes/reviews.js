@@ -0,0 +1,298 @@
+const express = require('express');
+const { reviewQueries } = require('../database/init');
+const { requireAuth } = require('../middleware/auth');
+const { recordReview, removeReview } = require('../services/activityFeed');
+const { getOwnedGames } = require('./steam');
+
+const router = express.Router();
+
+const MAX_BODY_LENGTH = 5000;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Walidacja appId Steam
+function parseAppId(value) {
+    const appId = Number(value);
+    return Number.isInteger(appId) && appId > 0 ? appId : null;
+}
+
+// Walidacja danych recenzji - zwraca komunikat błędu lub null
+function validateReview({ rating, body }) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 10) {
+        return 'Ocena musi być liczbą całkowitą od 1 do 10';
+    }
+
+    if (body != null && (typeof body !== 'string' || body.length > MAX_BODY_LENGTH)) {
+        return `Recenzja może mieć maksymalnie ${MAX_BODY_LENGTH} znaków`;
+    }
+
+    return null;
+}
+
+// Gra z biblioteki Steam autora ({ appId, name, playtime, ... }) - null gdy niedostępna
+async function getOwnedGame(req, appId) {
+    const steamId = req.session.user?.steamId;
+
+    if (!steamId || !process.env.STEAM_API_KEY) {
+        return null;
+    }
+
+    try {
+        const result = await getOwnedGames(steamId);
+        return result?.games.find(g => g.appId === appId) || null;
+    } catch (error) {
+        console.error('Review playtime fetch error:', error.message);
+        return null;
+    }
+}
+
+// Mapowanie wiersza z bazy na odpowiedź API
+function toReview(row) {
+    return {
+        id: row.id,
+        appId: row.app_id,
+        rating: row.rating,
+        body: row.body,
+        playtimeMinutes: row.playtime_minutes,
+        playtimeHours: row.playtime_minutes != null ? Math.round(row.playtime_minutes / 60 * 10) / 10 : null,
+        author: row.username !== undefined ? {
+            username: row.username,
+            avatarUrl: row.avatar_url
+        } : undefined,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Mapowanie agregatu ocen
+function toSummary(row) {
+    return {
+        averageRating: row && row.count > 0 ? Math.round(row.average * 10) / 10 : null,
+        reviewCount: row ? row.count : 0
+    };
+}
+
+// GET /api/reviews/averages?appIds=1,2,3 - Średnie oceny wielu gier
+router.get('/averages', (req, res) => {
+    try {
+        const { appIds } = req.query;
+
+        if (!appIds) {
+            return res.status(400).json({
+                success: false,
+                message: 'Brak parametru appIds'
+            });
+        }
+
+        // Parsuj appIds (max 100)
+        const ids = appIds.split(',').map(parseAppId).filter(Boolean).slice(0, 100);
+
+        const averages = {};
+        for (const id of ids) {
+            averages[id] = toSummary(null);
+        }
+        const params = { appIds: JSON.stringify(ids), viewerId: req.session.userId ?? null };
+        for (const row of reviewQueries.summaryByApps.all(params)) {
+            averages[row.app_id] = toSummary(row);
+        }
+
+        res.json({
+            success: true,
+            averages: averages
+        });
+
+    } catch (error) {
+        console.error('Review averages fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania ocen'
+        });
+    }
+});
+
+// GET /api/reviews/:appId?page=1&limit=10 - Recenzje gry z paginacją
+router.get('/:appId', (req, res) => {
+    try {
+        const appId = parseAppId(req.params.appId);
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        // Średnia, lista i paginacja - tylko recenzje widoczne dla oglądającego
+        const params = { appId: appId, viewerId: req.session.userId ?? null };
+        const summary = toSummary(reviewQueries.summaryVisibleByApp.get(params));
+        const total = summary.reviewCount;
+        const reviews = reviewQueries.findByApp.all({ ...params, limit, offset: (page - 1) * limit }).map(toReview);
+
+        res.json({
+            success: true,
+            appId: appId,
+            ...summary,
+            reviews: reviews,
+            pagination: {
+                page: page,
+                limit: limit,
+                total: total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Reviews fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania recenzji'
+        });
+    }
+});
+
+// POST /api/reviews/:appId - Dodaj recenzję
+router.post('/:appId', requireAuth, async (req, res) => {
+    try {
+        const appId = parseAppId(req.params.appId);
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        const { rating, body = null } = req.body;
+
+        const validationError = validateReview({ rating, body });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (reviewQueries.find.get(req.session.userId, appId)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Ta gra ma już Twoją recenzję - edytuj istniejącą'
+            });
+        }
+
+        // Zweryfikowany czas gry (w minutach) i nazwa gry do feedu aktywności
+        const game = await getOwnedGame(req, appId);
+        reviewQueries.create.run(req.session.userId, appId, rating, body, game?.playtime ?? null);
+        recordReview({ userId: req.session.userId, appId, gameName: game?.name || null, rating });
+
+        res.status(201).json({
+            success: true,
+            review: toReview(reviewQueries.find.get(req.session.userId, appId))
+        });
+
+    } catch (error) {
+        console.error('Review create error:', error);
+
+        // Równoległe dodanie tej samej recenzji
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({
+                success: false,
+                message: 'Ta gra ma już Twoją recenzję - edytuj istniejącą'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas zapisywania recenzji'
+        });
+    }
+});
+
+// PUT /api/reviews/:appId - Edytuj własną recenzję (odświeża zweryfikowany czas gry)
+router.put('/:appId', requireAuth, async (req, res) => {
+    try {
+        const appId = parseAppId(req.params.appId);
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        const existing = reviewQueries.find.get(req.session.userId, appId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nie znaleziono recenzji'
+            });
+        }
+
+        const { rating = existing.rating, body = existing.body } = req.body;
+
+        const validationError = validateReview({ rating, body });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const game = await getOwnedGame(req, appId);
+        reviewQueries.update.run(rating, body, game?.playtime ?? existing.playtime_minutes, req.session.userId, appId);
+
+        res.json({
+            success: true,
+            review: toReview(reviewQueries.find.get(req.session.userId, appId))
+        });
+
+    } catch (error) {
+        console.error('Review update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas zapisywania recenzji'
+        });
+    }
+});
+
+// DELETE /api/reviews/:appId - Usuń własną recenzję
+router.delete('/:appId', requireAuth, (req, res) => {
+    try {
+        const appId = parseAppId(req.params.appId);
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        const { changes } = reviewQueries.delete.run(req.session.userId, appId);
+
+        if (changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nie znaleziono recenzji'
+            });
+        }
+
+        removeReview({ userId: req.session.userId, appId });
+
+        res.json({
+            success: true,
+            message: 'Recenzja została usunięta'
+        });
+
+    } catch (error) {
+        console.error('Review delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas usuwania recenzji'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,95 +1,37 @@
 const express = require('express');
-const https = require('https');
+const { steamClient } = require('../services/steamClient');
+const { ggDealsClient } = require('../services/ggDealsClient');
+const { createCache, getCacheStats } = require('../services/cache');
+const { SteamIdError, resolveSteamId } = require('../services/steamId');
+const { MULTIPLAYER_MODES, parseMultiplayerModes, findInvalidMode, storeDetails } = require('../services/storeDetails');
+const { getPriceTimeline } = require('../services/priceHistory');
+const { DEFAULT_REGION, REGIONS, isValidRegion, resolveRegion } = require('../services/priceRegion');
+const { buildLinks } = require('../services/storeLinks');
+const { SORTS, getLibraryValue } = require('../services/libraryValue');
+const { toDateString, addDays } = require('../services/playtimeHistory');
+const { requireSteam, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Cache dla danych Steam (żeby nie odpytywać API zbyt często)
-const gamesCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minut
-
-// Helper do wykonywania zapytań HTTP
-function fetchJSON(url) {
-    return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    const parsed = JSON.parse(data);
-                    // Check for Steam API error responses
-                    if (res.statusCode !== 200) {
-                        console.log(`Steam API returned status ${res.statusCode}:`, parsed);
-                        reject(new Error(`HTTP ${res.statusCode}: ${JSON.stringify(parsed)}`));
-                        return;
-                    }
-                    resolve(parsed);
-                } catch (e) {
-                    console.log(`Failed to parse JSON, status ${res.statusCode}, raw data:`, data.substring(0, 500));
-                    reject(new Error('Invalid JSON response'));
-                }
-            });
-        }).on('error', reject);
-    });
-}
-
-// Middleware sprawdzający czy użytkownik jest zalogowany i ma Steam
-function requireSteam(req, res, next) {
-    if (!req.session.userId) {
-        return res.status(401).json({
-            success: false,
-            message: 'Nie jesteś zalogowany'
-        });
-    }
-
-    if (!req.session.user?.steamId) {
-        return res.status(400).json({
-            success: false,
-            message: 'Konto Steam nie jest połączone'
-        });
-    }
-
-    if (!process.env.STEAM_API_KEY) {
-        return res.status(500).json({
-            success: false,
-            message: 'Steam API nie jest skonfigurowane'
-        });
-    }
-
-    next();
-}
-
-// GET /api/steam/games - Pobierz listę gier użytkownika
-router.get('/games', requireSteam, async (req, res) => {
-    try {
-        const steamId = req.session.user.steamId;
-        const cacheKey = `games_${steamId}`;
-
-        // Sprawdź cache
-        const cached = gamesCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-            return res.json({
-                success: true,
-                games: cached.data,
-                fromCache: true
-            });
-        }
+const gamesCache = createCache('games', {
+    ttl: 5 * 60 * 1000, // 5 minut
+    maxSize: 500,
+    persistent: true
+});
 
+// Pobierz gry Steam użytkownika (z cache) - null gdy brak gier lub profil prywatny
+async function getOwnedGames(steamId) {
+    const { value, fromCache } = await gamesCache.getOrLoad(steamId, async () => {
         // Pobierz gry z Steam API
-        const apiKey = process.env.STEAM_API_KEY;
-        const url = `https://api.steampowered.com/IPlayerService/GetOwnedGames/v1/?key=${apiKey}&steamid=${steamId}&include_appinfo=1&include_played_free_games=1&format=json`;
-
-        const response = await fetchJSON(url);
+        const response = await steamClient.getOwnedGames(steamId);
 
-        if (!response.response || !response.response.games) {
-            return res.json({
-                success: true,
-                games: [],
-                message: 'Brak gier lub profil jest prywatny'
-            });
+        if (!response.games) {
+            return null;
         }
 
         // Przetwórz dane gier
-        const games = response.response.games.map(game => ({
+        const games = response.games.map(game => ({
             appId: game.appid,
             name: game.name,
             playtime: game.playtime_forever, // w minutach
@@ -108,16 +50,58 @@ router.get('/games', requireSteam, async (req, res) => {
         // Sortuj po czasie gry (malejąco)
         games.sort((a, b) => b.playtime - a.playtime);
 
-        // Zapisz w cache
-        gamesCache.set(cacheKey, {
-            data: games,
-            timestamp: Date.now()
-        });
+        return { games, totalGames: response.game_count };
+    });
+
+    return value ? { ...value, fromCache } : null;
+}
+
+// Filtr ?multiplayer= listy gier (bez filtra - lista bez zmian)
+function filterGames(games, modes) {
+    return modes ? { ...storeDetails.filterByMultiplayer(games, modes), multiplayer: modes } : { games };
+}
+
+// Odpowiedź 400 dla nieznanego trybu z ?multiplayer=
+function sendInvalidMode(res, mode) {
+    return res.status(400).json({
+        success: false,
+        message: `Nieznany tryb gry wieloosobowej: ${mode} (dozwolone: ${Object.keys(MULTIPLAYER_MODES).join(', ')})`
+    });
+}
+
+// GET /api/steam/games?multiplayer=coop,pvp - Pobierz listę gier użytkownika
+router.get('/games', requireSteam, async (req, res) => {
+    try {
+        const steamId = req.session.user.steamId;
+        const modes = parseMultiplayerModes(req.query.multiplayer);
+        const invalidMode = findInvalidMode(modes);
+
+        if (invalidMode) {
+            return sendInvalidMode(res, invalidMode);
+        }
+
+        const result = await getOwnedGames(steamId);
+
+        if (!result) {
+            return res.json({
+                success: true,
+                games: [],
+                message: 'Brak gier lub profil jest prywatny'
+            });
+        }
+
+        if (result.fromCache) {
+            return res.json({
+                success: true,
+                ...filterGames(result.games, modes),
+                fromCache: true
+            });
+        }
 
         res.json({
             success: true,
-            games: games,
-            totalGames: response.response.game_count,
+            ...filterGames(result.games, modes),
+            totalGames: result.totalGames,
             steamId: steamId
         });
 
@@ -130,7 +114,17 @@ router.get('/games', requireSteam, async (req, res) => {
     }
 });
 
-// GET /api/steam/games/:steamId - Pobierz gry innego użytkownika (jeśli publiczne)
+// Odpowiedź z kodem błędu dla nieprawidłowego lub nieznanego Steam ID
+function sendSteamIdError(res, error) {
+    return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+    });
+}
+
+// GET /api/steam/games/:steamId?multiplayer=coop - Pobierz gry innego użytkownika (jeśli publiczne).
+// :steamId może być SteamID64, SteamID2/3, nazwą vanity lub linkiem do profilu (zakodowanym w URL)
 router.get('/games/:steamId', async (req, res) => {
     try {
         if (!process.env.STEAM_API_KEY) {
@@ -140,72 +134,49 @@ router.get('/games/:steamId', async (req, res) => {
             });
         }
 
-        const steamId = req.params.steamId;
+        const modes = parseMultiplayerModes(req.query.multiplayer);
+        const invalidMode = findInvalidMode(modes);
 
-        // Walidacja Steam ID (64-bit)
-        if (!/^\d{17}$/.test(steamId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Nieprawidłowy format Steam ID'
-            });
+        if (invalidMode) {
+            return sendInvalidMode(res, invalidMode);
         }
 
-        const cacheKey = `games_${steamId}`;
+        const { steamId } = await resolveSteamId(req.params.steamId);
+
+        const result = await getOwnedGames(steamId);
 
-        // Sprawdź cache
-        const cached = gamesCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        if (!result) {
             return res.json({
                 success: true,
-                games: cached.data,
-                fromCache: true
+                games: [],
+                steamId: steamId,
+                isPrivate: true,
+                code: 'PRIVATE_PROFILE',
+                message: 'Brak gier lub profil jest prywatny'
             });
         }
 
-        // Pobierz gry z Steam API
-        const apiKey = process.env.STEAM_API_KEY;
-        const url = `https://api.steampowered.com/IPlayerService/GetOwnedGames/v1/?key=${apiKey}&steamid=${steamId}&include_appinfo=1&include_played_free_games=1&format=json`;
-
-        const response = await fetchJSON(url);
-
-        if (!response.response || !response.response.games) {
+        if (result.fromCache) {
             return res.json({
                 success: true,
-                games: [],
-                message: 'Brak gier lub profil jest prywatny'
+                ...filterGames(result.games, modes),
+                steamId: steamId,
+                fromCache: true
             });
         }
 
-        // Przetwórz dane gier
-        const games = response.response.games.map(game => ({
-            appId: game.appid,
-            name: game.name,
-            playtime: game.playtime_forever,
-            playtimeHours: Math.round(game.playtime_forever / 60 * 10) / 10,
-            playtime2Weeks: game.playtime_2weeks || 0,
-            iconUrl: game.img_icon_url
-                ? `https://media.steampowered.com/steamcommunity/public/images/apps/${game.appid}/${game.img_icon_url}.jpg`
-                : null,
-            headerUrl: `https://cdn.cloudflare.steamstatic.com/steam/apps/${game.appid}/header.jpg`,
-            lastPlayed: game.rtime_last_played || null
-        }));
-
-        games.sort((a, b) => b.playtime - a.playtime);
-
-        // Zapisz w cache
-        gamesCache.set(cacheKey, {
-            data: games,
-            timestamp: Date.now()
-        });
-
         res.json({
             success: true,
-            games: games,
-            totalGames: response.response.game_count,
+            ...filterGames(result.games, modes),
+            totalGames: result.totalGames,
             steamId: steamId
         });
 
     } catch (error) {
+        if (error instanceof SteamIdError) {
+            return sendSteamIdError(res, error);
+        }
+
         console.error('Steam games fetch error:', error);
         res.status(500).json({
             success: false,
@@ -218,20 +189,17 @@ router.get('/games/:steamId', async (req, res) => {
 router.get('/profile', requireSteam, async (req, res) => {
     try {
         const steamId = req.session.user.steamId;
-        const apiKey = process.env.STEAM_API_KEY;
-
-        const url = `https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?key=${apiKey}&steamids=${steamId}`;
 
-        const response = await fetchJSON(url);
+        const players = await steamClient.getPlayerSummaries(steamId);
 
-        if (!response.response || !response.response.players || response.response.players.length === 0) {
+        if (players.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Nie znaleziono profilu Steam'
             });
         }
 
-        const player = response.response.players[0];
+        const player = players[0];
 
         res.json({
             success: true,
@@ -258,6 +226,7 @@ router.get('/profile', requireSteam, async (req, res) => {
 });
 
 // GET /api/steam/profile/:steamId - Pobierz profil innego użytkownika Steam
+// :steamId może być SteamID64, SteamID2/3, nazwą vanity lub linkiem do profilu (zakodowanym w URL)
 router.get('/profile/:steamId', async (req, res) => {
     try {
         if (!process.env.STEAM_API_KEY) {
@@ -267,28 +236,18 @@ router.get('/profile/:steamId', async (req, res) => {
             });
         }
 
-        const steamId = req.params.steamId;
-
-        if (!/^\d{17}$/.test(steamId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Nieprawidłowy format Steam ID'
-            });
-        }
-
-        const apiKey = process.env.STEAM_API_KEY;
-        const url = `https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?key=${apiKey}&steamids=${steamId}`;
+        const { steamId } = await resolveSteamId(req.params.steamId);
 
-        const response = await fetchJSON(url);
+        const players = await steamClient.getPlayerSummaries(steamId);
 
-        if (!response.response || !response.response.players || response.response.players.length === 0) {
+        if (players.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Nie znaleziono profilu Steam'
             });
         }
 
-        const player = response.response.players[0];
+        const player = players[0];
 
         res.json({
             success: true,
@@ -306,6 +265,10 @@ router.get('/profile/:steamId', async (req, res) => {
         });
 
     } catch (error) {
+        if (error instanceof SteamIdError) {
+            return sendSteamIdError(res, error);
+        }
+
         console.error('Steam profile fetch error:', error);
         res.status(500).json({
             success: false,
@@ -314,8 +277,8 @@ router.get('/profile/:steamId', async (req, res) => {
     }
 });
 
-// GET /api/steam/resolve/:vanityUrl - Zamień vanity URL na Steam ID
-router.get('/resolve/:vanityUrl', async (req, res) => {
+// GET /api/steam/resolve/:input - Zamień vanity URL, link do profilu, SteamID2/3 lub SteamID64 na SteamID64
+router.get('/resolve/:input', async (req, res) => {
     try {
         if (!process.env.STEAM_API_KEY) {
             return res.status(500).json({
@@ -324,26 +287,19 @@ router.get('/resolve/:vanityUrl', async (req, res) => {
             });
         }
 
-        const vanityUrl = req.params.vanityUrl;
-        const apiKey = process.env.STEAM_API_KEY;
-
-        const url = `https://api.steampowered.com/ISteamUser/ResolveVanityURL/v1/?key=${apiKey}&vanityurl=${encodeURIComponent(vanityUrl)}`;
-
-        const response = await fetchJSON(url);
-
-        if (!response.response || response.response.success !== 1) {
-            return res.status(404).json({
-                success: false,
-                message: 'Nie znaleziono użytkownika Steam'
-            });
-        }
+        const { type, steamId } = await resolveSteamId(req.params.input);
 
         res.json({
             success: true,
-            steamId: response.response.steamid
+            steamId: steamId,
+            inputType: type
         });
 
     } catch (error) {
+        if (error instanceof SteamIdError) {
+            return sendSteamIdError(res, error);
+        }
+
         console.error('Steam resolve error:', error);
         res.status(500).json({
             success: false,
@@ -353,15 +309,147 @@ router.get('/resolve/:vanityUrl', async (req, res) => {
 });
 
 // Cache dla osiągnięć
-const achievementsCache = new Map();
-const ACHIEVEMENTS_CACHE_TTL = 10 * 60 * 1000; // 10 minut
+const achievementsCache = createCache('achievements', {
+    ttl: 10 * 60 * 1000, // 10 minut
+    maxSize: 5000,
+    persistent: true
+});
+
+// Wynik dla gry bez osiągnięć
+function noAchievements(appId) {
+    return {
+        appId: parseInt(appId),
+        hasAchievements: false,
+        total: 0,
+        unlocked: 0,
+        percentage: 0
+    };
+}
+
+// Podsumowanie osiągnięć gracza w grze (z cache). Błąd 403 = profil prywatny
+async function getAchievementSummary(steamId, appId) {
+    return achievementsCache.getOrLoad(`${steamId}_${appId}`, async () => {
+        let playerstats;
+        try {
+            playerstats = await steamClient.getPlayerAchievements(steamId, appId);
+        } catch (error) {
+            // Steam zwraca HTTP 400 dla gier bez osiągnięć - to normalne
+            if (error.message === 'Invalid JSON response' || error.status === 400) {
+                console.log(`[Achievements] Game ${appId} has no achievements (HTTP 400)`);
+                return noAchievements(appId);
+            }
+            throw error;
+        }
+
+        // Gra może nie mieć osiągnięć lub Steam zwrócił sukces=false
+        if (!playerstats || playerstats.success === false || !playerstats.achievements) {
+            return noAchievements(appId);
+        }
+
+        const achievements = playerstats.achievements;
+        const total = achievements.length;
+        const unlocked = achievements.filter(a => a.achieved === 1).length;
+        const percentage = total > 0 ? Math.round((unlocked / total) * 100) : 0;
+
+        return {
+            appId: parseInt(appId),
+            hasAchievements: true,
+            total,
+            unlocked,
+            percentage,
+            gameName: playerstats.gameName
+        };
+    });
+}
+
+// Cache dla szczegółów osiągnięć (lista gracza, schemat gry, globalna rzadkość)
+const playerAchievementsCache = createCache('playerAchievements', {
+    ttl: 10 * 60 * 1000, // 10 minut
+    maxSize: 2000,
+    persistent: true
+});
+const achievementSchemaCache = createCache('achievementSchemas', {
+    ttl: 24 * 60 * 60 * 1000, // 24 godziny
+    maxSize: 1000,
+    persistent: true
+});
+const globalAchievementsCache = createCache('globalAchievements', {
+    ttl: 60 * 60 * 1000, // 1 godzina
+    maxSize: 1000,
+    persistent: true
+});
+
+const ACHIEVEMENT_LANGUAGES = { pl: 'polish', en: 'english' };
+
+// Szczegółowe osiągnięcia gracza: stan z GetPlayerAchievements połączony ze schematem
+// gry (nazwy, ikony, ukryte) i globalną rzadkością. null gdy gra nie ma osiągnięć.
+// Błąd 403 = profil prywatny
+async function getAchievementDetails(steamId, appId, language = 'polish') {
+    const { value: player } = await playerAchievementsCache.getOrLoad(`${steamId}_${appId}`, async () => {
+        let playerstats;
+        try {
+            playerstats = await steamClient.getPlayerAchievements(steamId, appId);
+        } catch (error) {
+            // Steam zwraca HTTP 400 dla gier bez osiągnięć
+            if (error.message === 'Invalid JSON response' || error.status === 400) {
+                return { gameName: null, achievements: [] };
+            }
+            throw error;
+        }
+
+        return {
+            gameName: playerstats?.gameName || null,
+            achievements: (playerstats?.achievements || []).map(a => ({
+                apiName: a.apiname,
+                achieved: a.achieved === 1,
+                unlockTime: a.unlocktime || null
+            }))
+        };
+    });
+
+    if (player.achievements.length === 0) {
+        return null;
+    }
+
+    const [{ value: schema }, { value: global }] = await Promise.all([
+        achievementSchemaCache.getOrLoad(`${appId}_${language}`, () => steamClient.getSchemaForGame(appId, { language })),
+        globalAchievementsCache.getOrLoad(String(appId), () => steamClient.getGlobalAchievementPercentagesForApp(appId))
+    ]);
+
+    const schemaByName = new Map(schema.map(a => [a.name, a]));
+    const percentByName = new Map(global.map(a => [a.name, a.percent]));
+
+    const achievements = player.achievements.map(a => {
+        const info = schemaByName.get(a.apiName) || {};
+        const globalPercent = percentByName.get(a.apiName);
+
+        return {
+            apiName: a.apiName,
+            name: info.displayName || a.apiName,
+            description: info.description || null,
+            iconUrl: (a.achieved ? info.icon : info.icongray) || null,
+            hidden: info.hidden === 1,
+            achieved: a.achieved,
+            unlockedAt: a.achieved && a.unlockTime ? new Date(a.unlockTime * 1000).toISOString() : null,
+            globalPercent: globalPercent !== undefined ? Math.round(globalPercent * 10) / 10 : null
+        };
+    });
+
+    return { gameName: player.gameName, achievements };
+}
+
+// Sortowanie szczegółów osiągnięć
+const ACHIEVEMENT_SORTS = {
+    rarest: (a, b) => (a.globalPercent ?? Infinity) - (b.globalPercent ?? Infinity),
+    common: (a, b) => (b.globalPercent ?? -Infinity) - (a.globalPercent ?? -Infinity),
+    recent: (a, b) => (b.unlockedAt || '').localeCompare(a.unlockedAt || ''),
+    name: (a, b) => a.name.localeCompare(b.name)
+};
 
 // GET /api/steam/achievements/:appId - Pobierz osiągnięcia dla gry
 router.get('/achievements/:appId', async (req, res) => {
-    console.log(`[Achievements] Request for appId=${req.params.appId}, userId=${req.session?.userId}, steamId=${req.session?.user?.steamId}`);
     try {
         if (!req.session.userId || !req.session.user?.steamId) {
-            console.log('[Achievements] Unauthorized - missing session userId or steamId');
             return res.status(401).json({
                 success: false,
                 message: 'Nie jesteś zalogowany lub brak połączenia Steam'
@@ -375,94 +463,89 @@ router.get('/achievements/:appId', async (req, res) => {
             });
         }
 
+        const { value, fromCache } = await getAchievementSummary(req.session.user.steamId, req.params.appId);
+
+        res.json({
+            success: true,
+            ...value,
+            ...(fromCache && { fromCache: true })
+        });
+
+    } catch (error) {
+        console.error('Steam achievements fetch error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania osiągnięć'
+        });
+    }
+});
+
+// GET /api/steam/achievements/:appId/details - Wszystkie osiągnięcia z ikonami i rzadkością
+// Parametry: filter=all|locked|unlocked, sort=rarest|common|recent|name, lang=pl|en
+router.get('/achievements/:appId/details', requireSteam, async (req, res) => {
+    try {
         const appId = req.params.appId;
-        const steamId = req.session.user.steamId;
-        const cacheKey = `achievements_${steamId}_${appId}`;
 
-        // Sprawdź cache
-        const cached = achievementsCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < ACHIEVEMENTS_CACHE_TTL) {
-            return res.json({
-                success: true,
-                ...cached.data,
-                fromCache: true
+        if (!/^\d+$/.test(appId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
             });
         }
 
-        const apiKey = process.env.STEAM_API_KEY;
-        const url = `https://api.steampowered.com/ISteamUserStats/GetPlayerAchievements/v1/?key=${apiKey}&steamid=${steamId}&appid=${appId}&l=polish`;
-
-        console.log(`Fetching achievements for appId=${appId}, steamId=${steamId}`);
-        const response = await fetchJSON(url);
-        console.log(`Achievements response for ${appId}:`, JSON.stringify(response).substring(0, 500));
+        const { filter = 'all', sort, lang = 'pl' } = req.query;
 
-        // Gra może nie mieć osiągnięć lub błąd w odpowiedzi
-        if (!response.playerstats) {
-            console.log(`No playerstats in response for ${appId}`);
-            return res.json({
-                success: true,
-                appId: parseInt(appId),
-                hasAchievements: false,
-                total: 0,
-                unlocked: 0,
-                percentage: 0
+        if (!['all', 'locked', 'unlocked'].includes(filter) || (sort && !ACHIEVEMENT_SORTS[sort])) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowy filtr lub sortowanie'
             });
         }
 
-        // Sprawdź czy są osiągnięcia lub czy Steam zwrócił sukces=false
-        if (response.playerstats.success === false || !response.playerstats.achievements) {
-            console.log(`No achievements or success=false for ${appId}:`, response.playerstats.error || 'no error message');
+        const details = await getAchievementDetails(
+            req.session.user.steamId,
+            appId,
+            ACHIEVEMENT_LANGUAGES[lang] || ACHIEVEMENT_LANGUAGES.pl
+        );
+
+        if (!details) {
             return res.json({
                 success: true,
-                appId: parseInt(appId),
-                hasAchievements: false,
-                total: 0,
-                unlocked: 0,
-                percentage: 0
+                ...noAchievements(appId),
+                achievements: []
             });
         }
 
-        const achievements = response.playerstats.achievements;
-        const total = achievements.length;
-        const unlocked = achievements.filter(a => a.achieved === 1).length;
-        const percentage = total > 0 ? Math.round((unlocked / total) * 100) : 0;
+        const all = details.achievements;
+        const unlocked = all.filter(a => a.achieved).length;
 
-        const result = {
-            appId: parseInt(appId),
-            hasAchievements: true,
-            total,
-            unlocked,
-            percentage,
-            gameName: response.playerstats.gameName
-        };
-
-        // Zapisz w cache
-        achievementsCache.set(cacheKey, {
-            data: result,
-            timestamp: Date.now()
-        });
+        let achievements = all;
+        if (filter === 'locked') achievements = all.filter(a => !a.achieved);
+        if (filter === 'unlocked') achievements = all.filter(a => a.achieved);
+        if (sort) achievements = [...achievements].sort(ACHIEVEMENT_SORTS[sort]);
 
         res.json({
             success: true,
-            ...result
+            appId: parseInt(appId),
+            gameName: details.gameName,
+            hasAchievements: true,
+            total: all.length,
+            unlocked: unlocked,
+            percentage: Math.round((unlocked / all.length) * 100),
+            achievements: achievements
         });
 
     } catch (error) {
-        // Steam zwraca HTTP 400 dla gier bez osiągnięć - to normalne
-        if (error.message === 'Invalid JSON response' || error.message.includes('HTTP 400')) {
-            console.log(`[Achievements] Game ${req.params.appId} has no achievements (HTTP 400)`);
-            return res.json({
-                success: true,
-                appId: parseInt(req.params.appId),
-                hasAchievements: false,
-                total: 0,
-                unlocked: 0,
-                percentage: 0
+        // Steam zwraca HTTP 403 dla prywatnych profili
+        if (error.status === 403) {
+            return res.status(403).json({
+                success: false,
+                isPrivate: true,
+                message: 'Profil Steam jest prywatny'
             });
         }
 
-        // Prawdziwy błąd
-        console.error('Steam achievements fetch error:', error.message);
+        console.error('Steam achievement details fetch error:', error.message);
         res.status(500).json({
             success: false,
             message: 'Błąd podczas pobierania osiągnięć'
@@ -470,9 +553,29 @@ router.get('/achievements/:appId', async (req, res) => {
     }
 });
 
-// GET /api/steam/achievements/:appId/:steamId - Pobierz osiągnięcia dla gry dla konkretnego użytkownika
-router.get('/achievements/:appId/:steamId', async (req, res) => {
-    console.log(`[FriendAchievements] Request for appId=${req.params.appId}, friendSteamId=${req.params.steamId}`);
+// Szczegóły osiągnięć jednej strony porównania - profil prywatny (HTTP 403) nie przerywa porównania
+async function loadComparisonSide(steamId, appId, language) {
+    try {
+        return { details: await getAchievementDetails(steamId, appId, language), isPrivate: false };
+    } catch (error) {
+        if (error.status === 403 || error.message.includes('Profile is not public')) {
+            return { details: null, isPrivate: true };
+        }
+        throw error;
+    }
+}
+
+// Kto pierwszy zdobył osiągnięcie odblokowane przez obu graczy
+function firstUnlockedBy(myUnlockedAt, friendUnlockedAt) {
+    if (!myUnlockedAt || !friendUnlockedAt) return null;
+    if (myUnlockedAt === friendUnlockedAt) return 'tie';
+    return myUnlockedAt < friendUnlockedAt ? 'me' : 'friend';
+}
+
+// GET /api/steam/achievements/:appId/compare/:steamId - Porównanie osiągnięć z innym graczem
+// Parametry: me=<Steam ID> (domyślnie Steam zalogowanego użytkownika), lang=pl|en.
+// Oba Steam ID mogą być SteamID64, SteamID2/3, nazwą vanity lub linkiem do profilu
+router.get('/achievements/:appId/compare/:steamId', async (req, res) => {
     try {
         if (!req.session.userId) {
             return res.status(401).json({
@@ -489,104 +592,158 @@ router.get('/achievements/:appId/:steamId', async (req, res) => {
         }
 
         const appId = req.params.appId;
-        const steamId = req.params.steamId;
+        const myInput = req.query.me || req.session.user?.steamId;
 
-        // Walidacja Steam ID
-        if (!/^\d{17}$/.test(steamId)) {
+        if (!myInput) {
             return res.status(400).json({
                 success: false,
-                message: 'Nieprawidłowy format Steam ID'
+                message: 'Najpierw połącz konto Steam'
             });
         }
 
-        const cacheKey = `achievements_${steamId}_${appId}`;
-
-        // Sprawdź cache
-        const cached = achievementsCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < ACHIEVEMENTS_CACHE_TTL) {
-            return res.json({
-                success: true,
-                ...cached.data,
-                fromCache: true
+        if (!/^\d+$/.test(appId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
             });
         }
 
-        const apiKey = process.env.STEAM_API_KEY;
-        const url = `https://api.steampowered.com/ISteamUserStats/GetPlayerAchievements/v1/?key=${apiKey}&steamid=${steamId}&appid=${appId}&l=polish`;
+        const [{ steamId: mySteamId }, { steamId: friendSteamId }] = await Promise.all([
+            resolveSteamId(myInput),
+            resolveSteamId(req.params.steamId)
+        ]);
 
-        console.log(`Fetching achievements for friend appId=${appId}, steamId=${steamId}`);
-        const response = await fetchJSON(url);
+        const language = ACHIEVEMENT_LANGUAGES[req.query.lang] || ACHIEVEMENT_LANGUAGES.pl;
+        const [mine, friends] = await Promise.all([
+            loadComparisonSide(mySteamId, appId, language),
+            loadComparisonSide(friendSteamId, appId, language)
+        ]);
 
-        if (!response.playerstats) {
+        // Tak jak przy osiągnięciach znajomego: prywatny profil to nie błąd, tylko brak danych
+        if (mine.isPrivate || friends.isPrivate) {
+            console.log(`[AchievementCompare] Game ${appId} - private profile`);
             return res.json({
                 success: true,
-                appId: parseInt(appId),
-                hasAchievements: false,
-                total: 0,
-                unlocked: 0,
-                percentage: 0
+                ...noAchievements(appId),
+                isPrivate: true,
+                privateProfiles: {
+                    me: mine.isPrivate,
+                    friend: friends.isPrivate
+                }
             });
         }
 
-        if (response.playerstats.success === false || !response.playerstats.achievements) {
+        if (!mine.details || !friends.details) {
             return res.json({
                 success: true,
-                appId: parseInt(appId),
-                hasAchievements: false,
-                total: 0,
-                unlocked: 0,
-                percentage: 0
+                ...noAchievements(appId)
             });
         }
 
-        const achievements = response.playerstats.achievements;
-        const total = achievements.length;
-        const unlocked = achievements.filter(a => a.achieved === 1).length;
-        const percentage = total > 0 ? Math.round((unlocked / total) * 100) : 0;
+        const friendByName = new Map(friends.details.achievements.map(a => [a.apiName, a]));
+        const both = [];
+        const onlyMe = [];
+        const onlyFriend = [];
+        let lockedByBoth = 0;
+
+        for (const achievement of mine.details.achievements) {
+            const friend = friendByName.get(achievement.apiName);
+            const friendAchieved = Boolean(friend?.achieved);
+            const { achieved, unlockedAt, ...info } = achievement;
+
+            if (achieved && friendAchieved) {
+                both.push({
+                    ...info,
+                    myUnlockedAt: unlockedAt,
+                    friendUnlockedAt: friend.unlockedAt,
+                    firstUnlockedBy: firstUnlockedBy(unlockedAt, friend.unlockedAt)
+                });
+            } else if (achieved) {
+                onlyMe.push({ ...info, unlockedAt });
+            } else if (friendAchieved) {
+                onlyFriend.push({ ...info, unlockedAt: friend.unlockedAt });
+            } else {
+                lockedByBoth++;
+            }
+        }
+
+        const total = mine.details.achievements.length;
 
-        const result = {
+        res.json({
+            success: true,
             appId: parseInt(appId),
+            gameName: mine.details.gameName,
             hasAchievements: true,
-            total,
-            unlocked,
-            percentage
-        };
+            total: total,
+            me: {
+                steamId: mySteamId,
+                unlocked: both.length + onlyMe.length,
+                firstUnlocks: both.filter(a => a.firstUnlockedBy === 'me').length
+            },
+            friend: {
+                steamId: friendSteamId,
+                unlocked: both.length + onlyFriend.length,
+                firstUnlocks: both.filter(a => a.firstUnlockedBy === 'friend').length
+            },
+            lockedByBoth: lockedByBoth,
+            both: both,
+            onlyMe: onlyMe,
+            onlyFriend: onlyFriend
+        });
 
-        achievementsCache.set(cacheKey, {
-            data: result,
-            timestamp: Date.now()
+    } catch (error) {
+        if (error instanceof SteamIdError) {
+            return sendSteamIdError(res, error);
+        }
+
+        console.error('Steam achievement compare error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas porównywania osiągnięć'
         });
+    }
+});
+
+// GET /api/steam/achievements/:appId/:steamId - Pobierz osiągnięcia dla gry dla konkretnego użytkownika
+// :steamId może być SteamID64, SteamID2/3, nazwą vanity lub linkiem do profilu (zakodowanym w URL)
+router.get('/achievements/:appId/:steamId', async (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Nie jesteś zalogowany'
+            });
+        }
+
+        if (!process.env.STEAM_API_KEY) {
+            return res.status(500).json({
+                success: false,
+                message: 'Steam API nie jest skonfigurowane'
+            });
+        }
+
+        const { steamId } = await resolveSteamId(req.params.steamId);
+
+        const { value, fromCache } = await getAchievementSummary(steamId, req.params.appId);
 
         res.json({
             success: true,
-            ...result
+            ...value,
+            ...(fromCache && { fromCache: true })
         });
 
     } catch (error) {
-        // Steam zwraca HTTP 400 dla gier bez osiągnięć - to normalne
-        if (error.message === 'Invalid JSON response' || error.message.includes('HTTP 400')) {
-            console.log(`[FriendAchievements] Game ${req.params.appId} has no achievements (HTTP 400)`);
-            return res.json({
-                success: true,
-                appId: parseInt(req.params.appId),
-                hasAchievements: false,
-                total: 0,
-                unlocked: 0,
-                percentage: 0
-            });
+        if (error instanceof SteamIdError) {
+            return sendSteamIdError(res, error);
         }
 
         // Steam zwraca HTTP 403 dla prywatnych profili
-        if (error.message.includes('HTTP 403') || error.message.includes('Profile is not public')) {
+        if (error.status === 403 || error.message.includes('Profile is not public')) {
             console.log(`[FriendAchievements] Game ${req.params.appId} - private profile`);
             return res.json({
                 success: true,
-                appId: parseInt(req.params.appId),
-                hasAchievements: false,
-                isPrivate: true,
-                total: 0,
-                unlocked: 0,
-                percentage: 0
+                ...noAchievements(req.params.appId),
+                isPrivate: true
             });
         }
 
@@ -599,17 +756,37 @@ router.get('/achievements/:appId/:steamId', async (req, res) => {
     }
 });
 
+// Cache dla list znajomych (feed aktywności)
+const friendListCache = createCache('friendLists', {
+    ttl: 10 * 60 * 1000, // 10 minut
+    maxSize: 1000
+});
+
+// Steam ID znajomych użytkownika (z cache) - pusta lista gdy lista jest prywatna
+async function getFriendSteamIds(steamId) {
+    const { value } = await friendListCache.getOrLoad(steamId, async () => {
+        try {
+            const friendList = await steamClient.getFriendList(steamId);
+            return (friendList || []).map(f => f.steamid);
+        } catch (error) {
+            if (error.status === 401 || error.status === 403) {
+                return [];
+            }
+            throw error;
+        }
+    });
+    return value;
+}
+
 // GET /api/steam/friends - Pobierz listę znajomych Steam
 router.get('/friends', requireSteam, async (req, res) => {
     try {
-        const apiKey = process.env.STEAM_API_KEY;
         const steamId = req.session.user.steamId;
 
         // Pobierz listę znajomych
-        const friendsUrl = `https://api.steampowered.com/ISteamUser/GetFriendList/v1/?key=${apiKey}&steamid=${steamId}&relationship=friend`;
-        const friendsResponse = await fetchJSON(friendsUrl);
+        const friendList = await steamClient.getFriendList(steamId);
 
-        if (!friendsResponse.friendslist || !friendsResponse.friendslist.friends) {
+        if (!friendList) {
             return res.json({
                 success: true,
                 friends: [],
@@ -617,7 +794,7 @@ router.get('/friends', requireSteam, async (req, res) => {
             });
         }
 
-        const friendIds = friendsResponse.friendslist.friends.map(f => f.steamid);
+        const friendIds = friendList.map(f => f.steamid);
 
         if (friendIds.length === 0) {
             return res.json({
@@ -627,18 +804,13 @@ router.get('/friends', requireSteam, async (req, res) => {
         }
 
         // Pobierz dane profili znajomych (max 100 na raz)
-        const profilesUrl = `https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?key=${apiKey}&steamids=${friendIds.join(',')}`;
-        const profilesResponse = await fetchJSON(profilesUrl);
-
-        if (!profilesResponse.response || !profilesResponse.response.players) {
-            return res.json({
-                success: true,
-                friends: []
-            });
+        const players = [];
+        for (let i = 0; i < friendIds.length; i += 100) {
+            players.push(...await steamClient.getPlayerSummaries(friendIds.slice(i, i + 100)));
         }
 
         // Mapuj dane znajomych
-        const friends = profilesResponse.response.players.map(player => ({
+        const friends = players.map(player => ({
             steamId: player.steamid,
             username: player.personaname,
             avatarUrl: player.avatarmedium || player.avatar,
@@ -662,7 +834,7 @@ router.get('/friends', requireSteam, async (req, res) => {
         console.error('Steam friends fetch error:', error.message);
 
         // Lista znajomych może być prywatna
-        if (error.message.includes('HTTP 401') || error.message.includes('HTTP 403')) {
+        if (error.status === 401 || error.status === 403) {
             return res.json({
                 success: true,
                 friends: [],
@@ -678,10 +850,83 @@ router.get('/friends', requireSteam, async (req, res) => {
 });
 
 // Cache dla cen z gg.deals
-const pricesCache = new Map();
-const PRICES_CACHE_TTL = 30 * 60 * 1000; // 30 minut
+const pricesCache = createCache('prices', {
+    ttl: 30 * 60 * 1000, // 30 minut
+    maxSize: 1000,
+    persistent: true
+});
+
+// Ceny gier z gg.deals w danym regionie (max 100 appId, z cache) - { value: { [appId]: cena | null }, fromCache }
+async function getPrices(appIds, region = DEFAULT_REGION) {
+    const ids = appIds.map(String).slice(0, 100);
+    const cacheKey = `${region}:${[...ids].sort().join('_')}`;
+
+    return pricesCache.getOrLoad(cacheKey, async () => {
+        // Pobierz ceny z gg.deals API
+        const data = await ggDealsClient.getPricesBySteamAppIds(ids, { region });
 
-// GET /api/steam/prices - Pobierz ceny gier z gg.deals
+        // Przetwórz odpowiedź - priorytet: keyshops (Kinguin, G2A, itp.)
+        const prices = {};
+        for (const [appId, gameData] of Object.entries(data)) {
+            if (gameData && gameData.prices) {
+                const p = gameData.prices;
+
+                // Priorytet: cena z keyshopów, potem retail
+                const currentKeyshop = p.currentKeyshops ? parseFloat(p.currentKeyshops) : null;
+                const currentRetail = p.currentRetail ? parseFloat(p.currentRetail) : null;
+
+                // Użyj najniższej ceny z keyshopów (Kinguin, G2A, itp.)
+                const current = currentKeyshop || currentRetail;
+
+                // Historyczna najniższa cena
+                const historicalKeyshop = p.historicalKeyshops ? parseFloat(p.historicalKeyshops) : null;
+                const historicalRetail = p.historicalRetail ? parseFloat(p.historicalRetail) : null;
+                const historicalLow = Math.min(
+                    historicalKeyshop || Infinity,
+                    historicalRetail || Infinity
+                );
+
+                // Oblicz zniżkę vs cena retail Steam
+                let discount = 0;
+                if (current && currentRetail && currentRetail > current) {
+                    discount = Math.round((1 - current / currentRetail) * 100);
+                }
+
+                prices[appId] = {
+                    name: gameData.title || null,
+                    currentPrice: current,
+                    regularPrice: currentRetail,
+                    discount: discount,
+                    currency: p.currency || REGIONS[region],
+                    url: gameData.url || `https://gg.deals/game/?steam_app_id=${appId}`,
+                    historicalLow: historicalLow === Infinity ? null : historicalLow,
+                    source: currentKeyshop ? 'keyshop' : 'retail'
+                };
+            } else {
+                prices[appId] = null;
+            }
+        }
+
+        return prices;
+    });
+}
+
+// Ceny dowolnej liczby gier - zapytania do gg.deals w paczkach po 100 (każda paczka z własnym cache).
+// appIds są sortowane, żeby ta sama biblioteka dawała te same paczki (i trafienia w cache)
+async function getPricesBatched(appIds, region = DEFAULT_REGION) {
+    const ids = [...new Set(appIds.map(String))].sort();
+    const prices = {};
+
+    for (let i = 0; i < ids.length; i += 100) {
+        const { value } = await getPrices(ids.slice(i, i + 100), region);
+        Object.assign(prices, value);
+    }
+    return prices;
+}
+
+// GET /api/steam/prices - Pobierz ceny gier z gg.deals w regionie użytkownika
+// (zapisany w profilu, a bez niego z Accept-Language - patrz services/priceRegion.js)
+// oraz linki do sklepów (przez /go, z tagami afiliacyjnymi - services/storeLinks.js)
 router.get('/prices', async (req, res) => {
     try {
         const { appIds } = req.query;
@@ -704,100 +949,179 @@ router.get('/prices', async (req, res) => {
 
         // Parsuj appIds (max 100)
         const ids = appIds.split(',').slice(0, 100);
-        const cacheKey = `prices_${ids.sort().join('_')}`;
+        const { region, currency } = resolveRegion(req);
+        const { value: prices, fromCache } = await getPrices(ids, region);
+
+        // Linki budowane poza cache - zmiana konfiguracji sklepów działa od razu
+        const links = Object.fromEntries(ids.map(appId => [appId, buildLinks(appId, {
+            name: prices[appId]?.name,
+            ggDealsUrl: prices[appId]?.url
+        })]));
 
-        // Sprawdź cache
-        const cached = pricesCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < PRICES_CACHE_TTL) {
+        if (fromCache) {
             return res.json({
                 success: true,
-                prices: cached.data,
+                prices: prices,
+                links: links,
+                region: region,
+                currency: currency,
                 fromCache: true
             });
         }
 
-        // Pobierz ceny z gg.deals API
-        const url = `https://api.gg.deals/v1/prices/by-steam-app-id/?ids=${ids.join(',')}&key=${ggDealsApiKey}&region=pl`;
-
-        const response = await new Promise((resolve, reject) => {
-            https.get(url, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        if (res.statusCode !== 200) {
-                            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-                            return;
-                        }
-                        resolve(JSON.parse(data));
-                    } catch (e) {
-                        reject(new Error('Invalid JSON response'));
-                    }
-                });
-            }).on('error', reject);
+        res.json({
+            success: true,
+            prices: prices,
+            links: links,
+            region: region,
+            currency: currency
         });
 
-        // Przetwórz odpowiedź - priorytet: keyshops (Kinguin, G2A, itp.)
-        const prices = {};
-        if (response.data) {
-            for (const [appId, gameData] of Object.entries(response.data)) {
-                if (gameData && gameData.prices) {
-                    const p = gameData.prices;
-
-                    // Priorytet: cena z keyshopów, potem retail
-                    const currentKeyshop = p.currentKeyshops ? parseFloat(p.currentKeyshops) : null;
-                    const currentRetail = p.currentRetail ? parseFloat(p.currentRetail) : null;
-
-                    // Użyj najniższej ceny z keyshopów (Kinguin, G2A, itp.)
-                    const current = currentKeyshop || currentRetail;
-
-                    // Historyczna najniższa cena
-                    const historicalKeyshop = p.historicalKeyshops ? parseFloat(p.historicalKeyshops) : null;
-                    const historicalRetail = p.historicalRetail ? parseFloat(p.historicalRetail) : null;
-                    const historicalLow = Math.min(
-                        historicalKeyshop || Infinity,
-                        historicalRetail || Infinity
-                    );
-
-                    // Oblicz zniżkę vs cena retail Steam
-                    let discount = 0;
-                    if (current && currentRetail && currentRetail > current) {
-                        discount = Math.round((1 - current / currentRetail) * 100);
-                    }
-
-                    prices[appId] = {
-                        currentPrice: current,
-                        regularPrice: currentRetail,
-                        discount: discount,
-                        currency: p.currency || 'PLN',
-                        url: gameData.url || `https://gg.deals/game/?steam_app_id=${appId}`,
-                        historicalLow: historicalLow === Infinity ? null : historicalLow,
-                        source: currentKeyshop ? 'keyshop' : 'retail'
-                    };
-                } else {
-                    prices[appId] = null;
-                }
-            }
+    } catch (error) {
+        console.error('GG.deals prices fetch error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania cen'
+        });
+    }
+});
+
+const DEFAULT_PRICE_HISTORY_DAYS = 90;
+const MAX_PRICE_HISTORY_DAYS = 731;
+
+// Walidacja daty w formacie YYYY-MM-DD
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// GET /api/steam/prices/:appId/history?from=YYYY-MM-DD&to=YYYY-MM-DD&region=pl - Historia cen gry
+// (domyślnie w regionie użytkownika). Ceny zapisuje harmonogram services/priceHistory.js
+// (tylko gry z czyjejś listy życzeń, w regionach właścicieli list)
+router.get('/prices/:appId/history', (req, res) => {
+    try {
+        const appId = req.params.appId;
+        const to = req.query.to || toDateString(new Date());
+        const from = req.query.from || addDays(to, -(DEFAULT_PRICE_HISTORY_DAYS - 1));
+
+        if (!/^\d+$/.test(appId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
         }
 
-        // Zapisz do cache
-        pricesCache.set(cacheKey, {
-            data: prices,
-            timestamp: Date.now()
+        if (!isValidDate(from) || !isValidDate(to) || from > to || addDays(from, MAX_PRICE_HISTORY_DAYS) <= to) {
+            return res.status(400).json({
+                success: false,
+                message: `Nieprawidłowy zakres dat (YYYY-MM-DD, max ${MAX_PRICE_HISTORY_DAYS} dni)`
+            });
+        }
+
+        const region = req.query.region || resolveRegion(req).region;
+
+        if (!isValidRegion(region)) {
+            return res.status(400).json({
+                success: false,
+                message: `Nieprawidłowy region (dozwolone: ${Object.keys(REGIONS).join(', ')})`
+            });
+        }
+
+        res.json({
+            success: true,
+            ...getPriceTimeline({ appId: Number(appId), region, from, to })
+        });
+
+    } catch (error) {
+        console.error('Price history fetch error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania historii cen'
         });
+    }
+});
+
+// Cache cen całej biblioteki (wynik wielu paczek getPrices) - duża biblioteka to kilkanaście zapytań
+const libraryPricesCache = createCache('libraryPrices', {
+    ttl: 30 * 60 * 1000, // 30 minut - jak ceny
+    maxSize: 200,
+    persistent: true
+});
+
+// GET /api/steam/library/value?sort=value|costPerHour|playtime - Wartość biblioteki wg cen gg.deals:
+// suma cen aktualnych i najniższych w historii, koszt godziny gry, gry nigdy nieuruchomione
+router.get('/library/value', requireSteam, async (req, res) => {
+    try {
+        const steamId = req.session.user.steamId;
+        const sort = req.query.sort || 'value';
+
+        if (!SORTS.includes(sort)) {
+            return res.status(400).json({
+                success: false,
+                message: `Nieprawidłowe sortowanie (dozwolone: ${SORTS.join(', ')})`
+            });
+        }
+
+        if (!process.env.GGDEALS_API_KEY) {
+            return res.status(500).json({
+                success: false,
+                message: 'GG.deals API nie jest skonfigurowane'
+            });
+        }
+
+        const library = await getOwnedGames(steamId);
+
+        if (!library) {
+            return res.json({
+                success: true,
+                isPrivate: true,
+                message: 'Brak gier lub profil jest prywatny'
+            });
+        }
+
+        const { region, currency } = resolveRegion(req);
+        const { value: prices, fromCache } = await libraryPricesCache.getOrLoad(`${steamId}_${region}`, () =>
+            getPricesBatched(library.games.map(game => game.appId), region)
+        );
 
         res.json({
             success: true,
-            prices: prices
+            steamId: steamId,
+            region: region,
+            currency: currency,
+            sort: sort,
+            ...getLibraryValue(library.games, prices, { sort }),
+            ...(fromCache && { fromCache: true })
         });
 
     } catch (error) {
-        console.error('GG.deals prices fetch error:', error.message);
+        console.error('Library value error:', error.message);
         res.status(500).json({
             success: false,
-            message: 'Błąd podczas pobierania cen'
+            message: 'Błąd podczas obliczania wartości biblioteki'
         });
     }
 });
 
+// GET /api/steam/cache/stats - Statystyki cache (trafienia, rozmiar, eksmisje) - tylko dla administratorów
+router.get('/cache/stats', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        caches: getCacheStats()
+    });
+});
+
+// Usuń z cache wszystkie dane powiązane ze Steam ID (np. po usunięciu konta)
+function purgeSteamCache(steamId) {
+    gamesCache.delete(steamId);
+    achievementsCache.deleteByPrefix(`${steamId}_`);
+    playerAchievementsCache.deleteByPrefix(`${steamId}_`);
+    friendListCache.delete(steamId);
+    libraryPricesCache.deleteByPrefix(`${steamId}_`);
+}
+
 module.exports = router;
+module.exports.purgeSteamCache = purgeSteamCache;
+module.exports.getOwnedGames = getOwnedGames;
+module.exports.getFriendSteamIds = getFriendSteamIds;
+module.exports.getPrices = getPrices;
+module.exports.getPricesBatched = getPricesBatched;
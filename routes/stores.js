@@ -0,0 +1,76 @@
+const express = require('express');
+const { storeClickQueries } = require('../database/init');
+const { requireAdmin } = require('../middleware/auth');
+const { STORES, getEnabledStores, getAffiliateTag } = require('../services/storeLinks');
+const { toDateString, addDays } = require('../services/playtimeHistory');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+const TOP_GAMES = 10;
+
+// Walidacja daty w formacie YYYY-MM-DD
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// GET /api/stores - Włączone sklepy (czy mają skonfigurowany tag afiliacyjny)
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        stores: getEnabledStores().map(store => ({
+            store: store,
+            name: STORES[store].name,
+            keyshop: Boolean(STORES[store].keyshop),
+            affiliate: getAffiliateTag(store) !== null
+        }))
+    });
+});
+
+// GET /api/stores/clicks?from=YYYY-MM-DD&to=YYYY-MM-DD - Przejścia do sklepów (/go) per sklep (dla administratorów)
+router.get('/clicks', requireAdmin, (req, res) => {
+    try {
+        const to = req.query.to || toDateString(new Date());
+        const from = req.query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+
+        if (!isValidDate(from) || !isValidDate(to) || from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowy zakres dat (YYYY-MM-DD)'
+            });
+        }
+
+        const range = { from, before: addDays(to, 1) };
+        const stores = storeClickQueries.summaryByStore.all(range);
+        const total = stores.reduce((sum, row) => sum + row.clicks, 0);
+
+        res.json({
+            success: true,
+            from: from,
+            to: to,
+            total: total,
+            stores: stores.map(row => ({
+                store: row.store,
+                name: STORES[row.store]?.name || row.store,
+                clicks: row.clicks,
+                share: Math.round(row.clicks / total * 1000) / 10,
+                games: row.games,
+                users: row.users,
+                affiliateClicks: row.affiliate_clicks
+            })),
+            topGames: storeClickQueries.topGames.all({ ...range, limit: TOP_GAMES }).map(row => ({
+                appId: row.app_id,
+                clicks: row.clicks
+            }))
+        });
+
+    } catch (error) {
+        console.error('Store clicks report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania statystyk przejść do sklepów'
+        });
+    }
+});
+
+module.exports = router;
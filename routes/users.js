@@ -0,0 +1,244 @@
+const express = require('express');
+const { userQueries, libraryQueries, reviewQueries, achievementSyncQueries, friendQueries } = require('../database/init');
+const { requireAuth } = require('../middleware/auth');
+const { getAchievementStats } = require('../services/achievementSync');
+const { REGIONS, isValidRegion, resolveRegion } = require('../services/priceRegion');
+
+const router = express.Router();
+
+// Sekcje profilu z osobnym ustawieniem prywatności (kolumny privacy_<sekcja> w users)
+const PRIVACY_FIELDS = ['steam', 'library', 'reviews', 'achievements'];
+const PRIVACY_LEVELS = ['public', 'friends', 'private'];
+const RECENT_REVIEWS = 5;
+
+// Ustawienia prywatności z wiersza użytkownika
+function getPrivacy(user) {
+    return Object.fromEntries(PRIVACY_FIELDS.map(field => [field, user[`privacy_${field}`]]));
+}
+
+// Relacja oglądającego z właścicielem profilu: self, friend lub none
+function getRelationship(viewerId, user) {
+    if (viewerId === user.id) return 'self';
+
+    const friendship = viewerId && friendQueries.findBetween.get(viewerId, user.id, user.id, viewerId);
+    return friendship?.status === 'accepted' ? 'friend' : 'none';
+}
+
+// Czy sekcja o danym poziomie prywatności jest widoczna dla oglądającego
+function canView(level, relationship) {
+    return relationship === 'self'
+        || level === 'public'
+        || (level === 'friends' && relationship === 'friend');
+}
+
+// Sekcje profilu - każda liczona tylko gdy jest widoczna
+const sections = {
+    steam(user) {
+        if (!user.steam_id) return null;
+
+        return {
+            steamId: user.steam_id,
+            personaName: user.steam_username,
+            profileUrl: `https://steamcommunity.com/profiles/${user.steam_id}`
+        };
+    },
+
+    library(user) {
+        const byStatus = Object.fromEntries(
+            libraryQueries.countByStatus.all(user.id).map(row => [row.status, row.count])
+        );
+
+        return {
+            total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+            byStatus: byStatus
+        };
+    },
+
+    reviews(user) {
+        const summary = reviewQueries.summaryByUser.get(user.id);
+
+        return {
+            count: summary.count,
+            averageRating: summary.count > 0 ? Math.round(summary.average * 10) / 10 : null,
+            recent: reviewQueries.findByUser.all(user.id, RECENT_REVIEWS).map(row => ({
+                appId: row.app_id,
+                rating: row.rating,
+                body: row.body,
+                createdAt: row.created_at
+            }))
+        };
+    },
+
+    achievements(user) {
+        if (!user.steam_id) return null;
+
+        const stats = getAchievementStats(achievementSyncQueries.findResults.all(user.id, user.steam_id));
+
+        return {
+            gamesWithAchievements: stats.gamesWithAchievements,
+            gamesStarted: stats.gamesStarted,
+            perfectGames: stats.perfectGames.length,
+            unlockedAchievements: stats.unlockedAchievements,
+            totalAchievements: stats.totalAchievements,
+            overallCompletion: stats.overallCompletion,
+            lastSyncedAt: stats.lastSyncedAt
+        };
+    }
+};
+
+// GET /api/users/me/privacy - Ustawienia prywatności profilu
+router.get('/me/privacy', requireAuth, (req, res) => {
+    try {
+        const user = userQueries.findById.get(req.session.userId);
+
+        res.json({
+            success: true,
+            privacy: getPrivacy(user)
+        });
+
+    } catch (error) {
+        console.error('Privacy fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania ustawień prywatności'
+        });
+    }
+});
+
+// PUT /api/users/me/privacy - Zmień ustawienia prywatności ({ library: 'friends', ... })
+// Pominięte sekcje zachowują obecne ustawienie
+router.put('/me/privacy', requireAuth, (req, res) => {
+    try {
+        const changes = req.body || {};
+        const invalid = Object.keys(changes).find(field =>
+            !PRIVACY_FIELDS.includes(field) || !PRIVACY_LEVELS.includes(changes[field])
+        );
+
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: `Nieprawidłowe ustawienie prywatności: ${invalid} (sekcje: ${PRIVACY_FIELDS.join(', ')}; poziomy: ${PRIVACY_LEVELS.join(', ')})`
+            });
+        }
+
+        const user = userQueries.findById.get(req.session.userId);
+        const privacy = { ...getPrivacy(user), ...changes };
+
+        userQueries.updatePrivacy.run({ ...privacy, userId: user.id });
+
+        res.json({
+            success: true,
+            message: 'Ustawienia prywatności zapisane',
+            privacy: privacy
+        });
+
+    } catch (error) {
+        console.error('Privacy update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas zapisywania ustawień prywatności'
+        });
+    }
+});
+
+// GET /api/users/me/region - Region i waluta cen (source: user, accept-language lub default)
+router.get('/me/region', requireAuth, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...resolveRegion(req),
+            regions: REGIONS
+        });
+
+    } catch (error) {
+        console.error('Region fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania regionu cen'
+        });
+    }
+});
+
+// PUT /api/users/me/region - Zmień region cen ({ region: 'us' }). null przywraca region z języka przeglądarki
+router.put('/me/region', requireAuth, (req, res) => {
+    try {
+        const { region } = req.body || {};
+
+        if (region !== null && !isValidRegion(region)) {
+            return res.status(400).json({
+                success: false,
+                message: `Nieprawidłowy region (dozwolone: ${Object.keys(REGIONS).join(', ')})`
+            });
+        }
+
+        userQueries.updatePriceRegion.run(region, req.session.userId);
+
+        res.json({
+            success: true,
+            message: 'Region cen zapisany',
+            ...resolveRegion(req)
+        });
+
+    } catch (error) {
+        console.error('Region update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas zapisywania regionu cen'
+        });
+    }
+});
+
+// GET /api/users/:username - Publiczny profil użytkownika.
+// Ukryte sekcje nie są w ogóle liczone ani wysyłane - ich nazwy trafiają do `hidden`
+router.get('/:username', (req, res) => {
+    try {
+        const viewerId = req.session.userId;
+        const user = userQueries.findByUsername.get(req.params.username);
+
+        // Blokada w dowolną stronę wygląda jak brak użytkownika
+        if (!user || (viewerId && friendQueries.isBlockedBetween.get(viewerId, user.id, user.id, viewerId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nie znaleziono użytkownika'
+            });
+        }
+
+        const relationship = getRelationship(viewerId, user);
+        const privacy = getPrivacy(user);
+        const profile = {
+            username: user.username,
+            avatarUrl: user.avatar_url,
+            memberSince: user.created_at,
+            relationship: relationship,
+            hidden: []
+        };
+
+        for (const field of PRIVACY_FIELDS) {
+            if (canView(privacy[field], relationship)) {
+                profile[field] = sections[field](user);
+            } else {
+                profile[field] = null;
+                profile.hidden.push(field);
+            }
+        }
+
+        // Właściciel widzi też swoje ustawienia
+        if (relationship === 'self') {
+            profile.privacy = privacy;
+        }
+
+        res.json({
+            success: true,
+            profile: profile
+        });
+
+    } catch (error) {
+        console.error('Public profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania profilu'
+        });
+    }
+});
+
+module.exports = router;
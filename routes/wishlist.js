@@ -0,0 +1,148 @@
+const express = require('express');
+const { userQueries, wishlistQueries } = require('../database/init');
+const { requireAuth } = require('../middleware/auth');
+const { currentPrice, historicalLow } = require('../services/priceHistory');
+const { REGIONS, userRegion } = require('../services/priceRegion');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 200;
+
+// Walidacja appId Steam
+function parseAppId(value) {
+    const appId = Number(value);
+    return Number.isInteger(appId) && appId > 0 ? appId : null;
+}
+
+// Mapowanie wiersza z bazy na odpowiedź API - price = ostatnia cena zapisana przez harmonogram
+function toWishlistItem(row) {
+    return {
+        appId: row.app_id,
+        gameName: row.game_name,
+        targetPrice: row.target_price,
+        addedAt: row.created_at,
+        price: row.recorded_at ? {
+            current: currentPrice(row),
+            retail: row.current_retail,
+            keyshops: row.current_keyshops,
+            historicalLow: historicalLow(row),
+            currency: row.currency,
+            recordedAt: row.recorded_at
+        } : null
+    };
+}
+
+router.use(requireAuth);
+
+// GET /api/wishlist - Lista życzeń z ostatnimi cenami w regionie użytkownika
+router.get('/', (req, res) => {
+    try {
+        const region = userRegion(userQueries.findById.get(req.session.userId));
+        const items = wishlistQueries.findByUser.all({ userId: req.session.userId, appId: null, region }).map(toWishlistItem);
+
+        res.json({
+            success: true,
+            items: items,
+            region: region,
+            currency: REGIONS[region]
+        });
+
+    } catch (error) {
+        console.error('Wishlist fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas pobierania listy życzeń'
+        });
+    }
+});
+
+// PUT /api/wishlist/:appId - Dodaj grę lub zmień próg cenowy ({ targetPrice, gameName }).
+// targetPrice = null wyłącza powiadomienia o progu (nowa najniższa cena w historii jest zgłaszana zawsze)
+router.put('/:appId', (req, res) => {
+    try {
+        const appId = parseAppId(req.params.appId);
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        const existing = wishlistQueries.find.get(req.session.userId, appId);
+        const { targetPrice = existing?.target_price ?? null, gameName = null } = req.body;
+
+        if (targetPrice !== null && (typeof targetPrice !== 'number' || !Number.isFinite(targetPrice) || targetPrice <= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Próg cenowy musi być liczbą większą od zera'
+            });
+        }
+
+        if (gameName !== null && (typeof gameName !== 'string' || gameName.length > MAX_NAME_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `Nazwa gry może mieć maksymalnie ${MAX_NAME_LENGTH} znaków`
+            });
+        }
+
+        wishlistQueries.upsert.run({
+            userId: req.session.userId,
+            appId: appId,
+            gameName: gameName,
+            targetPrice: targetPrice
+        });
+
+        const region = userRegion(userQueries.findById.get(req.session.userId));
+        const row = wishlistQueries.findByUser.get({ userId: req.session.userId, appId: appId, region: region });
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            item: toWishlistItem(row)
+        });
+
+    } catch (error) {
+        console.error('Wishlist update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas zapisywania listy życzeń'
+        });
+    }
+});
+
+// DELETE /api/wishlist/:appId - Usuń grę z listy życzeń
+router.delete('/:appId', (req, res) => {
+    try {
+        const appId = parseAppId(req.params.appId);
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nieprawidłowe appId'
+            });
+        }
+
+        const { changes } = wishlistQueries.delete.run(req.session.userId, appId);
+
+        if (changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gry nie ma na liście życzeń'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Gra została usunięta z listy życzeń'
+        });
+
+    } catch (error) {
+        console.error('Wishlist delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Błąd podczas usuwania gry z listy życzeń'
+        });
+    }
+});
+
+module.exports = router;
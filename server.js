@@ -9,7 +9,24 @@ const path = require('path');
 // Importy lokalne
 const authRoutes = require('./routes/auth');
 const steamRoutes = require('./routes/steam');
+const libraryRoutes = require('./routes/library');
+const reviewRoutes = require('./routes/reviews');
+const achievementRoutes = require('./routes/achievements');
+const playtimeRoutes = require('./routes/playtime');
+const feedRoutes = require('./routes/feed');
+const friendRoutes = require('./routes/friends');
+const userRoutes = require('./routes/users');
+const groupRoutes = require('./routes/group');
+const wishlistRoutes = require('./routes/wishlist');
+const notificationRoutes = require('./routes/notifications');
+const storeRoutes = require('./routes/stores');
+const exportRoutes = require('./routes/export');
+const goRoutes = require('./routes/go');
+const { achievementSync } = require('./services/achievementSync');
+const { playtimeScheduler } = require('./services/playtimeHistory');
+const { priceScheduler } = require('./services/priceHistory');
 const { userQueries } = require('./database/init');
+const { SQLiteStore } = require('./database/sessionStore');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,6 +35,43 @@ const PORT = process.env.PORT || 3000;
 // Passport Steam Configuration
 // ==========================================
 
+// Dane profilu Steam zwracane przez passport-steam
+const getSteamProfileData = (profile) => ({
+    steamId: profile.id,
+    steamUsername: profile.displayName,
+    avatarUrl: profile.photos[2]?.value || profile.photos[0]?.value || null
+});
+
+// Logowanie przez Steam - znajdź użytkownika po Steam ID lub utwórz nowe konto
+function verifySteamLogin(identifier, profile, done) {
+    const { steamId, steamUsername, avatarUrl } = getSteamProfileData(profile);
+
+    // Sprawdź czy użytkownik z tym Steam ID już istnieje
+    let user = userQueries.findBySteamId.get(steamId);
+
+    if (user) {
+        // Użytkownik istnieje - aktualizuj ostatnie logowanie
+        userQueries.updateLastLogin.run(user.id);
+        return done(null, user);
+    }
+
+    // Nowy użytkownik - utwórz konto
+    try {
+        const email = `steam_${steamId}@gamezone.local`; // Placeholder email
+        const result = userQueries.createWithSteam.run(
+            steamUsername,
+            email,
+            steamId,
+            steamUsername,
+            avatarUrl
+        );
+        user = userQueries.findById.get(result.lastInsertRowid);
+        return done(null, user);
+    } catch (error) {
+        return done(error, null);
+    }
+}
+
 if (process.env.STEAM_API_KEY) {
     passport.serializeUser((user, done) => {
         done(null, user.id);
@@ -28,39 +82,31 @@ if (process.env.STEAM_API_KEY) {
         done(null, user);
     });
 
+    const steamRealm = process.env.STEAM_REALM || `http://localhost:${PORT}/`;
+
     passport.use(new SteamStrategy({
         returnURL: process.env.STEAM_RETURN_URL || `http://localhost:${PORT}/api/auth/steam/callback`,
-        realm: process.env.STEAM_REALM || `http://localhost:${PORT}/`,
+        realm: steamRealm,
         apiKey: process.env.STEAM_API_KEY
-    }, (identifier, profile, done) => {
-        const steamId = profile.id;
-        const steamUsername = profile.displayName;
-        const avatarUrl = profile.photos[2]?.value || profile.photos[0]?.value || null;
-
-        // Sprawdź czy użytkownik z tym Steam ID już istnieje
-        let user = userQueries.findBySteamId.get(steamId);
+    }, verifySteamLogin));
 
-        if (user) {
-            // Użytkownik istnieje - aktualizuj ostatnie logowanie
-            userQueries.updateLastLogin.run(user.id);
-            return done(null, user);
-        }
+    // Łączenie Steam z istniejącym kontem - nie tworzy użytkownika,
+    // zwraca tylko dane profilu Steam (zapis w /api/auth/steam/link/callback)
+    passport.use('steam-link', new SteamStrategy({
+        returnURL: process.env.STEAM_LINK_RETURN_URL || new URL('/api/auth/steam/link/callback', steamRealm).href,
+        realm: steamRealm,
+        apiKey: process.env.STEAM_API_KEY
+    }, (identifier, profile, done) => {
+        done(null, getSteamProfileData(profile));
+    }));
 
-        // Nowy użytkownik - utwórz konto
-        try {
-            const email = `steam_${steamId}@gamezone.local`; // Placeholder email
-            const result = userQueries.createWithSteam.run(
-                steamUsername,
-                email,
-                steamId,
-                steamUsername,
-                avatarUrl
-            );
-            user = userQueries.findById.get(result.lastInsertRowid);
-            return done(null, user);
-        } catch (error) {
-            return done(error, null);
-        }
+    // Ponowne potwierdzenie tożsamości przez Steam (np. przed usunięciem konta Steam-only)
+    passport.use('steam-reauth', new SteamStrategy({
+        returnURL: process.env.STEAM_REAUTH_RETURN_URL || new URL('/api/auth/steam/reauth/callback', steamRealm).href,
+        realm: steamRealm,
+        apiKey: process.env.STEAM_API_KEY
+    }, (identifier, profile, done) => {
+        done(null, getSteamProfileData(profile));
     }));
 }
 
@@ -74,6 +120,7 @@ app.use(express.urlencoded({ extended: true }));
 
 // Konfiguracja sesji
 const sessionConfig = {
+    store: new SQLiteStore(),
     secret: process.env.SESSION_SECRET || 'dev-secret-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -86,6 +133,17 @@ const sessionConfig = {
 
 app.use(session(sessionConfig));
 
+// Zapamiętaj urządzenie zalogowanej sesji (lista aktywnych sesji w profilu)
+app.use((req, res, next) => {
+    if (req.session.userId && !req.session.client) {
+        req.session.client = {
+            userAgent: req.get('User-Agent') || null,
+            ip: req.ip
+        };
+    }
+    next();
+});
+
 // Inicjalizacja Passport
 app.use(passport.initialize());
 app.use(passport.session());
@@ -99,6 +157,18 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 app.use('/api/auth', authRoutes);
 app.use('/api/steam', steamRoutes);
+app.use('/api/library', libraryRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/achievements', achievementRoutes);
+app.use('/api/playtime', playtimeRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/friends', friendRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/group', groupRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stores', storeRoutes);
+app.use('/api/export', exportRoutes);
 
 // ==========================================
 // Obsługa błędów
@@ -112,6 +182,14 @@ app.use('/api/*', (req, res) => {
     });
 });
 
+// Przejścia do sklepów z zapisem kliknięć (przyciski "Kup")
+app.use('/go', goRoutes);
+
+// Publiczny profil użytkownika - adres do udostępniania
+app.get('/u/:username', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'user.html'));
+});
+
 // Przekierowanie na index.html dla SPA
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -130,8 +208,10 @@ app.use((err, req, res, next) => {
 // Start serwera
 // ==========================================
 
-app.listen(PORT, () => {
-    console.log(`
+// Serwer startuje tylko przy uruchomieniu `node server.js` (testy importują samą aplikację)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`
 ╔═══════════════════════════════════════════════════╗
 ║                                                   ║
 ║   🎮 GameZone Portal Server                       ║
@@ -144,21 +224,56 @@ app.listen(PORT, () => {
 ║   - POST /api/auth/logout                         ║
 ║   - GET  /api/auth/me                             ║
 ║   - GET  /api/auth/steam                          ║
+║   - GET  /api/auth/steam/link                     ║
+║   - DEL  /api/auth/steam                          ║
+║   - POST /api/auth/password                       ║
+║   - DEL  /api/auth/account                        ║
+║   - GET  /api/auth/sessions                       ║
 ║   - GET  /api/steam/games                         ║
 ║   - GET  /api/steam/profile                       ║
+║   - GET  /api/steam/achievements/:appId/details   ║
+║   - GET  /api/steam/library/value                 ║
+║   - GET  /api/library                             ║
+║   - GET  /api/reviews/:appId                      ║
+║   - POST /api/achievements/sync                   ║
+║   - GET  /api/achievements/stats                  ║
+║   - GET  /api/playtime/history                    ║
+║   - GET  /api/feed                                ║
+║   - GET  /api/friends                             ║
+║   - GET  /api/users/:username                     ║
+║   - GET  /api/group/library                       ║
+║   - GET  /api/wishlist                            ║
+║   - GET  /api/notifications                       ║
+║   - GET  /api/steam/prices/:appId/history         ║
+║   - GET  /api/stores/clicks                       ║
+║   - GET  /api/export?format=csv|json              ║
+║   - GET  /go/:store/:appId                        ║
 ║                                                   ║
 ╚═══════════════════════════════════════════════════╝
-    `);
+        `);
 
-    if (!process.env.SESSION_SECRET) {
-        console.warn('⚠️  UWAGA: Używasz domyślnego sekretu sesji!');
-        console.warn('   Ustaw SESSION_SECRET w pliku .env dla bezpieczeństwa.\n');
-    }
+        if (!process.env.SESSION_SECRET) {
+            console.warn('⚠️  UWAGA: Używasz domyślnego sekretu sesji!');
+            console.warn('   Ustaw SESSION_SECRET w pliku .env dla bezpieczeństwa.\n');
+        }
 
-    if (process.env.STEAM_API_KEY) {
-        console.info('✅ Steam OAuth jest skonfigurowane i gotowe.\n');
-    } else {
-        console.info('ℹ️  INFO: Logowanie przez Steam nie jest skonfigurowane.');
-        console.info('   Dodaj STEAM_API_KEY do pliku .env aby włączyć.\n');
-    }
-});
+        if (process.env.STEAM_API_KEY) {
+            console.info('✅ Steam OAuth jest skonfigurowane i gotowe.\n');
+        } else {
+            console.info('ℹ️  INFO: Logowanie przez Steam nie jest skonfigurowane.');
+            console.info('   Dodaj STEAM_API_KEY do pliku .env aby włączyć.\n');
+        }
+
+        // Dokończ synchronizacje osiągnięć przerwane restartem serwera
+        achievementSync.resume();
+
+        // Okresowe zrzuty czasu gry (historia na stronie profilu)
+        playtimeScheduler.start();
+
+        // Okresowy zapis cen gier z list życzeń (historia cen i powiadomienia o obniżkach)
+        priceScheduler.start();
+    });
+}
+
+module.exports = app;
+module.exports.verifySteamLogin = verifySteamLogin;
@@ -0,0 +1,252 @@
+const { db, achievementSyncQueries } = require('../database/init');
+const { steamClient } = require('./steamClient');
+const { recordAchievementChange } = require('./activityFeed');
+
+const DEFAULT_DELAY = 1500; // ms między zapytaniami - Steam limituje ok. 100 000 zapytań dziennie na klucz
+const DEFAULT_RATE_LIMIT_DELAY = 60 * 1000; // pauza po HTTP 429 (gdy ponowienia klienta nie pomogły)
+const MAX_ATTEMPTS = 3;
+
+const PRIVATE_PROFILE_ERROR = 'Profil Steam jest prywatny';
+
+// Podsumowanie osiągnięć z `playerstats` Steam
+function summarize(playerstats) {
+    const achievements = playerstats?.achievements;
+    if (!achievements || playerstats.success === false) {
+        return { hasAchievements: false, total: 0, unlocked: 0, lastUnlockedAt: null };
+    }
+
+    const unlocked = achievements.filter(a => a.achieved === 1);
+    const lastUnlockTime = Math.max(0, ...unlocked.map(a => a.unlocktime || 0));
+
+    return {
+        hasAchievements: achievements.length > 0,
+        total: achievements.length,
+        unlocked: unlocked.length,
+        lastUnlockedAt: lastUnlockTime > 0 ? new Date(lastUnlockTime * 1000).toISOString() : null
+    };
+}
+
+// Statystyki osiągnięć całej biblioteki z zapisanych wyników (wiersze user_achievements)
+function getAchievementStats(results) {
+    const withAchievements = results.filter(r => r.has_achievements && r.total > 0);
+
+    const totalAchievements = withAchievements.reduce((sum, r) => sum + r.total, 0);
+    const unlockedAchievements = withAchievements.reduce((sum, r) => sum + r.unlocked, 0);
+
+    // Średnia jak na Steam - tylko gry z przynajmniej jednym osiągnięciem
+    const started = withAchievements.filter(r => r.unlocked > 0);
+    const averageCompletion = started.length > 0
+        ? started.reduce((sum, r) => sum + r.unlocked / r.total, 0) / started.length * 100
+        : 0;
+
+    const perfectGames = withAchievements
+        .filter(r => r.unlocked === r.total)
+        .map(r => ({ appId: r.app_id, name: r.game_name }));
+
+    return {
+        gamesSynced: results.length,
+        gamesWithAchievements: withAchievements.length,
+        gamesStarted: started.length,
+        totalAchievements: totalAchievements,
+        unlockedAchievements: unlockedAchievements,
+        overallCompletion: totalAchievements > 0 ? Math.round((unlockedAchievements / totalAchievements) * 1000) / 10 : 0,
+        averageCompletion: Math.round(averageCompletion * 10) / 10,
+        perfectGames: perfectGames,
+        lastSyncedAt: results.reduce((latest, r) => (!latest || r.synced_at > latest ? r.synced_at : latest), null)
+    };
+}
+
+// Kolejka synchronizacji osiągnięć całej biblioteki. Stan trzymany w SQLite, więc po
+// restarcie serwera resume() kontynuuje przerwane zadania. Gry pobierane są pojedynczo
+// z przerwą między zapytaniami. Opcje (domyślnie ze zmiennych środowiskowych):
+//   delay          - ACHIEVEMENT_SYNC_DELAY (ms między zapytaniami)
+//   rateLimitDelay - ACHIEVEMENT_SYNC_RATE_LIMIT_DELAY (ms pauzy po HTTP 429)
+function createAchievementSync(options = {}) {
+    const client = options.client || steamClient;
+
+    const getConfig = () => ({
+        delay: options.delay ?? (process.env.ACHIEVEMENT_SYNC_DELAY !== undefined ? parseInt(process.env.ACHIEVEMENT_SYNC_DELAY, 10) : DEFAULT_DELAY),
+        rateLimitDelay: options.rateLimitDelay ?? (parseInt(process.env.ACHIEVEMENT_SYNC_RATE_LIMIT_DELAY, 10) || DEFAULT_RATE_LIMIT_DELAY)
+    });
+
+    let running = false;
+    let stopped = false;
+    let timer = null;
+    let wake = null;
+
+    // Przerwa między zapytaniami - nie blokuje zamknięcia procesu, stop() ją przerywa
+    function sleep(ms) {
+        return new Promise(resolve => {
+            wake = resolve;
+            timer = setTimeout(resolve, ms);
+            timer.unref();
+        });
+    }
+
+    // Pobierz osiągnięcia jednej gry i zapisz wynik
+    async function processItem(item) {
+        const { rateLimitDelay } = getConfig();
+        const attempts = item.attempts + 1;
+        let result;
+
+        try {
+            result = summarize(await client.getPlayerAchievements(item.steam_id, item.app_id));
+        } catch (error) {
+            // Steam zwraca HTTP 400 dla gier bez osiągnięć - to normalne
+            if (error.message === 'Invalid JSON response' || error.status === 400) {
+                result = summarize(null);
+            } else if (error.status === 403) {
+                // Prywatny profil - pozostałe gry też się nie uda pobrać
+                db.transaction(() => {
+                    achievementSyncQueries.failQueuedItems.run(PRIVATE_PROFILE_ERROR, item.job_id);
+                    achievementSyncQueries.finishJob.run('error', PRIVATE_PROFILE_ERROR, item.job_id);
+                })();
+                return;
+            } else if (error.status === 429) {
+                // Limit zapytań - gra wraca do kolejki bez zużycia próby
+                console.log(`[AchievementSync] Rate limited, pausing for ${rateLimitDelay}ms`);
+                achievementSyncQueries.updateItem.run('queued', item.attempts, null, item.job_id, item.app_id);
+                await sleep(rateLimitDelay);
+                return;
+            } else {
+                const status = attempts >= MAX_ATTEMPTS ? 'error' : 'queued';
+                achievementSyncQueries.updateItem.run(status, attempts, error.message, item.job_id, item.app_id);
+                return;
+            }
+        }
+
+        const previous = achievementSyncQueries.findResult.get(item.user_id, item.app_id);
+
+        db.transaction(() => {
+            // Zmiana względem poprzedniej synchronizacji tego samego konta Steam -> feed aktywności
+            if (previous && previous.steam_id === item.steam_id) {
+                recordAchievementChange({
+                    userId: item.user_id,
+                    appId: item.app_id,
+                    gameName: item.game_name,
+                    previousUnlocked: previous.unlocked,
+                    unlocked: result.unlocked,
+                    total: result.total,
+                    occurredAt: result.lastUnlockedAt || new Date().toISOString()
+                });
+            }
+
+            achievementSyncQueries.saveResult.run({
+                userId: item.user_id,
+                appId: item.app_id,
+                steamId: item.steam_id,
+                gameName: item.game_name,
+                hasAchievements: result.hasAchievements ? 1 : 0,
+                total: result.total,
+                unlocked: result.unlocked
+            });
+            achievementSyncQueries.updateItem.run('done', attempts, null, item.job_id, item.app_id);
+        })();
+    }
+
+    // Pętla workera - działa dopóki w kolejce są gry
+    async function run() {
+        running = true;
+        try {
+            while (!stopped) {
+                const item = achievementSyncQueries.nextItem.get();
+                if (!item) break;
+
+                achievementSyncQueries.startJob.run(item.job_id);
+                achievementSyncQueries.updateItem.run('running', item.attempts, null, item.job_id, item.app_id);
+
+                try {
+                    await processItem(item);
+                } catch (error) {
+                    // Błąd zapisu (np. konto usunięte w trakcie synchronizacji) - gra kończy się błędem,
+                    // a worker przechodzi do następnej zamiast zostawiać ją w stanie running
+                    console.error(`[AchievementSync] App ${item.app_id} (job ${item.job_id}) failed:`, error.message);
+                    achievementSyncQueries.updateItem.run('error', item.attempts + 1, error.message, item.job_id, item.app_id);
+                }
+                achievementSyncQueries.finishCompletedJobs.run();
+
+                const { delay } = getConfig();
+                if (delay > 0 && !stopped) {
+                    await sleep(delay);
+                }
+            }
+        } finally {
+            running = false;
+        }
+    }
+
+    function kick() {
+        if (running || stopped) return;
+        run().catch(error => {
+            console.error('[AchievementSync] Worker error:', error.message);
+        });
+    }
+
+    return {
+        // Dodaj zadanie synchronizacji dla listy gier [{ appId, name }] - zwraca id zadania
+        enqueue(userId, steamId, games) {
+            const jobId = db.transaction(() => {
+                const id = achievementSyncQueries.createJob.run(userId, steamId).lastInsertRowid;
+                for (const game of games) {
+                    achievementSyncQueries.addItem.run(id, game.appId, game.name || null);
+                }
+                return id;
+            })();
+
+            achievementSyncQueries.finishCompletedJobs.run(); // pusta biblioteka
+            kick();
+            return jobId;
+        },
+
+        // Postęp ostatniego zadania użytkownika (null gdy nigdy nie synchronizował)
+        getProgress(userId) {
+            const job = achievementSyncQueries.findLatestJob.get(userId);
+            if (!job) return null;
+
+            const counts = { queued: 0, running: 0, done: 0, error: 0 };
+            for (const row of achievementSyncQueries.countItems.all(job.id)) {
+                counts[row.status] = row.count;
+            }
+            const total = counts.queued + counts.running + counts.done + counts.error;
+
+            return {
+                job: {
+                    id: job.id,
+                    status: job.status,
+                    steamId: job.steam_id,
+                    error: job.error,
+                    createdAt: job.created_at,
+                    startedAt: job.started_at,
+                    finishedAt: job.finished_at
+                },
+                progress: {
+                    ...counts,
+                    total,
+                    percentage: total > 0 ? Math.round(((counts.done + counts.error) / total) * 100) : 100
+                }
+            };
+        },
+
+        // Wznów zadania przerwane restartem serwera
+        resume() {
+            stopped = false;
+            achievementSyncQueries.requeueRunningItems.run();
+            achievementSyncQueries.finishCompletedJobs.run();
+            kick();
+        },
+
+        // Zatrzymaj workera (gra w trakcie pobierania wróci do kolejki przy resume())
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            if (wake) wake();
+        },
+
+        isRunning: () => running
+    };
+}
+
+// Domyślna kolejka aplikacji
+const achievementSync = createAchievementSync();
+
+module.exports = { createAchievementSync, achievementSync, getAchievementStats };
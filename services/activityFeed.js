@@ -0,0 +1,78 @@
+const { activityQueries } = require('../database/init');
+
+const EVENT_TYPES = ['started_game', 'playtime_milestone', 'achievement_unlocked', 'completed_game', 'review'];
+const PLAYTIME_MILESTONES = [10, 50, 100, 250, 500, 1000]; // godziny
+
+function record({ userId, type, appId, gameName = null, data = null, dedupeKey, occurredAt = new Date().toISOString() }) {
+    activityQueries.create.run({
+        userId,
+        type,
+        appId,
+        gameName,
+        data: data ? JSON.stringify(data) : null,
+        dedupeKey,
+        occurredAt
+    });
+}
+
+// Zdarzenia z porównania dwóch kolejnych zrzutów czasu gry jednej gry.
+// previousMinutes = null oznacza brak wcześniejszej historii (pierwszy zrzut) - wtedy nic nie zapisujemy
+function recordPlaytimeChange({ userId, appId, gameName, previousMinutes, currentMinutes, occurredAt }) {
+    if (previousMinutes === null || currentMinutes <= previousMinutes) return;
+
+    if (previousMinutes === 0) {
+        record({ userId, type: 'started_game', appId, gameName, dedupeKey: `started:${appId}`, occurredAt });
+    }
+
+    for (const hours of PLAYTIME_MILESTONES) {
+        if (previousMinutes < hours * 60 && currentMinutes >= hours * 60) {
+            record({
+                userId,
+                type: 'playtime_milestone',
+                appId,
+                gameName,
+                data: { hours },
+                dedupeKey: `milestone:${appId}:${hours}`,
+                occurredAt
+            });
+        }
+    }
+}
+
+// Zdarzenia z porównania dwóch kolejnych synchronizacji osiągnięć gry
+function recordAchievementChange({ userId, appId, gameName, previousUnlocked, unlocked, total, occurredAt }) {
+    if (unlocked <= previousUnlocked) return;
+
+    record({
+        userId,
+        type: 'achievement_unlocked',
+        appId,
+        gameName,
+        data: { count: unlocked - previousUnlocked, unlocked, total },
+        dedupeKey: `achievements:${appId}:${unlocked}`,
+        occurredAt
+    });
+
+    if (total > 0 && unlocked === total) {
+        record({ userId, type: 'completed_game', appId, gameName, data: { total }, dedupeKey: `completed:${appId}`, occurredAt });
+    }
+}
+
+// Nowa recenzja - jedno zdarzenie na grę (edycja nie tworzy nowego)
+function recordReview({ userId, appId, gameName, rating }) {
+    record({ userId, type: 'review', appId, gameName, data: { rating }, dedupeKey: `review:${appId}` });
+}
+
+// Usunięta recenzja znika z feedu - nowa recenzja tej gry tworzy nowe zdarzenie
+function removeReview({ userId, appId }) {
+    activityQueries.deleteByKey.run(userId, `review:${appId}`);
+}
+
+module.exports = {
+    EVENT_TYPES,
+    PLAYTIME_MILESTONES,
+    recordPlaytimeChange,
+    recordAchievementChange,
+    recordReview,
+    removeReview
+};
@@ -0,0 +1,199 @@
+const { db } = require('../database/init');
+
+const DEFAULT_MAX_SIZE = 1000;
+const CLEANUP_INTERVAL = 10 * 60 * 1000; // 10 minut
+
+const cacheQueries = {
+    get: db.prepare('SELECT value, expires FROM cache_entries WHERE namespace = ? AND key = ? AND expires > ?'),
+
+    set: db.prepare(`
+        INSERT INTO cache_entries (namespace, key, value, expires)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(namespace, key) DO UPDATE SET value = excluded.value, expires = excluded.expires
+    `),
+
+    delete: db.prepare('DELETE FROM cache_entries WHERE namespace = ? AND key = ?'),
+    deleteByPrefix: db.prepare('DELETE FROM cache_entries WHERE namespace = ? AND substr(key, 1, length(?)) = ?'),
+    deleteExpired: db.prepare('DELETE FROM cache_entries WHERE expires <= ?'),
+    clear: db.prepare('DELETE FROM cache_entries WHERE namespace = ?')
+};
+
+// Wszystkie utworzone cache (statystyki i okresowe czyszczenie)
+const registry = new Map();
+
+// Cache w pamięci z limitem rozmiaru (LRU), TTL, łączeniem równoległych zapytań
+// i opcjonalną trwałą warstwą w SQLite. Opcje:
+//   ttl        - czas życia wpisu (ms)
+//   maxSize    - maksymalna liczba wpisów w pamięci
+//   persistent - zapisuj wpisy również w tabeli cache_entries
+function createCache(namespace, options = {}) {
+    if (registry.has(namespace)) {
+        throw new Error(`Cache "${namespace}" już istnieje`);
+    }
+
+    const ttl = options.ttl;
+    const maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    const persistent = !!options.persistent;
+
+    // Map zachowuje kolejność wstawiania - pierwszy element to najdawniej używany
+    const entries = new Map();
+    const pending = new Map();
+    const stats = { hits: 0, misses: 0, persistentHits: 0, loads: 0, coalesced: 0, evictions: 0 };
+
+    function remember(key, value, expires) {
+        entries.delete(key);
+        entries.set(key, { value, expires });
+
+        while (entries.size > maxSize) {
+            entries.delete(entries.keys().next().value);
+            stats.evictions++;
+        }
+    }
+
+    const cache = {
+        namespace,
+
+        get(key) {
+            const entry = entries.get(key);
+
+            if (entry && entry.expires > Date.now()) {
+                // Odśwież pozycję w LRU
+                entries.delete(key);
+                entries.set(key, entry);
+                stats.hits++;
+                return entry.value;
+            }
+
+            if (entry) {
+                entries.delete(key);
+            }
+
+            if (persistent) {
+                const row = cacheQueries.get.get(namespace, key, Date.now());
+                if (row) {
+                    const value = JSON.parse(row.value);
+                    remember(key, value, row.expires);
+                    stats.hits++;
+                    stats.persistentHits++;
+                    return value;
+                }
+            }
+
+            stats.misses++;
+            return undefined;
+        },
+
+        set(key, value) {
+            const expires = Date.now() + ttl;
+            remember(key, value, expires);
+
+            if (persistent) {
+                cacheQueries.set.run(namespace, key, JSON.stringify(value), expires);
+            }
+        },
+
+        delete(key) {
+            entries.delete(key);
+            if (persistent) {
+                cacheQueries.delete.run(namespace, key);
+            }
+        },
+
+        deleteByPrefix(prefix) {
+            for (const key of [...entries.keys()]) {
+                if (key.startsWith(prefix)) {
+                    entries.delete(key);
+                }
+            }
+            if (persistent) {
+                cacheQueries.deleteByPrefix.run(namespace, prefix, prefix);
+            }
+        },
+
+        clear() {
+            entries.clear();
+            if (persistent) {
+                cacheQueries.clear.run(namespace);
+            }
+        },
+
+        // Wartość z cache lub z loadera. Równoległe zapytania o ten sam klucz
+        // czekają na jedno wywołanie loadera. Wartości null/undefined nie są zapisywane.
+        async getOrLoad(key, loader) {
+            const cached = cache.get(key);
+            if (cached !== undefined) {
+                return { value: cached, fromCache: true };
+            }
+
+            if (pending.has(key)) {
+                stats.coalesced++;
+                return { value: await pending.get(key), fromCache: false };
+            }
+
+            stats.loads++;
+            const promise = (async () => {
+                try {
+                    const value = await loader();
+                    if (value !== undefined && value !== null) {
+                        cache.set(key, value);
+                    }
+                    return value;
+                } finally {
+                    pending.delete(key);
+                }
+            })();
+            pending.set(key, promise);
+
+            return { value: await promise, fromCache: false };
+        },
+
+        // Usuń wygasłe wpisy z pamięci
+        prune() {
+            const now = Date.now();
+            for (const [key, entry] of entries) {
+                if (entry.expires <= now) {
+                    entries.delete(key);
+                }
+            }
+        },
+
+        stats() {
+            const lookups = stats.hits + stats.misses;
+            return {
+                ...stats,
+                hitRate: lookups > 0 ? Math.round(stats.hits / lookups * 1000) / 1000 : null,
+                size: entries.size,
+                maxSize,
+                ttl,
+                persistent
+            };
+        }
+    };
+
+    registry.set(namespace, cache);
+    return cache;
+}
+
+// Statystyki wszystkich cache wg przestrzeni nazw
+function getCacheStats() {
+    const result = {};
+    for (const [namespace, cache] of registry) {
+        result[namespace] = cache.stats();
+    }
+    return result;
+}
+
+// Okresowe usuwanie wygasłych wpisów (pamięć i SQLite)
+const cleanupTimer = setInterval(() => {
+    try {
+        for (const cache of registry.values()) {
+            cache.prune();
+        }
+        cacheQueries.deleteExpired.run(Date.now());
+    } catch (error) {
+        console.error('Cache cleanup error:', error);
+    }
+}, CLEANUP_INTERVAL);
+cleanupTimer.unref();
+
+module.exports = { createCache, getCacheStats };
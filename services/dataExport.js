@@ -0,0 +1,259 @@
+const { exportQueries } = require('../database/init');
+
+// Eksport wszystkich danych użytkownika (także na żądanie dostępu do danych - RODO).
+// Dane są czytane stronami w trakcie strumieniowania, więc duże biblioteki i historie
+// nie są składane w pamięci w całości.
+const PAGE_SIZE = 500;
+
+const FORMATS = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8'
+};
+
+// Dane konta z tabeli users - bez hasha hasła
+function toAccount(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        steamId: user.steam_id,
+        steamUsername: user.steam_username,
+        avatarUrl: user.avatar_url,
+        hasPassword: Boolean(user.password_hash),
+        priceRegion: user.price_region,
+        privacy: {
+            steam: user.privacy_steam,
+            library: user.privacy_library,
+            reviews: user.privacy_reviews,
+            achievements: user.privacy_achievements
+        },
+        createdAt: user.created_at,
+        lastLogin: user.last_login
+    };
+}
+
+// Wiersze zapytania z exportQueries stronami po PAGE_SIZE (keyset po `cursor` ostatniego wiersza)
+function* paged(statement, params, cursor = row => row.rowid) {
+    let after = 0;
+    while (true) {
+        const rows = statement.all({ ...params, after, limit: PAGE_SIZE });
+        yield* rows;
+        if (rows.length < PAGE_SIZE) return;
+        after = cursor(rows.at(-1));
+    }
+}
+
+const parseData = data => data ? JSON.parse(data) : null;
+
+// Wiersz gry: dane z biblioteki Steam (game, może być null) i z GameZone (details)
+function toExportGame(appId, game, details) {
+    const hasAchievements = Boolean(details?.has_achievements);
+
+    return {
+        appId: appId,
+        name: game?.name ?? details?.game_name ?? null,
+        playtimeMinutes: game?.playtime ?? null,
+        lastPlayed: game?.lastPlayed ? new Date(game.lastPlayed * 1000).toISOString() : null,
+        achievementsUnlocked: hasAchievements ? details.achievements_unlocked : null,
+        achievementsTotal: hasAchievements ? details.achievements_total : null,
+        status: details?.status ?? null,
+        startedAt: details?.started_at ?? null,
+        finishedAt: details?.finished_at ?? null,
+        notes: details?.notes ?? null,
+        rating: details?.rating ?? null,
+        review: details?.review ?? null,
+        reviewedAt: details?.reviewed_at ?? null
+    };
+}
+
+// Szczegóły z GameZone dla porcji appId
+function gameDetails(userId, appIds) {
+    const rows = exportQueries.gameDetails.all({ userId, appIds: JSON.stringify(appIds) });
+    return new Map(rows.map(row => [row.app_id, row]));
+}
+
+// Gry: najpierw biblioteka Steam (po czasie gry), potem gry znane tylko z GameZone
+function* exportGames(userId, steamGames) {
+    const owned = new Set();
+
+    for (let i = 0; i < steamGames.length; i += PAGE_SIZE) {
+        const chunk = steamGames.slice(i, i + PAGE_SIZE);
+        const details = gameDetails(userId, chunk.map(game => game.appId));
+
+        for (const game of chunk) {
+            owned.add(game.appId);
+            yield toExportGame(game.appId, game, details.get(game.appId));
+        }
+    }
+
+    // Gry spoza biblioteki Steam - szczegóły również porcjami po PAGE_SIZE
+    let page = [];
+    const flush = function* () {
+        if (page.length === 0) return;
+        const details = gameDetails(userId, page);
+        for (const appId of page) {
+            yield toExportGame(appId, null, details.get(appId));
+        }
+        page = [];
+    };
+
+    for (const { app_id: appId } of paged(exportQueries.gameAppIds, { userId }, row => row.app_id)) {
+        if (owned.has(appId)) continue;
+        page.push(appId);
+        if (page.length === PAGE_SIZE) yield* flush();
+    }
+    yield* flush();
+}
+
+// Sekcje eksportu poza kontem: nazwa, kolumny CSV i wiersze (generator)
+function getSections(userId, { steamGames, sessions }) {
+    const section = (name, columns, statement, toRow) => ({
+        name,
+        columns,
+        rows: function* () {
+            for (const row of paged(statement, { userId })) yield toRow(row);
+        }
+    });
+
+    return [
+        {
+            name: 'games',
+            columns: [
+                'appId', 'name', 'playtimeMinutes', 'lastPlayed', 'achievementsUnlocked', 'achievementsTotal',
+                'status', 'startedAt', 'finishedAt', 'notes', 'rating', 'review', 'reviewedAt'
+            ],
+            rows: () => exportGames(userId, steamGames)
+        },
+        section('wishlist', ['appId', 'gameName', 'targetPrice', 'createdAt', 'updatedAt'], exportQueries.wishlist, row => ({
+            appId: row.app_id,
+            gameName: row.game_name,
+            targetPrice: row.target_price,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        })),
+        section('friendships', ['username', 'direction', 'status', 'createdAt', 'acceptedAt'], exportQueries.friendships, row => ({
+            username: row.username,
+            direction: row.direction,
+            status: row.status,
+            createdAt: row.created_at,
+            acceptedAt: row.accepted_at
+        })),
+        section('blocks', ['username', 'createdAt'], exportQueries.blocks, row => ({
+            username: row.username,
+            createdAt: row.created_at
+        })),
+        section('notifications', ['type', 'appId', 'gameName', 'data', 'readAt', 'createdAt'], exportQueries.notifications, row => ({
+            type: row.type,
+            appId: row.app_id,
+            gameName: row.game_name,
+            data: parseData(row.data),
+            readAt: row.read_at,
+            createdAt: row.created_at
+        })),
+        section('playtimeSnapshots', ['steamId', 'appId', 'gameName', 'date', 'playtimeMinutes'], exportQueries.playtimeSnapshots, row => ({
+            steamId: row.steam_id,
+            appId: row.app_id,
+            gameName: row.game_name,
+            date: row.snapshot_date,
+            playtimeMinutes: row.playtime_minutes
+        })),
+        section('activity', ['type', 'appId', 'gameName', 'data', 'occurredAt'], exportQueries.activity, row => ({
+            type: row.type,
+            appId: row.app_id,
+            gameName: row.game_name,
+            data: parseData(row.data),
+            occurredAt: row.occurred_at
+        })),
+        section('achievementSyncJobs', ['steamId', 'status', 'error', 'games', 'createdAt', 'startedAt', 'finishedAt'], exportQueries.achievementSyncJobs, row => ({
+            steamId: row.steam_id,
+            status: row.status,
+            error: row.error,
+            games: row.games,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at
+        })),
+        section('storeClicks', ['store', 'appId', 'affiliate', 'createdAt'], exportQueries.storeClicks, row => ({
+            store: row.store,
+            appId: row.app_id,
+            affiliate: Boolean(row.affiliate),
+            createdAt: row.created_at
+        })),
+        {
+            name: 'sessions',
+            columns: ['userAgent', 'ip', 'createdAt', 'lastActive', 'expiresAt'],
+            rows: () => sessions
+        }
+    ];
+}
+
+// Wartość pola CSV - obiekty jako JSON, w cudzysłowie gdy zawiera przecinek, cudzysłów lub nową linię.
+// Tekst zaczynający się od =, +, -, @, tabulatora lub CR dostaje prefiks ', żeby Excel nie wykonał
+// go jako formuły (np. nazwy innych użytkowników w sekcjach friendships i blocks)
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = values => values.map(csvValue).join(',') + '\r\n';
+
+// JSON: { success, exportedAt, steamLibrary, account, games: [...], wishlist: [...], ... } - wiersze po jednym w linii
+function* jsonChunks(meta, sections) {
+    yield JSON.stringify({ success: true, ...meta }).slice(0, -1);
+
+    for (const { name, rows } of sections) {
+        yield `,${JSON.stringify(name)}:[`;
+
+        let first = true;
+        for (const row of rows()) {
+            yield (first ? '\n' : ',\n') + JSON.stringify(row);
+            first = false;
+        }
+
+        yield '\n]';
+    }
+
+    yield '}\n';
+}
+
+// CSV: sekcje oddzielone pustą linią, każda z nazwą w pierwszej linii - dane konta (field,value),
+// potem tabele. BOM, żeby Excel poprawnie odczytał polskie znaki
+function* csvChunks(meta, sections) {
+    const { privacy, ...account } = meta.account;
+    const fields = {
+        ...account,
+        ...Object.fromEntries(Object.entries(privacy).map(([section, level]) => [`privacy.${section}`, level])),
+        steamLibrary: meta.steamLibrary,
+        exportedAt: meta.exportedAt
+    };
+
+    yield '\uFEFFaccount\r\n' + csvLine(['field', 'value']);
+    for (const [field, value] of Object.entries(fields)) {
+        yield csvLine([field, value]);
+    }
+
+    for (const { name, columns, rows } of sections) {
+        yield `\r\n${name}\r\n` + csvLine(columns);
+        for (const row of rows()) {
+            yield csvLine(columns.map(column => row[column]));
+        }
+    }
+}
+
+// Porcje pliku eksportu (generator dla Readable.from). Opcje:
+//   steamLibrary - ok, private, not_linked lub unavailable
+//   steamGames   - gry z biblioteki Steam (routes/steam.js getOwnedGames)
+//   sessions     - aktywne sesje użytkownika
+function exportChunks(format, user, { steamLibrary, steamGames = [], sessions = [], exportedAt = new Date().toISOString() }) {
+    const meta = { exportedAt, steamLibrary, account: toAccount(user) };
+    const sections = getSections(user.id, { steamGames, sessions });
+
+    return format === 'csv' ? csvChunks(meta, sections) : jsonChunks(meta, sections);
+}
+
+module.exports = { FORMATS, exportChunks };
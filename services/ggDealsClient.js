@@ -0,0 +1,33 @@
+const { fetchJSON } = require('./httpClient');
+
+const DEFAULT_BASE_URL = 'https://api.gg.deals';
+
+// Klient API gg.deals. Opcje (domyślnie ze zmiennych środowiskowych):
+//   apiKey  - GGDEALS_API_KEY
+//   baseUrl - GGDEALS_API_BASE_URL (np. lokalny fałszywy serwer w testach)
+function createGgDealsClient(options = {}) {
+    const getConfig = () => ({
+        apiKey: options.apiKey || process.env.GGDEALS_API_KEY,
+        baseUrl: options.baseUrl || process.env.GGDEALS_API_BASE_URL || DEFAULT_BASE_URL
+    });
+
+    return {
+        // Ceny gier wg Steam appId (max 100 na zapytanie) - obiekt `data` { appId: { prices, url } }
+        async getPricesBySteamAppIds(appIds, { region = 'pl' } = {}) {
+            const { apiKey, baseUrl } = getConfig();
+
+            const url = new URL(`${baseUrl.replace(/\/$/, '')}/v1/prices/by-steam-app-id/`);
+            url.searchParams.set('ids', appIds.join(','));
+            url.searchParams.set('key', apiKey);
+            url.searchParams.set('region', region);
+
+            const response = await fetchJSON(url.href);
+            return response.data || {};
+        }
+    };
+}
+
+// Domyślny klient aplikacji
+const ggDealsClient = createGgDealsClient();
+
+module.exports = { createGgDealsClient, ggDealsClient };
@@ -0,0 +1,105 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 10 * 1000; // 10 sekund
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 500; // bazowe opóźnienie backoffu (ms)
+const MAX_RETRY_DELAY = 30 * 1000;
+
+// Błąd zapytania HTTP - nigdy nie zawiera klucza API
+class HttpError extends Error {
+    constructor(message, { status = null, code = null, url = null } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.url = url ? redactUrl(url) : null;
+    }
+}
+
+// Ukryj klucze API w adresie URL (do logów i komunikatów błędów)
+function redactUrl(url) {
+    return String(url).replace(/([?&](?:key|api_key|apikey)=)[^&#]*/gi, '$1[REDACTED]');
+}
+
+// Pojedyncze zapytanie GET z limitem czasu
+function requestOnce(url, timeout) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+
+        const req = client.get(url, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+            res.on('error', reject);
+        });
+
+        req.setTimeout(timeout, () => {
+            req.destroy(new HttpError(`Request timed out after ${timeout}ms`, { code: 'ETIMEDOUT', url }));
+        });
+
+        req.on('error', (error) => {
+            reject(error instanceof HttpError
+                ? error
+                : new HttpError(`Request failed: ${redactUrl(error.message)}`, { code: error.code, url }));
+        });
+    });
+}
+
+// 429 i 5xx oraz błędy sieci/timeouty warto ponowić
+function isRetryable(error) {
+    if (error.status) {
+        return error.status === 429 || error.status >= 500;
+    }
+    return !!error.code;
+}
+
+// Opóźnienie przed kolejną próbą: Retry-After lub wykładniczy backoff
+function getRetryDelay(error, attempt, retryDelay) {
+    if (error.retryAfter) {
+        return Math.min(error.retryAfter * 1000, MAX_RETRY_DELAY);
+    }
+    return Math.min(retryDelay * 2 ** attempt, MAX_RETRY_DELAY);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Pobierz JSON z ponawianiem przy 429/5xx
+async function fetchJSON(url, options = {}) {
+    const {
+        timeout = DEFAULT_TIMEOUT,
+        retries = DEFAULT_RETRIES,
+        retryDelay = DEFAULT_RETRY_DELAY
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const res = await requestOnce(url, timeout);
+
+            if (res.status !== 200) {
+                const error = new HttpError(`HTTP ${res.status}: ${redactUrl(res.body.substring(0, 200))}`, { status: res.status, url });
+                const retryAfter = parseInt(res.headers['retry-after'], 10);
+                if (!isNaN(retryAfter)) {
+                    error.retryAfter = retryAfter;
+                }
+                throw error;
+            }
+
+            try {
+                return JSON.parse(res.body);
+            } catch (e) {
+                throw new HttpError('Invalid JSON response', { status: res.status, url });
+            }
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+
+            const delay = getRetryDelay(error, attempt, retryDelay);
+            console.warn(`[HTTP] ${error.message.substring(0, 100)} - ponowienie za ${delay}ms (${attempt + 1}/${retries}): ${redactUrl(url)}`);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = { fetchJSON, redactUrl, HttpError };
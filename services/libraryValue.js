@@ -0,0 +1,76 @@
+// Wartość biblioteki Steam na podstawie cen z gg.deals (routes/steam.js getPrices)
+
+const SORTS = ['value', 'costPerHour', 'playtime'];
+
+const roundMoney = value => Math.round(value * 100) / 100;
+const sum = values => roundMoney(values.reduce((total, value) => total + (value ?? 0), 0));
+
+// Wartość gier po najniższych cenach w historii - gry bez znanej najniższej ceny liczone po cenie
+// bieżącej (najniższa nie może być od niej wyższa) i zgłaszane w `historicalLowMissing`
+function historicalLowTotals(rows) {
+    return {
+        historicalLowValue: sum(rows.map(row => row.historicalLow ?? row.currentPrice)),
+        historicalLowMissing: rows.filter(row => row.historicalLow === null).length
+    };
+}
+
+// Koszt godziny gry - null dla gier bez ceny lub bez czasu gry
+function costPerHour(price, minutes) {
+    return price !== null && minutes > 0 ? roundMoney(price / (minutes / 60)) : null;
+}
+
+const SORTERS = {
+    value: (a, b) => (b.currentPrice ?? -1) - (a.currentPrice ?? -1),
+    // Najdroższa godzina gry na górze, gry bez kosztu godziny na końcu
+    costPerHour: (a, b) => (b.costPerHour ?? -1) - (a.costPerHour ?? -1),
+    playtime: (a, b) => b.playtime - a.playtime
+};
+
+// Wartość biblioteki: games z getOwnedGames, prices = { [appId]: cena z getPrices | null }.
+// Gry bez ceny w gg.deals są liczone w `unpricedGames` i pomijane w sumach.
+// "Kupka wstydu" (pileOfShame) - gry bez minuty gry
+function getLibraryValue(games, prices, { sort = 'value' } = {}) {
+    const rows = games.map(game => {
+        const price = prices[game.appId] ?? null;
+        const currentPrice = price?.currentPrice ?? null;
+        const historicalLow = price?.historicalLow ?? null;
+
+        return {
+            appId: game.appId,
+            name: game.name,
+            playtime: game.playtime,
+            playtimeHours: game.playtimeHours,
+            currentPrice: currentPrice,
+            historicalLow: historicalLow,
+            costPerHour: costPerHour(currentPrice, game.playtime),
+            costPerHourAtLow: costPerHour(historicalLow, game.playtime)
+        };
+    }).sort((a, b) => SORTERS[sort](a, b) || (a.name || '').localeCompare(b.name || ''));
+
+    const priced = rows.filter(row => row.currentPrice !== null);
+    const played = priced.filter(row => row.playtime > 0);
+    const playedHours = played.reduce((total, row) => total + row.playtime, 0) / 60;
+    const unplayed = rows.filter(row => row.playtime === 0);
+
+    return {
+        summary: {
+            gameCount: rows.length,
+            pricedGames: priced.length,
+            unpricedGames: rows.length - priced.length,
+            currentValue: sum(priced.map(row => row.currentPrice)),
+            ...historicalLowTotals(priced),
+            playtimeHours: Math.round(rows.reduce((total, row) => total + row.playtime, 0) / 60 * 10) / 10,
+            // Średni koszt godziny gry w grach z ceną i czasem gry
+            averageCostPerHour: playedHours > 0 ? roundMoney(sum(played.map(row => row.currentPrice)) / playedHours) : null
+        },
+        games: rows,
+        pileOfShame: {
+            count: unplayed.length,
+            currentValue: sum(unplayed.map(row => row.currentPrice)),
+            ...historicalLowTotals(unplayed.filter(row => row.currentPrice !== null)),
+            games: unplayed.sort((a, b) => SORTERS.value(a, b) || (a.name || '').localeCompare(b.name || '')).map(({ appId, name, currentPrice, historicalLow }) => ({ appId, name, currentPrice, historicalLow }))
+        }
+    };
+}
+
+module.exports = { SORTS, getLibraryValue };
@@ -0,0 +1,248 @@
+const { db, playtimeQueries } = require('../database/init');
+const { steamClient } = require('./steamClient');
+const { recordPlaytimeChange } = require('./activityFeed');
+
+const DEFAULT_INTERVAL = 6 * 60 * 60 * 1000; // 6 godzin - zrzut z danego dnia jest nadpisywany
+const FIRST_RUN_DELAY = 60 * 1000; // pierwszy zrzut minutę po starcie serwera
+const USER_DELAY = 1000; // przerwa między użytkownikami (limity Steam API)
+
+const BUCKETS = ['day', 'week', 'month'];
+
+// Data w formacie YYYY-MM-DD (UTC)
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+}
+
+// Początek przedziału zawierającego datę: dzień, tydzień (od poniedziałku) lub miesiąc
+function bucketStart(dateString, bucket) {
+    if (bucket === 'month') return `${dateString.slice(0, 7)}-01`;
+    if (bucket === 'week') {
+        const day = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+        return addDays(dateString, -((day + 6) % 7));
+    }
+    return dateString;
+}
+
+function nextBucketStart(start, bucket) {
+    if (bucket === 'month') {
+        const date = new Date(`${start}T00:00:00Z`);
+        date.setUTCMonth(date.getUTCMonth() + 1);
+        return toDateString(date);
+    }
+    return addDays(start, bucket === 'week' ? 7 : 1);
+}
+
+// Zapisz zrzut czasu gry jednego użytkownika - tylko gry, których czas się zmienił.
+// Zmiany względem poprzedniego zrzutu trafiają do feedu aktywności.
+// Zwraca liczbę zapisanych gier (null gdy profil prywatny lub brak gier)
+async function snapshotUser(userId, steamId, date = toDateString(new Date())) {
+    const response = await steamClient.getOwnedGames(steamId);
+    if (!response.games) {
+        return null;
+    }
+
+    const latest = new Map(playtimeQueries.findLatest.all(userId, steamId).map(row => [row.app_id, row]));
+    const hasHistory = latest.size > 0;
+    // Czas zrzutu - dla zrzutów z przeszłości koniec tamtego dnia
+    const occurredAt = new Date(Math.min(Date.now(), Date.parse(`${date}T23:59:59Z`))).toISOString();
+
+    return db.transaction(() => {
+        let saved = 0;
+        for (const game of response.games) {
+            const previous = latest.get(game.appid);
+            const changed = !previous || previous.playtime_minutes !== game.playtime_forever;
+
+            // Zrzut z tego samego dnia jest aktualizowany, starsze zostają bez zmian
+            if (changed || previous.snapshot_date === date) {
+                playtimeQueries.upsert.run({
+                    userId,
+                    steamId,
+                    appId: game.appid,
+                    gameName: game.name || null,
+                    snapshotDate: date,
+                    playtimeMinutes: game.playtime_forever
+                });
+                saved++;
+
+                // Nowa gra w bibliotece (po pierwszym zrzucie) liczy się od 0 minut
+                recordPlaytimeChange({
+                    userId,
+                    appId: game.appid,
+                    gameName: game.name || null,
+                    previousMinutes: previous ? previous.playtime_minutes : (hasHistory ? 0 : null),
+                    currentMinutes: game.playtime_forever,
+                    occurredAt
+                });
+            }
+        }
+        return saved;
+    })();
+}
+
+// Stan gry na koniec każdego z dni `dates` (rosnąco) - jedno przejście po zrzutach posortowanych po dacie.
+// Przed pierwszym zrzutem przyjmujemy pierwszy znany stan
+function playtimeAtDates(snapshots, dates) {
+    let index = 0;
+    let value = snapshots[0].playtime_minutes;
+
+    return dates.map(date => {
+        while (index < snapshots.length && snapshots[index].snapshot_date <= date) {
+            value = snapshots[index].playtime_minutes;
+            index++;
+        }
+        return value;
+    });
+}
+
+// Czas gry w przedziałach dziennych / tygodniowych / miesięcznych.
+// Dla każdej gry czas w przedziale = stan na koniec przedziału - stan na koniec poprzedniego.
+// Przed pierwszym zrzutem gry przyjmujemy jej pierwszy znany stan (brak danych = 0 minut gry)
+function getPlaytimeHistory({ userId, steamId, appId = null, from, to, bucket = 'day' }) {
+    const rows = playtimeQueries.findUntil.all({ userId, steamId, to, appId });
+
+    // Zrzuty pogrupowane po grze - kolejność po dacie z zapytania (ORDER BY app_id, snapshot_date)
+    const snapshotsByGame = new Map();
+    for (const row of rows) {
+        if (!snapshotsByGame.has(row.app_id)) {
+            snapshotsByGame.set(row.app_id, { name: row.game_name, snapshots: [] });
+        }
+        const game = snapshotsByGame.get(row.app_id);
+        game.name = row.game_name || game.name;
+        game.snapshots.push(row);
+    }
+
+    const buckets = [];
+    for (let start = bucketStart(from, bucket); start <= to; start = nextBucketStart(start, bucket)) {
+        const rangeStart = start < from ? from : start;
+        const end = addDays(nextBucketStart(start, bucket), -1);
+        buckets.push({ start: rangeStart, end: end > to ? to : end });
+    }
+
+    // Granice przedziałów: dzień przed pierwszym i koniec każdego przedziału (przedziały są ciągłe)
+    const boundaries = buckets.length > 0 ? [addDays(buckets[0].start, -1), ...buckets.map(({ end }) => end)] : [];
+    const bucketMinutes = buckets.map(() => 0);
+    const bucketTotals = buckets.map(() => 0);
+    const perGame = new Map();
+
+    for (const [gameAppId, game] of snapshotsByGame) {
+        const values = playtimeAtDates(game.snapshots, boundaries);
+
+        for (let i = 0; i < buckets.length; i++) {
+            const gamePlayed = Math.max(0, values[i + 1] - values[i]);
+
+            bucketMinutes[i] += gamePlayed;
+            bucketTotals[i] += values[i + 1];
+            if (gamePlayed > 0) {
+                perGame.set(gameAppId, (perGame.get(gameAppId) || 0) + gamePlayed);
+            }
+        }
+    }
+
+    const series = buckets.map(({ start, end }, i) => ({
+        start,
+        end,
+        minutes: bucketMinutes[i],
+        hours: Math.round(bucketMinutes[i] / 60 * 10) / 10,
+        totalMinutes: bucketTotals[i]
+    }));
+
+    const games = [...perGame.entries()]
+        .map(([gameAppId, minutes]) => ({
+            appId: gameAppId,
+            name: snapshotsByGame.get(gameAppId).name,
+            minutes,
+            hours: Math.round(minutes / 60 * 10) / 10
+        }))
+        .sort((a, b) => b.minutes - a.minutes);
+
+    const minutes = series.reduce((sum, b) => sum + b.minutes, 0);
+
+    return {
+        ...(appId !== null && { appId, gameName: snapshotsByGame.get(appId)?.name || null }),
+        from,
+        to,
+        bucket,
+        minutes,
+        hours: Math.round(minutes / 60 * 10) / 10,
+        hasData: rows.length > 0,
+        series,
+        games
+    };
+}
+
+// Harmonogram zrzutów w procesie serwera (bez zewnętrznego crona). Opcje:
+//   interval - PLAYTIME_SNAPSHOT_INTERVAL (ms między zrzutami wszystkich użytkowników)
+function createPlaytimeScheduler(options = {}) {
+    const getInterval = () => options.interval || parseInt(process.env.PLAYTIME_SNAPSHOT_INTERVAL, 10) || DEFAULT_INTERVAL;
+
+    let timer = null;
+    let running = false;
+
+    // Zrzut wszystkich użytkowników z połączonym Steam, jeden po drugim
+    async function runOnce() {
+        if (running) return;
+        running = true;
+
+        try {
+            const users = playtimeQueries.findUsersWithSteam.all();
+            for (const [index, user] of users.entries()) {
+                try {
+                    await snapshotUser(user.id, user.steam_id);
+                } catch (error) {
+                    console.error(`[PlaytimeHistory] Snapshot failed for user ${user.id}:`, error.message);
+                }
+                if (index < users.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, options.userDelay ?? USER_DELAY).unref());
+                }
+            }
+            console.log(`[PlaytimeHistory] Snapshot done for ${users.length} users`);
+        } finally {
+            running = false;
+        }
+    }
+
+    function schedule(delay) {
+        timer = setTimeout(async () => {
+            try {
+                await runOnce();
+            } catch (error) {
+                console.error('[PlaytimeHistory] Scheduler error:', error.message);
+            }
+            if (timer) schedule(getInterval());
+        }, delay);
+        timer.unref();
+    }
+
+    return {
+        runOnce,
+
+        start() {
+            if (timer) return;
+            schedule(options.firstRunDelay ?? FIRST_RUN_DELAY);
+        },
+
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
+
+// Domyślny harmonogram aplikacji
+const playtimeScheduler = createPlaytimeScheduler();
+
+module.exports = {
+    BUCKETS,
+    toDateString,
+    addDays,
+    snapshotUser,
+    getPlaytimeHistory,
+    createPlaytimeScheduler,
+    playtimeScheduler
+};
@@ -0,0 +1,227 @@
+const { db, wishlistQueries, priceHistoryQueries, notificationQueries } = require('../database/init');
+const { ggDealsClient } = require('./ggDealsClient');
+const { DEFAULT_REGION, REGIONS } = require('./priceRegion');
+
+const DEFAULT_INTERVAL = 12 * 60 * 60 * 1000; // 12 godzin
+const FIRST_RUN_DELAY = 2 * 60 * 1000; // pierwszy zapis dwie minuty po starcie serwera
+const BATCH_SIZE = 100; // limit gg.deals na zapytanie
+
+const NOTIFICATION_TYPES = ['price_target', 'historical_low'];
+
+// gg.deals zwraca ceny jako tekst ("59.99") lub null
+function parsePrice(value) {
+    const price = value != null ? parseFloat(value) : NaN;
+    return Number.isFinite(price) ? price : null;
+}
+
+// Cena jak w /api/steam/prices - najpierw keyshopy, potem retail
+function currentPrice(row) {
+    return row.current_keyshops ?? row.current_retail;
+}
+
+// Najniższa cena w historii (keyshopy lub retail) - null gdy brak danych
+function historicalLow(row) {
+    const prices = [row.historical_keyshops, row.historical_retail].filter(price => price !== null);
+    return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+function notify({ userId, type, appId, gameName, data, dedupeKey }) {
+    notificationQueries.create.run({ userId, type, appId, gameName, data: JSON.stringify(data), dedupeKey });
+}
+
+// Powiadomienia dla list życzeń (użytkowników z regionu obserwacji) po nowej obserwacji ceny gry:
+//   price_target   - cena spadła do progu użytkownika (lub niżej niż przy ostatnim powiadomieniu)
+//   historical_low - gg.deals podaje nową najniższą cenę w historii (względem poprzedniej obserwacji)
+// observationId (id wiersza price_history) w kluczu price_target - ponowny spadek do tej samej ceny
+// po powrocie powyżej progu to nowe powiadomienie
+function checkAlerts(appId, region, gameName, previous, observation, observationId) {
+    const price = currentPrice(observation);
+    if (price === null) return;
+
+    const low = historicalLow(observation);
+    const previousLow = previous ? historicalLow(previous) : null;
+    const isNewLow = previous && low !== null && (previousLow === null || low < previousLow);
+
+    for (const item of wishlistQueries.findByApp.all({ appId, region, defaultRegion: DEFAULT_REGION })) {
+        const name = item.game_name || gameName;
+
+        if (item.target_price !== null) {
+            if (price <= item.target_price && (item.notified_price === null || price < item.notified_price)) {
+                notify({
+                    userId: item.user_id,
+                    type: 'price_target',
+                    appId,
+                    gameName: name,
+                    data: { price, targetPrice: item.target_price, currency: observation.currency },
+                    dedupeKey: `target:${appId}:${observationId}`
+                });
+                wishlistQueries.setNotifiedPrice.run(price, item.user_id, appId);
+            } else if (price > item.target_price && item.notified_price !== null) {
+                // Cena wróciła powyżej progu - kolejny spadek znowu wyśle powiadomienie
+                wishlistQueries.setNotifiedPrice.run(null, item.user_id, appId);
+            }
+        }
+
+        if (isNewLow) {
+            notify({
+                userId: item.user_id,
+                type: 'historical_low',
+                appId,
+                gameName: name,
+                data: { price: low, previousLow, currentPrice: price, currency: observation.currency },
+                dedupeKey: `historical_low:${appId}:${low}`
+            });
+        }
+    }
+}
+
+// Zapisz ceny z odpowiedzi gg.deals ({ appId: { title, prices } | null }) i wyślij powiadomienia.
+// Zwraca liczbę zapisanych obserwacji
+function recordPrices(data, { region = DEFAULT_REGION, recordedAt = new Date().toISOString() } = {}) {
+    return db.transaction(() => {
+        let saved = 0;
+        for (const [key, gameData] of Object.entries(data)) {
+            if (!gameData?.prices) continue;
+
+            const appId = Number(key);
+            const p = gameData.prices;
+            const observation = {
+                currency: p.currency || REGIONS[region],
+                current_retail: parsePrice(p.currentRetail),
+                current_keyshops: parsePrice(p.currentKeyshops),
+                historical_retail: parsePrice(p.historicalRetail),
+                historical_keyshops: parsePrice(p.historicalKeyshops)
+            };
+
+            const previous = priceHistoryQueries.findLatest.get(appId, region);
+            const { lastInsertRowid } = priceHistoryQueries.create.run({
+                appId,
+                region,
+                currency: observation.currency,
+                currentRetail: observation.current_retail,
+                currentKeyshops: observation.current_keyshops,
+                historicalRetail: observation.historical_retail,
+                historicalKeyshops: observation.historical_keyshops,
+                recordedAt
+            });
+            saved++;
+
+            if (gameData.title) {
+                wishlistQueries.fillGameName.run(gameData.title, appId);
+            }
+            checkAlerts(appId, region, gameData.title || null, previous, observation, lastInsertRowid);
+        }
+        return saved;
+    })();
+}
+
+// Historia cen gry w zakresie dat (YYYY-MM-DD, włącznie)
+function getPriceTimeline({ appId, region = DEFAULT_REGION, from, to }) {
+    const before = new Date(`${to}T00:00:00Z`);
+    before.setUTCDate(before.getUTCDate() + 1);
+
+    const rows = priceHistoryQueries.findRange.all({ appId, region, from, before: before.toISOString().slice(0, 10) });
+
+    const points = rows.map(row => ({
+        recordedAt: row.recorded_at,
+        price: currentPrice(row),
+        currentRetail: row.current_retail,
+        currentKeyshops: row.current_keyshops,
+        historicalLow: historicalLow(row)
+    }));
+
+    // Najniższa cena zaobserwowana w zakresie
+    const lowest = points
+        .filter(point => point.price !== null)
+        .reduce((min, point) => (!min || point.price < min.price ? point : min), null);
+
+    return {
+        appId,
+        region,
+        currency: rows.at(-1)?.currency || REGIONS[region],
+        from,
+        to,
+        points,
+        lowest: lowest ? { price: lowest.price, recordedAt: lowest.recordedAt } : null
+    };
+}
+
+// Zaplanowany zapis cen gier z list życzeń (bez zewnętrznego crona). Opcje:
+//   interval - PRICE_HISTORY_INTERVAL (ms między zapisami)
+//   client   - klient gg.deals (domyślnie services/ggDealsClient.js)
+function createPriceScheduler(options = {}) {
+    const client = options.client || ggDealsClient;
+    const getInterval = () => options.interval || parseInt(process.env.PRICE_HISTORY_INTERVAL, 10) || DEFAULT_INTERVAL;
+
+    let timer = null;
+    let running = false;
+
+    // Ceny wszystkich obserwowanych gier w paczkach po 100, osobno dla każdego regionu -
+    // zwraca liczbę zapisanych obserwacji
+    async function runOnce() {
+        if (running || !process.env.GGDEALS_API_KEY) return 0;
+        running = true;
+
+        try {
+            const byRegion = new Map();
+            for (const { app_id: appId, region } of wishlistQueries.findTracked.all({ defaultRegion: DEFAULT_REGION })) {
+                byRegion.set(region, [...(byRegion.get(region) || []), appId]);
+            }
+
+            let saved = 0;
+            for (const [region, appIds] of byRegion) {
+                for (let i = 0; i < appIds.length; i += BATCH_SIZE) {
+                    try {
+                        const data = await client.getPricesBySteamAppIds(appIds.slice(i, i + BATCH_SIZE), { region });
+                        saved += recordPrices(data, { region });
+                    } catch (error) {
+                        console.error(`[PriceHistory] Batch ${i / BATCH_SIZE + 1} (${region}) failed:`, error.message);
+                    }
+                }
+            }
+            console.log(`[PriceHistory] Recorded ${saved} prices in ${byRegion.size} regions`);
+            return saved;
+        } finally {
+            running = false;
+        }
+    }
+
+    function schedule(delay) {
+        timer = setTimeout(async () => {
+            try {
+                await runOnce();
+            } catch (error) {
+                console.error('[PriceHistory] Scheduler error:', error.message);
+            }
+            if (timer) schedule(getInterval());
+        }, delay);
+        timer.unref();
+    }
+
+    return {
+        runOnce,
+
+        start() {
+            if (timer) return;
+            schedule(options.firstRunDelay ?? FIRST_RUN_DELAY);
+        },
+
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
+
+// Domyślny harmonogram aplikacji
+const priceScheduler = createPriceScheduler();
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    currentPrice,
+    historicalLow,
+    recordPrices,
+    getPriceTimeline,
+    createPriceScheduler,
+    priceScheduler
+};
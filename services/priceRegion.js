@@ -0,0 +1,76 @@
+const { userQueries } = require('../database/init');
+
+const DEFAULT_REGION = 'pl';
+
+// Regiony obsługiwane przez gg.deals -> waluta cen
+const REGIONS = {
+    au: 'AUD', be: 'EUR', br: 'BRL', ca: 'CAD', ch: 'CHF', de: 'EUR', dk: 'DKK', es: 'EUR', eu: 'EUR', fi: 'EUR',
+    fr: 'EUR', gb: 'GBP', ie: 'EUR', it: 'EUR', nl: 'EUR', no: 'NOK', pl: 'PLN', se: 'SEK', us: 'USD'
+};
+
+// Region dla języka bez kraju w Accept-Language (np. "en", "sv")
+const LANGUAGE_REGIONS = {
+    pl: 'pl', en: 'us', de: 'de', fr: 'fr', es: 'es', it: 'it', nl: 'nl', sv: 'se', da: 'dk',
+    nb: 'no', nn: 'no', no: 'no', fi: 'fi', pt: 'br'
+};
+
+function isValidRegion(region) {
+    return Object.hasOwn(REGIONS, region);
+}
+
+// Region z nagłówka Accept-Language (np. "en-GB,en;q=0.9,pl;q=0.8") - pierwszy pasujący
+// wg wag q: najpierw kraj ("en-GB" -> gb), potem język ("de-AT" -> de). null gdy nic nie pasuje
+function regionFromAcceptLanguage(header) {
+    const tags = String(header || '')
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().toLowerCase().split(';');
+            const q = params.map(param => /^\s*q=([\d.]+)$/.exec(param)).find(Boolean);
+            return { tag, q: q ? parseFloat(q[1]) : 1, index };
+        })
+        .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const { tag } of tags) {
+        const [language, country] = tag.split('-');
+        if (country && isValidRegion(country)) return country;
+        if (LANGUAGE_REGIONS[language]) return LANGUAGE_REGIONS[language];
+    }
+    return null;
+}
+
+// Region cen dla zapytania: zapisany u użytkownika -> Accept-Language -> domyślny.
+// Zwraca { region, currency, source } (source: 'user', 'accept-language' lub 'default')
+function resolveRegion(req) {
+    const user = req.session?.userId ? userQueries.findById.get(req.session.userId) : null;
+    const fromHeader = regionFromAcceptLanguage(req.get('Accept-Language'));
+
+    const [region, source] = user?.price_region ? [user.price_region, 'user']
+        : fromHeader ? [fromHeader, 'accept-language']
+        : [DEFAULT_REGION, 'default'];
+
+    return { region, currency: REGIONS[region], source };
+}
+
+// Region zapisanego użytkownika (harmonogram cen, lista życzeń) - bez nagłówków zapytania
+function userRegion(user) {
+    return user?.price_region || DEFAULT_REGION;
+}
+
+// Zapisz region z Accept-Language, jeśli użytkownik jeszcze go nie wybrał (rejestracja, logowanie)
+function initUserRegion(userId, req) {
+    const region = regionFromAcceptLanguage(req.get('Accept-Language'));
+    if (region) {
+        userQueries.initPriceRegion.run(region, userId);
+    }
+}
+
+module.exports = {
+    DEFAULT_REGION,
+    REGIONS,
+    isValidRegion,
+    regionFromAcceptLanguage,
+    resolveRegion,
+    userRegion,
+    initUserRegion
+};
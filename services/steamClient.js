@@ -0,0 +1,93 @@
+const { fetchJSON } = require('./httpClient');
+
+const DEFAULT_BASE_URL = 'https://api.steampowered.com';
+
+// Klient Steam Web API. Opcje (domyślnie ze zmiennych środowiskowych):
+//   apiKey   - STEAM_API_KEY
+//   baseUrl  - STEAM_API_BASE_URL (np. lokalny fałszywy serwer w testach)
+//   timeout  - STEAM_API_TIMEOUT (ms)
+//   retries  - STEAM_API_RETRIES (ponowienia przy 429/5xx)
+function createSteamClient(options = {}) {
+    const getConfig = () => ({
+        apiKey: options.apiKey || process.env.STEAM_API_KEY,
+        baseUrl: options.baseUrl || process.env.STEAM_API_BASE_URL || DEFAULT_BASE_URL,
+        timeout: options.timeout || parseInt(process.env.STEAM_API_TIMEOUT, 10) || undefined,
+        retries: options.retries ?? (process.env.STEAM_API_RETRIES !== undefined ? parseInt(process.env.STEAM_API_RETRIES, 10) : undefined),
+        retryDelay: options.retryDelay
+    });
+
+    // Wywołanie metody API, np. call('ISteamUser/GetPlayerSummaries/v2', { steamids })
+    function call(method, params = {}) {
+        const { apiKey, baseUrl, ...requestOptions } = getConfig();
+
+        const url = new URL(`${baseUrl.replace(/\/$/, '')}/${method}/`);
+        url.searchParams.set('key', apiKey);
+        for (const [name, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(name, value);
+            }
+        }
+
+        return fetchJSON(url.href, requestOptions);
+    }
+
+    return {
+        call,
+
+        // Gry użytkownika - obiekt `response` Steam ({ game_count, games }) lub pusty dla prywatnych profili
+        async getOwnedGames(steamId) {
+            const data = await call('IPlayerService/GetOwnedGames/v1', {
+                steamid: steamId,
+                include_appinfo: 1,
+                include_played_free_games: 1,
+                format: 'json'
+            });
+            return data.response || {};
+        },
+
+        // Profile graczy (max 100 Steam ID na zapytanie) - tablica `players`
+        async getPlayerSummaries(steamIds) {
+            const ids = Array.isArray(steamIds) ? steamIds : [steamIds];
+            const data = await call('ISteamUser/GetPlayerSummaries/v2', { steamids: ids.join(',') });
+            return data.response?.players || [];
+        },
+
+        // Znajomi użytkownika - tablica `friends` (null gdy lista niedostępna)
+        async getFriendList(steamId) {
+            const data = await call('ISteamUser/GetFriendList/v1', { steamid: steamId, relationship: 'friend' });
+            return data.friendslist?.friends || null;
+        },
+
+        // Osiągnięcia gracza w grze - obiekt `playerstats` (null gdy brak)
+        async getPlayerAchievements(steamId, appId, { language = 'polish' } = {}) {
+            const data = await call('ISteamUserStats/GetPlayerAchievements/v1', { steamid: steamId, appid: appId, l: language });
+            return data.playerstats || null;
+        },
+
+        // Schemat osiągnięć gry (nazwy, opisy, ikony, ukryte) - tablica `achievements`
+        async getSchemaForGame(appId, { language = 'polish' } = {}) {
+            const data = await call('ISteamUserStats/GetSchemaForGame/v2', { appid: appId, l: language });
+            return data.game?.availableGameStats?.achievements || [];
+        },
+
+        // Globalny procent graczy z danym osiągnięciem - tablica { name, percent }
+        async getGlobalAchievementPercentagesForApp(appId) {
+            const data = await call('ISteamUserStats/GetGlobalAchievementPercentagesForApp/v2', { gameid: appId });
+            return (data.achievementpercentages?.achievements || []).map(a => ({
+                name: a.name,
+                percent: parseFloat(a.percent)
+            }));
+        },
+
+        // Vanity URL -> Steam ID (null gdy nie znaleziono)
+        async resolveVanityURL(vanityUrl) {
+            const data = await call('ISteamUser/ResolveVanityURL/v1', { vanityurl: vanityUrl });
+            return data.response?.success === 1 ? data.response.steamid : null;
+        }
+    };
+}
+
+// Domyślny klient aplikacji
+const steamClient = createSteamClient();
+
+module.exports = { createSteamClient, steamClient };
@@ -0,0 +1,86 @@
+const { steamClient } = require('./steamClient');
+
+// SteamID64 kont indywidualnych = baza + numer konta (SteamID3 W, SteamID2 Z * 2 + Y)
+const STEAM_ID64_BASE = 76561197960265728n;
+const MAX_ACCOUNT_ID = 0xFFFFFFFFn;
+
+// Błąd rozpoznawania Steam ID - `code` trafia do odpowiedzi API, `status` to kod HTTP
+class SteamIdError extends Error {
+    constructor(message, { code, status }) {
+        super(message);
+        this.name = 'SteamIdError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function fromAccountId(accountId) {
+    return accountId <= MAX_ACCOUNT_ID ? (STEAM_ID64_BASE + accountId).toString() : null;
+}
+
+// Rozpoznaj format wpisanego identyfikatora (bez zapytań do Steam):
+//   76561197960287930                           -> { type: 'steamId64', steamId }
+//   steamcommunity.com/profiles/76561197960287930 -> { type: 'profileUrl', steamId }
+//   steamcommunity.com/id/gabelogannewell       -> { type: 'vanityUrl', vanity }
+//   STEAM_0:0:11101                             -> { type: 'steamId2', steamId }
+//   [U:1:22202]                                 -> { type: 'steamId3', steamId }
+//   gabelogannewell                             -> { type: 'vanity', vanity }
+// Zwraca null dla nierozpoznanego formatu
+function parseSteamId(input) {
+    const value = String(input ?? '').trim();
+    let match;
+
+    if (/^\d{17}$/.test(value)) {
+        return BigInt(value) > STEAM_ID64_BASE ? { type: 'steamId64', steamId: value } : null;
+    }
+
+    if ((match = /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/(profiles|id)\/([^/?#]+)\/?(?:[?#].*)?$/i.exec(value))) {
+        const [, kind, id] = match;
+        if (kind.toLowerCase() === 'profiles') {
+            const parsed = parseSteamId(id);
+            return parsed?.type === 'steamId64' ? { type: 'profileUrl', steamId: parsed.steamId } : null;
+        }
+        return /^[\w-]{2,32}$/.test(id) ? { type: 'vanityUrl', vanity: id } : null;
+    }
+
+    if ((match = /^STEAM_[0-5]:([01]):(\d{1,10})$/i.exec(value))) {
+        const steamId = fromAccountId(BigInt(match[2]) * 2n + BigInt(match[1]));
+        return steamId ? { type: 'steamId2', steamId } : null;
+    }
+
+    if ((match = /^\[?U:1:(\d{1,10})\]?$/i.exec(value))) {
+        const steamId = fromAccountId(BigInt(match[1]));
+        return steamId ? { type: 'steamId3', steamId } : null;
+    }
+
+    // Sama nazwa vanity - czysto liczbowe wpisy są zbyt niejednoznaczne
+    if (/^[\w-]{2,32}$/.test(value) && !/^\d+$/.test(value)) {
+        return { type: 'vanity', vanity: value };
+    }
+
+    return null;
+}
+
+// Zamień dowolny obsługiwany format na SteamID64 (vanity przez ResolveVanityURL) -
+// zwraca { type, steamId }. Rzuca SteamIdError: INVALID_STEAM_ID (400) lub STEAM_USER_NOT_FOUND (404)
+async function resolveSteamId(input, { client = steamClient } = {}) {
+    const parsed = parseSteamId(input);
+
+    if (!parsed) {
+        throw new SteamIdError('Nieprawidłowy format Steam ID', { code: 'INVALID_STEAM_ID', status: 400 });
+    }
+
+    if (parsed.steamId) {
+        return parsed;
+    }
+
+    const steamId = await client.resolveVanityURL(parsed.vanity);
+
+    if (!steamId) {
+        throw new SteamIdError('Nie znaleziono użytkownika Steam', { code: 'STEAM_USER_NOT_FOUND', status: 404 });
+    }
+
+    return { ...parsed, steamId };
+}
+
+module.exports = { SteamIdError, parseSteamId, resolveSteamId };
@@ -0,0 +1,44 @@
+const { fetchJSON } = require('./httpClient');
+
+const DEFAULT_BASE_URL = 'https://steamspy.com';
+const MAX_TAGS = 20;
+
+// Klient API SteamSpy - tagi użytkowników gry (appdetails sklepu Steam ich nie zwraca).
+// Limit ok. 1 zapytania na sekundę - zapytania idą przez kolejkę services/storeDetails.js.
+// Opcje (domyślnie ze zmiennych środowiskowych):
+//   baseUrl - STEAM_SPY_BASE_URL (np. lokalny fałszywy serwer w testach)
+//   timeout - STEAM_API_TIMEOUT (ms)
+//   retries - STEAM_API_RETRIES (ponowienia przy 429/5xx)
+function createSteamSpyClient(options = {}) {
+    const getConfig = () => ({
+        baseUrl: options.baseUrl || process.env.STEAM_SPY_BASE_URL || DEFAULT_BASE_URL,
+        timeout: options.timeout || parseInt(process.env.STEAM_API_TIMEOUT, 10) || undefined,
+        retries: options.retries ?? (process.env.STEAM_API_RETRIES !== undefined ? parseInt(process.env.STEAM_API_RETRIES, 10) : undefined),
+        retryDelay: options.retryDelay
+    });
+
+    return {
+        // Najpopularniejsze tagi gry (do 20, od największej liczby głosów) - pusta lista gdy brak danych
+        async getAppTags(appId) {
+            const { baseUrl, ...requestOptions } = getConfig();
+
+            const url = new URL(`${baseUrl.replace(/\/$/, '')}/api.php`);
+            url.searchParams.set('request', 'appdetails');
+            url.searchParams.set('appid', appId);
+
+            const data = await fetchJSON(url.href, requestOptions);
+            // Gry bez tagów mają pustą tablicę zamiast obiektu
+            const tags = data?.tags && !Array.isArray(data.tags) ? data.tags : {};
+
+            return Object.entries(tags)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, MAX_TAGS)
+                .map(([name]) => name);
+        }
+    };
+}
+
+// Domyślny klient aplikacji
+const steamSpyClient = createSteamSpyClient();
+
+module.exports = { createSteamSpyClient, steamSpyClient };
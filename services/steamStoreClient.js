@@ -0,0 +1,38 @@
+const { fetchJSON } = require('./httpClient');
+
+const DEFAULT_BASE_URL = 'https://store.steampowered.com';
+
+// Klient nieoficjalnego API sklepu Steam (bez klucza, limit ok. 200 zapytań / 5 minut).
+// Opcje (domyślnie ze zmiennych środowiskowych):
+//   baseUrl - STEAM_STORE_BASE_URL (np. lokalny fałszywy serwer w testach)
+//   timeout - STEAM_API_TIMEOUT (ms)
+//   retries - STEAM_API_RETRIES (ponowienia przy 429/5xx)
+function createSteamStoreClient(options = {}) {
+    const getConfig = () => ({
+        baseUrl: options.baseUrl || process.env.STEAM_STORE_BASE_URL || DEFAULT_BASE_URL,
+        timeout: options.timeout || parseInt(process.env.STEAM_API_TIMEOUT, 10) || undefined,
+        retries: options.retries ?? (process.env.STEAM_API_RETRIES !== undefined ? parseInt(process.env.STEAM_API_RETRIES, 10) : undefined),
+        retryDelay: options.retryDelay
+    });
+
+    return {
+        // Dane gry ze sklepu (kategorie, gatunki, ...) - obiekt `data` lub null gdy gry nie ma w sklepie.
+        // appdetails przyjmuje tylko jeden appId na zapytanie (poza filtrem price_overview)
+        async getAppDetails(appId, { language = 'polish' } = {}) {
+            const { baseUrl, ...requestOptions } = getConfig();
+
+            const url = new URL(`${baseUrl.replace(/\/$/, '')}/api/appdetails`);
+            url.searchParams.set('appids', appId);
+            url.searchParams.set('l', language);
+
+            const data = await fetchJSON(url.href, requestOptions);
+            const entry = data?.[appId];
+            return entry?.success ? entry.data : null;
+        }
+    };
+}
+
+// Domyślny klient aplikacji
+const steamStoreClient = createSteamStoreClient();
+
+module.exports = { createSteamStoreClient, steamStoreClient };
@@ -0,0 +1,236 @@
+const { storeDetailsQueries } = require('../database/init');
+const { steamStoreClient } = require('./steamStoreClient');
+const { steamSpyClient } = require('./steamSpyClient');
+
+const DEFAULT_DELAY = 1500; // ms między zapytaniami - sklep Steam pozwala na ok. 200 zapytań / 5 minut
+const DEFAULT_RATE_LIMIT_DELAY = 5 * 60 * 1000; // pauza po HTTP 429 (gdy ponowienia klienta nie pomogły)
+const DEFAULT_QUEUE_SIZE = 1000; // maks. gier w kolejce - kolejne czekają na następne zapytanie o nie
+const DEFAULT_QUEUE_TTL = 30 * 60 * 1000; // gry, o które nikt nie pytał dłużej, wypadają z kolejki
+
+// Tryby gry wieloosobowej (?multiplayer=) -> identyfikatory kategorii sklepu Steam
+const MULTIPLAYER_MODES = {
+    any: [1, 9, 20, 24, 27, 36, 37, 38, 39, 44, 47, 48, 49], // dowolny tryb wieloosobowy
+    coop: [9, 38, 39, 48],          // Co-op, Online Co-op, Shared/Split Screen Co-op, LAN Co-op
+    pvp: [36, 37, 47, 49],          // Online PvP, Shared/Split Screen PvP, LAN PvP, PvP
+    online: [20, 36, 38],           // MMO, Online PvP, Online Co-op
+    lan: [47, 48],                  // LAN PvP, LAN Co-op
+    local: [24, 37, 39],            // Shared/Split Screen (również PvP i Co-op)
+    remote: [44]                    // Remote Play Together
+};
+
+// Mapowanie wiersza z bazy - null dla gier bez strony w sklepie
+function toDetails(row) {
+    if (!row.available) return null;
+
+    return {
+        appId: row.app_id,
+        name: row.name,
+        type: row.type,
+        categories: JSON.parse(row.categories),
+        genres: JSON.parse(row.genres),
+        tags: JSON.parse(row.tags)
+    };
+}
+
+// Tryby z parametru ?multiplayer=coop,pvp - null gdy brak parametru
+function parseMultiplayerModes(value) {
+    if (!value) return null;
+    return String(value).split(',').map(mode => mode.trim().toLowerCase()).filter(Boolean);
+}
+
+// Pierwszy nieznany tryb z listy (do komunikatu błędu) - undefined gdy wszystkie poprawne
+function findInvalidMode(modes) {
+    return modes?.find(mode => !Object.hasOwn(MULTIPLAYER_MODES, mode));
+}
+
+// Czy gra ma kategorię z któregokolwiek z podanych trybów
+function matchesMultiplayer(details, modes) {
+    const categoryIds = new Set((details?.categories || []).map(category => category.id));
+    return modes.some(mode => MULTIPLAYER_MODES[mode].some(id => categoryIds.has(id)));
+}
+
+// Dane gier ze sklepu Steam (kategorie, gatunki) i tagi z SteamSpy zapisywane w SQLite. Brakujące (i nieaktualne) gry pobiera w tle
+// worker - pojedynczo, z przerwą między zapytaniami, żeby nie przekroczyć limitu sklepu.
+// Kolejka jest ograniczona - przy pełnej kolejce gry nie są dodawane (zostają w `pending` i trafią
+// do kolejki przy kolejnym zapytaniu), a gry nieżądane dłużej niż queueTtl są z niej usuwane.
+// Opcje (domyślnie ze zmiennych środowiskowych):
+//   delay          - STEAM_STORE_DELAY (ms między zapytaniami)
+//   rateLimitDelay - STEAM_STORE_RATE_LIMIT_DELAY (ms pauzy po HTTP 429)
+//   queueSize      - STEAM_STORE_QUEUE_SIZE (maks. liczba gier w kolejce)
+//   queueTtl       - ms od ostatniego zapytania o grę, po których wypada z kolejki
+function createStoreDetails(options = {}) {
+    const client = options.client || steamStoreClient;
+    const tagsClient = options.tagsClient || steamSpyClient;
+
+    const getConfig = () => ({
+        delay: options.delay ?? (process.env.STEAM_STORE_DELAY !== undefined ? parseInt(process.env.STEAM_STORE_DELAY, 10) : DEFAULT_DELAY),
+        rateLimitDelay: options.rateLimitDelay ?? (parseInt(process.env.STEAM_STORE_RATE_LIMIT_DELAY, 10) || DEFAULT_RATE_LIMIT_DELAY),
+        queueSize: options.queueSize ?? (parseInt(process.env.STEAM_STORE_QUEUE_SIZE, 10) || DEFAULT_QUEUE_SIZE)
+    });
+    const queueTtl = options.queueTtl ?? DEFAULT_QUEUE_TTL;
+
+    const queue = new Map(); // appId -> czas ostatniego zapytania o grę
+    let running = false;
+    let stopped = false;
+    let timer = null;
+    let wake = null;
+
+    function sleep(ms) {
+        return new Promise(resolve => {
+            wake = resolve;
+            timer = setTimeout(resolve, ms);
+            timer.unref();
+        });
+    }
+
+    // Tagi gry - błąd SteamSpy (poza limitem zapytań) nie blokuje zapisu danych sklepu
+    async function fetchTags(appId) {
+        try {
+            return await tagsClient.getAppTags(appId);
+        } catch (error) {
+            if (error.status === 429) throw error;
+            console.error(`[StoreDetails] App ${appId} tags fetch error:`, error.message);
+            return [];
+        }
+    }
+
+    async function fetchOne(appId) {
+        const data = await client.getAppDetails(appId);
+        const tags = data ? await fetchTags(appId) : [];
+
+        storeDetailsQueries.save.run({
+            appId,
+            available: data ? 1 : 0,
+            name: data?.name || null,
+            type: data?.type || null,
+            categories: JSON.stringify((data?.categories || []).map(c => ({ id: c.id, description: c.description }))),
+            genres: JSON.stringify((data?.genres || []).map(g => ({ id: Number(g.id), description: g.description }))),
+            tags: JSON.stringify(tags)
+        });
+    }
+
+    async function run() {
+        running = true;
+        try {
+            while (!stopped && queue.size > 0) {
+                const [appId, requestedAt] = queue.entries().next().value;
+                const { delay, rateLimitDelay } = getConfig();
+
+                if (isExpired(requestedAt, Date.now())) {
+                    queue.delete(appId);
+                    continue;
+                }
+
+                try {
+                    await fetchOne(appId);
+                    queue.delete(appId);
+                } catch (error) {
+                    if (error.status === 429) {
+                        // Limit zapytań - gra zostaje w kolejce
+                        console.log(`[StoreDetails] Rate limited, pausing for ${rateLimitDelay}ms`);
+                        await sleep(rateLimitDelay);
+                        continue;
+                    }
+                    // Inne błędy - spróbujemy przy następnym zapytaniu o tę grę
+                    console.error(`[StoreDetails] App ${appId} fetch error:`, error.message);
+                    queue.delete(appId);
+                }
+
+                if (delay > 0 && !stopped && queue.size > 0) {
+                    await sleep(delay);
+                }
+            }
+        } finally {
+            running = false;
+        }
+    }
+
+    const isExpired = (requestedAt, now) => now - requestedAt > queueTtl;
+
+    function pruneExpired(now) {
+        for (const [appId, requestedAt] of queue) {
+            if (isExpired(requestedAt, now)) {
+                queue.delete(appId);
+            }
+        }
+    }
+
+    // Dodaje grę do kolejki lub odświeża czas zapytania o nią - nowe gry tylko gdy jest miejsce
+    function enqueue(appId, now, queueSize) {
+        if (queue.has(appId) || queue.size < queueSize) {
+            queue.set(appId, now);
+        }
+    }
+
+    function kick() {
+        if (running || stopped) return;
+        run().catch(error => {
+            console.error('[StoreDetails] Worker error:', error.message);
+        });
+    }
+
+    return {
+        // Zapisane dane gier: { details: Map(appId -> dane | null), pending: [appId] }.
+        // Gry bez danych trafiają do kolejki i są w `pending`; nieaktualne są zwracane i odświeżane w tle
+        get(appIds) {
+            const details = new Map();
+            const now = Date.now();
+            const { queueSize } = getConfig();
+
+            if (queue.size >= queueSize) {
+                pruneExpired(now);
+            }
+
+            for (const row of storeDetailsQueries.findMany.all(JSON.stringify(appIds))) {
+                details.set(row.app_id, toDetails(row));
+                if (row.stale) {
+                    enqueue(row.app_id, now, queueSize);
+                }
+            }
+
+            const pending = appIds.filter(appId => !details.has(appId));
+            pending.forEach(appId => enqueue(appId, now, queueSize));
+
+            if (queue.size > 0) kick();
+            return { details, pending };
+        },
+
+        // Gry (z polem appId) w podanych trybach wieloosobowych, uzupełnione o kategorie, gatunki i tagi.
+        // Gry bez pobranych jeszcze danych sklepu są pomijane i liczone w `detailsPending`
+        filterByMultiplayer(games, modes) {
+            const { details, pending } = this.get(games.map(game => game.appId));
+
+            return {
+                games: games
+                    .filter(game => details.get(game.appId) && matchesMultiplayer(details.get(game.appId), modes))
+                    .map(game => ({
+                        ...game,
+                        categories: details.get(game.appId).categories,
+                        genres: details.get(game.appId).genres,
+                        tags: details.get(game.appId).tags
+                    })),
+                detailsPending: pending.length
+            };
+        },
+
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            if (wake) wake();
+        },
+
+        isIdle: () => !running && queue.size === 0
+    };
+}
+
+// Domyślna kolejka aplikacji
+const storeDetails = createStoreDetails();
+
+module.exports = {
+    MULTIPLAYER_MODES,
+    parseMultiplayerModes,
+    findInvalidMode,
+    matchesMultiplayer,
+    createStoreDetails,
+    storeDetails
+};
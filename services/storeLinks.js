@@ -0,0 +1,114 @@
+// Linki do sklepów z grą (z tagami afiliacyjnymi z konfiguracji).
+// Przyciski "Kup" prowadzą przez /go/:store/:appId, który zapisuje kliknięcie i przekierowuje.
+//   STORE_KEYSHOPS             - włączone keyshopy po przecinku (domyślnie kinguin)
+//   <SKLEP>_AFFILIATE_ID       - tag afiliacyjny sklepu (np. KINGUIN_AFFILIATE_ID)
+
+const DEFAULT_KEYSHOPS = 'kinguin';
+
+// Keyshopy nie wyszukują po Steam appId - link do wyszukiwarki po nazwie gry (bez nazwy strona główna)
+const searchUrl = (base, param) => ({ name }) => name ? `${base}?${param}=${encodeURIComponent(name)}` : new URL(base).origin;
+
+const STORES = {
+    steam: {
+        name: 'Steam',
+        hosts: ['store.steampowered.com'],
+        url: ({ appId }) => `https://store.steampowered.com/app/${appId}/`
+    },
+    ggdeals: {
+        name: 'GG.deals',
+        hosts: ['gg.deals'],
+        url: ({ appId }) => `https://gg.deals/game/?steam_app_id=${appId}`
+    },
+    kinguin: {
+        name: 'Kinguin',
+        keyshop: true,
+        affiliate: { env: 'KINGUIN_AFFILIATE_ID', param: 'r' },
+        url: searchUrl('https://www.kinguin.net/listing', 'phrase')
+    },
+    g2a: {
+        name: 'G2A',
+        keyshop: true,
+        affiliate: { env: 'G2A_AFFILIATE_ID', param: 'gtag' },
+        url: searchUrl('https://www.g2a.com/search', 'query')
+    },
+    instantgaming: {
+        name: 'Instant Gaming',
+        keyshop: true,
+        affiliate: { env: 'INSTANT_GAMING_AFFILIATE_ID', param: 'igr' },
+        url: searchUrl('https://www.instant-gaming.com/en/search/', 'query')
+    }
+};
+
+// Tag afiliacyjny sklepu z konfiguracji - null gdy brak
+function getAffiliateTag(store) {
+    const affiliate = STORES[store]?.affiliate;
+    return (affiliate && process.env[affiliate.env]) || null;
+}
+
+// Włączone sklepy: Steam i gg.deals zawsze, keyshopy z STORE_KEYSHOPS
+function getEnabledStores() {
+    const keyshops = (process.env.STORE_KEYSHOPS ?? DEFAULT_KEYSHOPS)
+        .split(',')
+        .map(store => store.trim().toLowerCase())
+        .filter(store => STORES[store]?.keyshop);
+
+    return ['steam', 'ggdeals', ...new Set(keyshops)];
+}
+
+function isEnabledStore(store) {
+    return getEnabledStores().includes(store);
+}
+
+// Adres https w domenie sklepu - null dla każdego innego
+function parseStoreUrl(url, hosts = []) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && hosts.includes(parsed.hostname) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Docelowy adres w sklepie z tagiem afiliacyjnym. `url` (np. strona gry z odpowiedzi gg.deals)
+// jest używany tylko, gdy prowadzi do domeny tego sklepu - /go nie może być otwartym przekierowaniem
+function buildStoreUrl(store, { appId, name = null, url = null }) {
+    const config = STORES[store];
+    const target = (url && parseStoreUrl(url, config.hosts)) || new URL(config.url({ appId, name }));
+
+    const tag = getAffiliateTag(store);
+    if (tag) {
+        target.searchParams.set(config.affiliate.param, tag);
+    }
+    return target.href;
+}
+
+// Linki do włączonych sklepów (przez /go) - kolejność = kolejność na stronie:
+// keyshopy z tagiem afiliacyjnym, gg.deals, Steam, pozostałe keyshopy
+function buildLinks(appId, { name = null, ggDealsUrl = null } = {}) {
+    const rank = store => getAffiliateTag(store) ? 0 : ({ ggdeals: 1, steam: 2 }[store] ?? 3);
+
+    return getEnabledStores()
+        .sort((a, b) => rank(a) - rank(b))
+        .map(store => {
+            const params = new URLSearchParams();
+            if (name && STORES[store].keyshop) params.set('name', name);
+            if (ggDealsUrl && store === 'ggdeals') params.set('url', ggDealsUrl);
+            const query = params.toString();
+
+            return {
+                store: store,
+                name: STORES[store].name,
+                affiliate: getAffiliateTag(store) !== null,
+                url: `/go/${store}/${appId}${query ? `?${query}` : ''}`
+            };
+        });
+}
+
+module.exports = {
+    STORES,
+    getAffiliateTag,
+    getEnabledStores,
+    isEnabledStore,
+    buildStoreUrl,
+    buildLinks
+};
@@ -0,0 +1,209 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, loginSteamUser } = require('./helpers/testApp');
+
+const MY_STEAM_ID = '76561198000000001';
+const PRIVATE_STEAM_ID = '76561198000000003';
+const VANISHING_STEAM_ID = '76561198000000005';
+
+const OWNED_GAMES = '/IPlayerService/GetOwnedGames/v1/';
+const PLAYER_ACHIEVEMENTS = '/ISteamUserStats/GetPlayerAchievements/v1/';
+
+const achievements = (unlocked, total) => Array.from({ length: total }, (_, i) => ({
+    apiname: `ACH_${i}`,
+    achieved: i < unlocked ? 1 : 0,
+    unlocktime: i < unlocked ? 1600000000 + i : 0
+}));
+
+let testApp;
+let me;
+
+// Czekaj aż ostatnie zadanie synchronizacji się zakończy
+async function waitForSync(agent) {
+    for (let i = 0; i < 100; i++) {
+        const res = await agent.get('/api/achievements/sync');
+        if (res.body.job && !['queued', 'running'].includes(res.body.job.status)) {
+            return res.body;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Synchronizacja nie zakończyła się na czas');
+}
+
+before(async () => {
+    testApp = await startTestApp();
+    const { upstream } = testApp;
+
+    upstream.on(OWNED_GAMES, {
+        response: {
+            game_count: 3,
+            games: [
+                { appid: 10, name: 'Counter-Strike', playtime_forever: 60 },
+                { appid: 440, name: 'Team Fortress 2', playtime_forever: 600 },
+                { appid: 620, name: 'Portal 2', playtime_forever: 900 }
+            ]
+        }
+    });
+
+    upstream.on(PLAYER_ACHIEVEMENTS, ({ steamid, appid }) => {
+        if (steamid === VANISHING_STEAM_ID) {
+            // Konto znika w trakcie synchronizacji - zapis wyniku łamie klucz obcy
+            const { db } = require('../database/init');
+            db.pragma('foreign_keys = OFF');
+            db.prepare('DELETE FROM users WHERE steam_id = ?').run(VANISHING_STEAM_ID);
+            db.pragma('foreign_keys = ON');
+        }
+        if (steamid === PRIVATE_STEAM_ID) {
+            return { status: 403, body: { playerstats: { error: 'Profile is not public', success: false } } };
+        }
+        if (appid === '10') {
+            return { status: 400, body: { playerstats: { error: 'Requested app has no stats', success: false } } };
+        }
+        return {
+            playerstats: {
+                steamID: steamid,
+                success: true,
+                achievements: appid === '620' ? achievements(3, 3) : achievements(1, 4)
+            }
+        };
+    });
+
+    me = await loginSteamUser(testApp, { username: 'syncer', email: 'syncer@example.com', steamId: MY_STEAM_ID });
+});
+
+after(async () => {
+    await testApp.close();
+});
+
+describe('POST /api/achievements/sync', () => {
+    it('pobiera osiągnięcia wszystkich gier w tle', async () => {
+        const res = await me.post('/api/achievements/sync');
+
+        assert.strictEqual(res.status, 202);
+        assert.strictEqual(res.body.progress.total, 3);
+
+        const result = await waitForSync(me);
+        assert.strictEqual(result.job.status, 'done');
+        assert.deepStrictEqual(
+            { queued: result.progress.queued, running: result.progress.running, done: result.progress.done, error: result.progress.error },
+            { queued: 0, running: 0, done: 3, error: 0 }
+        );
+        assert.strictEqual(result.progress.percentage, 100);
+    });
+
+    it('nie uruchamia drugiego zadania, gdy pierwsze trwa', async () => {
+        const { achievementSyncQueries, userQueries } = require('../database/init');
+        const user = userQueries.findByEmail.get('syncer@example.com');
+        const jobId = achievementSyncQueries.createJob.run(user.id, MY_STEAM_ID).lastInsertRowid;
+
+        const res = await me.post('/api/achievements/sync');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.job.id, Number(jobId));
+
+        achievementSyncQueries.finishJob.run('done', null, jobId);
+    });
+
+    it('kończy zadanie błędem dla prywatnego profilu', async () => {
+        const agent = await loginSteamUser(testApp, { username: 'hidden', email: 'hidden@example.com', steamId: PRIVATE_STEAM_ID });
+
+        await agent.post('/api/achievements/sync');
+        const result = await waitForSync(agent);
+
+        assert.strictEqual(result.job.status, 'error');
+        assert.ok(result.job.error);
+        assert.strictEqual(result.progress.error, 3);
+    });
+
+    it('błąd zapisu kończy grę błędem i nie zatrzymuje kolejki', async () => {
+        const agent = await loginSteamUser(testApp, { username: 'vanishing', email: 'vanishing@example.com', steamId: VANISHING_STEAM_ID });
+        const { db, userQueries } = require('../database/init');
+        const userId = userQueries.findByEmail.get('vanishing@example.com').id;
+
+        await agent.post('/api/achievements/sync');
+        const jobStatus = () => db.prepare('SELECT status FROM achievement_sync_jobs WHERE user_id = ?').get(userId)?.status;
+        for (let i = 0; i < 100 && ['queued', 'running'].includes(jobStatus()); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        const items = db.prepare(`
+            SELECT items.status, items.error FROM achievement_sync_items items
+            JOIN achievement_sync_jobs jobs ON jobs.id = items.job_id WHERE jobs.user_id = ?
+        `).all(userId);
+        assert.strictEqual(jobStatus(), 'done');
+        assert.strictEqual(items.length, 3);
+        assert.ok(items.every(item => item.status === 'error' && item.error));
+
+        // Worker obsługuje kolejne zadania
+        await me.post('/api/achievements/sync');
+        assert.strictEqual((await waitForSync(me)).job.status, 'done');
+    });
+
+    it('wymaga połączonego Steam', async () => {
+        const res = await testApp.agent().post('/api/achievements/sync');
+        assert.strictEqual(res.status, 401);
+    });
+});
+
+describe('GET /api/achievements/stats', () => {
+    it('zwraca statystyki całej biblioteki z zapisanych wyników', async () => {
+        const res = await me.get('/api/achievements/stats');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.gamesSynced, 3);
+        assert.strictEqual(res.body.gamesWithAchievements, 2);
+        assert.strictEqual(res.body.totalAchievements, 7);
+        assert.strictEqual(res.body.unlockedAchievements, 4);
+        assert.strictEqual(res.body.overallCompletion, 57.1);
+        assert.strictEqual(res.body.averageCompletion, 62.5);
+        assert.deepStrictEqual(res.body.perfectGames, [{ appId: 620, name: 'Portal 2' }]);
+        assert.ok(res.body.lastSyncedAt);
+    });
+});
+
+describe('Wznawianie synchronizacji', () => {
+    it('po restarcie kończy gry przerwane w trakcie pobierania', async () => {
+        const { db, achievementSyncQueries, userQueries } = require('../database/init');
+        const { achievementSync } = require('../services/achievementSync');
+        const user = userQueries.findByEmail.get('syncer@example.com');
+
+        // Stan jak po awarii serwera: zadanie w trakcie, jedna gra "running"
+        const jobId = achievementSyncQueries.createJob.run(user.id, MY_STEAM_ID).lastInsertRowid;
+        achievementSyncQueries.startJob.run(jobId);
+        achievementSyncQueries.addItem.run(jobId, 440, 'Team Fortress 2');
+        achievementSyncQueries.updateItem.run('running', 1, null, jobId, 440);
+
+        achievementSync.resume();
+        const result = await waitForSync(me);
+
+        assert.strictEqual(result.job.id, Number(jobId));
+        assert.strictEqual(result.job.status, 'done');
+        assert.strictEqual(db.prepare('SELECT status FROM achievement_sync_items WHERE job_id = ?').get(jobId).status, 'done');
+    });
+});
+
+describe('Limit zapytań Steam', () => {
+    it('po HTTP 429 gra wraca do kolejki bez utraty próby', async () => {
+        const { achievementSyncQueries, userQueries } = require('../database/init');
+        const { createAchievementSync } = require('../services/achievementSync');
+        const user = userQueries.findByEmail.get('syncer@example.com');
+
+        let calls = 0;
+        const client = {
+            async getPlayerAchievements() {
+                calls++;
+                if (calls === 1) {
+                    throw Object.assign(new Error('HTTP 429'), { status: 429 });
+                }
+                return { success: true, achievements: achievements(2, 2) };
+            }
+        };
+
+        const sync = createAchievementSync({ client, delay: 0, rateLimitDelay: 1 });
+        sync.enqueue(user.id, MY_STEAM_ID, [{ appId: 440, name: 'Team Fortress 2' }]);
+        const result = await waitForSync(me);
+
+        assert.strictEqual(calls, 2);
+        assert.strictEqual(result.job.status, 'done');
+        assert.strictEqual(achievementSyncQueries.findResults.all(user.id, MY_STEAM_ID).find(r => r.app_id === 440).unlocked, 2);
+    });
+});
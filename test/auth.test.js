@@ -0,0 +1,249 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, registerUser } = require('./helpers/testApp');
+
+let testApp;
+
+before(async () => {
+    testApp = await startTestApp();
+});
+
+after(async () => {
+    await testApp.close();
+});
+
+describe('POST /api/auth/register', () => {
+    it('tworzy konto i loguje użytkownika', async () => {
+        const agent = testApp.agent();
+        const res = await agent.post('/api/auth/register', {
+            username: 'newplayer',
+            email: 'new@example.com',
+            password: 'password123'
+        });
+
+        assert.strictEqual(res.status, 201);
+        assert.strictEqual(res.body.success, true);
+        assert.strictEqual(res.body.user.username, 'newplayer');
+        assert.ok(agent.hasSession());
+
+        const me = await agent.get('/api/auth/me');
+        assert.strictEqual(me.body.user.email, 'new@example.com');
+    });
+
+    it('wymaga wszystkich pól', async () => {
+        const res = await testApp.agent().post('/api/auth/register', { email: 'a@example.com' });
+        assert.strictEqual(res.status, 400);
+    });
+
+    it('odrzuca nieprawidłowy email i krótkie hasło', async () => {
+        const agent = testApp.agent();
+
+        const badEmail = await agent.post('/api/auth/register', { username: 'player', email: 'nope', password: 'password123' });
+        assert.strictEqual(badEmail.status, 400);
+
+        const shortPassword = await agent.post('/api/auth/register', { username: 'player', email: 'p@example.com', password: 'short' });
+        assert.strictEqual(shortPassword.status, 400);
+    });
+
+    it('odrzuca zajęty email', async () => {
+        await registerUser(testApp, { username: 'taken', email: 'taken@example.com' });
+
+        const res = await testApp.agent().post('/api/auth/register', {
+            username: 'other',
+            email: 'taken@example.com',
+            password: 'password123'
+        });
+        assert.strictEqual(res.status, 409);
+    });
+});
+
+describe('POST /api/auth/login', () => {
+    before(async () => {
+        await registerUser(testApp, { username: 'loginuser', email: 'login@example.com' });
+    });
+
+    it('loguje poprawnymi danymi', async () => {
+        const agent = testApp.agent();
+        const res = await agent.post('/api/auth/login', { email: 'login@example.com', password: 'password123' });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.user.username, 'loginuser');
+
+        const me = await agent.get('/api/auth/me');
+        assert.strictEqual(me.status, 200);
+    });
+
+    it('odrzuca błędne hasło i nieznany email', async () => {
+        const agent = testApp.agent();
+
+        const wrongPassword = await agent.post('/api/auth/login', { email: 'login@example.com', password: 'wrongpass1' });
+        assert.strictEqual(wrongPassword.status, 401);
+
+        const unknown = await agent.post('/api/auth/login', { email: 'ghost@example.com', password: 'password123' });
+        assert.strictEqual(unknown.status, 401);
+    });
+
+    it('wymaga emaila i hasła', async () => {
+        const res = await testApp.agent().post('/api/auth/login', { email: 'login@example.com' });
+        assert.strictEqual(res.status, 400);
+    });
+
+    it('odrzuca konto Steam-only bez hasła', async () => {
+        const { userQueries } = require('../database/init');
+        userQueries.createWithSteam.run('steamonly', 'steam_1@gamezone.local', '76561190000000001', 'steamonly', null);
+
+        const res = await testApp.agent().post('/api/auth/login', { email: 'steam_1@gamezone.local', password: 'password123' });
+        assert.strictEqual(res.status, 401);
+    });
+
+    it('"zapamiętaj mnie" wydłuża sesję do 30 dni', async () => {
+        const res = await testApp.agent().post('/api/auth/login', {
+            email: 'login@example.com',
+            password: 'password123',
+            remember: true
+        });
+
+        const expires = /Expires=([^;]+)/.exec(res.headers.get('set-cookie'))[1];
+        const days = (new Date(expires) - Date.now()) / (24 * 60 * 60 * 1000);
+        assert.ok(days > 29 && days <= 30);
+    });
+});
+
+describe('POST /api/auth/logout i GET /api/auth/me', () => {
+    it('me zwraca 401 bez sesji', async () => {
+        const res = await testApp.agent().get('/api/auth/me');
+        assert.strictEqual(res.status, 401);
+    });
+
+    it('wylogowanie kończy sesję', async () => {
+        const agent = await registerUser(testApp, { username: 'logoutuser', email: 'logout@example.com' });
+
+        const res = await agent.post('/api/auth/logout');
+        assert.strictEqual(res.status, 200);
+
+        const me = await agent.get('/api/auth/me');
+        assert.strictEqual(me.status, 401);
+    });
+});
+
+describe('POST /api/auth/password', () => {
+    it('zmienia hasło i unieważnia pozostałe sesje', async () => {
+        const agent = await registerUser(testApp, { username: 'pwuser', email: 'pw@example.com' });
+        const otherDevice = testApp.agent();
+        await otherDevice.post('/api/auth/login', { email: 'pw@example.com', password: 'password123' });
+
+        const wrong = await agent.post('/api/auth/password', { currentPassword: 'wrongpass1', newPassword: 'newpassword1' });
+        assert.strictEqual(wrong.status, 401);
+
+        const res = await agent.post('/api/auth/password', { currentPassword: 'password123', newPassword: 'newpassword1' });
+        assert.strictEqual(res.status, 200);
+
+        assert.strictEqual((await agent.get('/api/auth/me')).status, 200);
+        assert.strictEqual((await otherDevice.get('/api/auth/me')).status, 401);
+
+        const login = await testApp.agent().post('/api/auth/login', { email: 'pw@example.com', password: 'newpassword1' });
+        assert.strictEqual(login.status, 200);
+    });
+
+    it('konto Steam-only ustawia pierwsze hasło tylko po świeżym logowaniu przez Steam', async () => {
+        const agent = await registerUser(testApp, { username: 'steamonlypw', email: 'steamonlypw@example.com' });
+
+        const { db, userQueries } = require('../database/init');
+        const userId = userQueries.findByEmail.get('steamonlypw@example.com').id;
+        db.prepare('UPDATE users SET password_hash = NULL WHERE id = ?').run(userId);
+        // Potwierdzenie Steam (GET /api/auth/steam/reauth/callback) zapisuje w sesji steamReauthAt i operację
+        const reauthAt = (time, operation = 'password') => db.prepare(
+            `UPDATE sessions SET sess = json_set(sess, '$.steamReauthAt', ?, '$.steamReauthFor', ?) WHERE user_id = ?`
+        ).run(time, operation, userId);
+
+        const res = await agent.post('/api/auth/password', { newPassword: 'newpassword1' });
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.body.reauthRequired, 'steam');
+        assert.strictEqual(userQueries.findById.get(userId).password_hash, null);
+
+        reauthAt(Date.now() - 6 * 60 * 1000);
+        assert.strictEqual((await agent.post('/api/auth/password', { newPassword: 'newpassword1' })).status, 401);
+
+        // Potwierdzenie dla usunięcia konta nie pozwala ustawić hasła
+        reauthAt(Date.now(), 'delete');
+        assert.strictEqual((await agent.post('/api/auth/password', { newPassword: 'newpassword1' })).status, 401);
+
+        // Odrzucone hasło nie zużywa potwierdzenia
+        reauthAt(Date.now());
+        assert.strictEqual((await agent.post('/api/auth/password', { newPassword: 'short' })).status, 400);
+        assert.strictEqual((await agent.post('/api/auth/password', { newPassword: 'newpassword1' })).status, 200);
+        assert.notStrictEqual(userQueries.findById.get(userId).password_hash, null);
+    });
+
+    it('potwierdzenie Steam jest jednorazowe', async () => {
+        const agent = await registerUser(testApp, { username: 'steamonce', email: 'steamonce@example.com' });
+
+        const { db, userQueries } = require('../database/init');
+        const userId = userQueries.findByEmail.get('steamonce@example.com').id;
+        const removePassword = () => db.prepare('UPDATE users SET password_hash = NULL WHERE id = ?').run(userId);
+        removePassword();
+        db.prepare(
+            `UPDATE sessions SET sess = json_set(sess, '$.steamReauthAt', ?, '$.steamReauthFor', 'password') WHERE user_id = ?`
+        ).run(Date.now(), userId);
+
+        assert.strictEqual((await agent.post('/api/auth/password', { newPassword: 'newpassword1' })).status, 200);
+
+        // Drugie ustawienie hasła (np. po jego usunięciu) wymaga ponownego logowania przez Steam
+        removePassword();
+        const again = await agent.post('/api/auth/password', { newPassword: 'newpassword2' });
+        assert.strictEqual(again.status, 401);
+        assert.strictEqual(again.body.reauthRequired, 'steam');
+        assert.strictEqual((await agent.delete('/api/auth/account')).status, 401);
+    });
+});
+
+describe('DELETE /api/auth/account', () => {
+    it('wymaga poprawnego hasła i usuwa dane użytkownika', async () => {
+        const agent = await registerUser(testApp, { username: 'deleteme', email: 'delete@example.com' });
+        await agent.put('/api/library/440', { status: 'playing' });
+
+        const wrong = await agent.delete('/api/auth/account', { password: 'wrongpass1' });
+        assert.strictEqual(wrong.status, 401);
+
+        const res = await agent.delete('/api/auth/account', { password: 'password123' });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual((await agent.get('/api/auth/me')).status, 401);
+
+        const { db, userQueries } = require('../database/init');
+        assert.strictEqual(userQueries.findByEmail.get('delete@example.com'), undefined);
+        assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM user_games WHERE app_id = 440').get().count, 0);
+    });
+});
+
+describe('Logowanie przez Steam (verifySteamLogin)', () => {
+    const profile = {
+        id: '76561198000000042',
+        displayName: 'SteamHero',
+        photos: [{ value: 'small.jpg' }, { value: 'medium.jpg' }, { value: 'full.jpg' }]
+    };
+
+    const verify = (p) => new Promise((resolve, reject) => {
+        testApp.app.verifySteamLogin('identifier', p, (err, user) => err ? reject(err) : resolve(user));
+    });
+
+    it('tworzy konto dla nowego Steam ID', async () => {
+        const user = await verify(profile);
+
+        assert.strictEqual(user.steam_id, profile.id);
+        assert.strictEqual(user.username, 'SteamHero');
+        assert.strictEqual(user.email, `steam_${profile.id}@gamezone.local`);
+        assert.strictEqual(user.avatar_url, 'full.jpg');
+        assert.strictEqual(user.password_hash, null);
+    });
+
+    it('zwraca istniejące konto zamiast tworzyć duplikat', async () => {
+        const first = await verify(profile);
+        const second = await verify(profile);
+
+        assert.strictEqual(second.id, first.id);
+
+        const { db } = require('../database/init');
+        const count = db.prepare('SELECT COUNT(*) AS count FROM users WHERE steam_id = ?').get(profile.id).count;
+        assert.strictEqual(count, 1);
+    });
+});
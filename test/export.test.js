@@ -0,0 +1,199 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, registerUser, loginSteamUser } = require('./helpers/testApp');
+
+const MY_STEAM_ID = '76561198000000001';
+const PRIVATE_STEAM_ID = '76561198000000003';
+
+const OWNED_GAMES = '/IPlayerService/GetOwnedGames/v1/';
+
+let testApp;
+let me;
+
+before(async () => {
+    testApp = await startTestApp();
+
+    testApp.upstream.on(OWNED_GAMES, ({ steamid }) => steamid === PRIVATE_STEAM_ID ? { response: {} } : {
+        response: {
+            game_count: 2,
+            games: [
+                { appid: 10, name: 'Counter-Strike', playtime_forever: 60, rtime_last_played: 1700000000 },
+                { appid: 440, name: 'Team Fortress 2', playtime_forever: 600 }
+            ]
+        }
+    });
+
+    me = await loginSteamUser(testApp, { username: 'exporter', email: 'exporter@example.com', steamId: MY_STEAM_ID });
+
+    await me.put('/api/library/440', { status: 'completed', finishedAt: '2026-01-15', notes: 'Świetna, "klasyk", polecam' });
+    await me.post('/api/reviews/620', { rating: 8, body: 'Pierwsza linia\nDruga linia' });
+    await me.put('/api/wishlist/730', { targetPrice: 25, gameName: 'Counter-Strike 2' });
+
+    await registerUser(testApp, { username: 'buddy', email: 'buddy@example.com' });
+    await registerUser(testApp, { username: 'pest', email: 'pest@example.com' });
+    await me.post('/api/friends/requests', { username: 'buddy' });
+
+    const { userQueries, achievementSyncQueries } = require('../database/init');
+    await me.post(`/api/friends/blocks/${userQueries.findByUsername.get('pest').id}`);
+    achievementSyncQueries.saveResult.run({
+        userId: userQueries.findByEmail.get('exporter@example.com').id,
+        appId: 440,
+        steamId: MY_STEAM_ID,
+        gameName: 'Team Fortress 2',
+        hasAchievements: 1,
+        total: 5,
+        unlocked: 3
+    });
+});
+
+after(async () => {
+    await testApp.close();
+});
+
+describe('GET /api/export', () => {
+    it('eksportuje dane konta i gry jako JSON', async () => {
+        const res = await me.get('/api/export?format=json');
+
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /^attachment; filename="gamezone-export-\d{4}-\d{2}-\d{2}\.json"$/);
+        assert.strictEqual(res.headers.get('cache-control'), 'no-store');
+
+        const { account, steamLibrary, games } = res.body;
+        assert.strictEqual(res.body.success, true);
+        assert.strictEqual(steamLibrary, 'ok');
+        assert.strictEqual(account.username, 'exporter');
+        assert.strictEqual(account.email, 'exporter@example.com');
+        assert.strictEqual(account.steamId, MY_STEAM_ID);
+        assert.strictEqual(account.hasPassword, true);
+        assert.strictEqual(account.privacy.library, 'public');
+        assert.ok(!JSON.stringify(res.body).includes('password_hash'));
+
+        // Gry z biblioteki Steam (po czasie gry) i gry znane tylko z GameZone
+        assert.deepStrictEqual(games.map(game => game.appId), [440, 10, 620]);
+        assert.deepStrictEqual(games[0], {
+            appId: 440,
+            name: 'Team Fortress 2',
+            playtimeMinutes: 600,
+            lastPlayed: null,
+            achievementsUnlocked: 3,
+            achievementsTotal: 5,
+            status: 'completed',
+            startedAt: null,
+            finishedAt: '2026-01-15',
+            notes: 'Świetna, "klasyk", polecam',
+            rating: null,
+            review: null,
+            reviewedAt: null
+        });
+        assert.strictEqual(games[1].lastPlayed, '2023-11-14T22:13:20.000Z');
+        assert.strictEqual(games[2].playtimeMinutes, null);
+        assert.strictEqual(games[2].rating, 8);
+        assert.strictEqual(games[2].review, 'Pierwsza linia\nDruga linia');
+    });
+
+    it('eksportuje pozostałe dane użytkownika bez identyfikatorów sesji', async () => {
+        const res = await me.get('/api/export?format=json');
+
+        assert.deepStrictEqual(res.body.wishlist.map(item => [item.appId, item.gameName, item.targetPrice]), [
+            [730, 'Counter-Strike 2', 25]
+        ]);
+        assert.deepStrictEqual(res.body.friendships.map(row => [row.username, row.direction, row.status]), [
+            ['buddy', 'sent', 'pending']
+        ]);
+        assert.deepStrictEqual(res.body.blocks.map(row => row.username), ['pest']);
+        for (const section of ['notifications', 'playtimeSnapshots', 'activity', 'achievementSyncJobs', 'storeClicks']) {
+            assert.ok(Array.isArray(res.body[section]), section);
+        }
+
+        assert.ok(res.body.sessions.length >= 1);
+        assert.deepStrictEqual(Object.keys(res.body.sessions[0]), ['userAgent', 'ip', 'createdAt', 'lastActive', 'expiresAt']);
+
+        const { db, userQueries } = require('../database/init');
+        const sids = db.prepare('SELECT sid FROM sessions WHERE user_id = ?').all(userQueries.findByUsername.get('exporter').id);
+        assert.ok(sids.length >= 1);
+        for (const { sid } of sids) {
+            assert.ok(!JSON.stringify(res.body).includes(sid));
+        }
+    });
+
+    it('eksportuje dane dłuższe niż jedna strona zapytania', async () => {
+        const agent = await registerUser(testApp, { username: 'collector', email: 'collector@example.com' });
+        const { db, userQueries } = require('../database/init');
+        const userId = userQueries.findByUsername.get('collector').id;
+
+        const insert = db.prepare("INSERT INTO user_games (user_id, app_id, status) VALUES (?, ?, 'backlog')");
+        db.transaction(() => {
+            for (let appId = 1; appId <= 1200; appId++) insert.run(userId, appId * 10);
+        })();
+
+        const res = await agent.get('/api/export?format=json');
+        assert.strictEqual(res.body.games.length, 1200);
+        assert.strictEqual(new Set(res.body.games.map(game => game.appId)).size, 1200);
+        assert.ok(res.body.games.every(game => game.status === 'backlog'));
+    });
+
+    it('eksportuje CSV z sekcją konta i tabelą gier', async () => {
+        const res = await me.get('/api/export?format=csv');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+
+        // fetch usuwa BOM przy dekodowaniu UTF-8
+        const [accountSection, gamesSection, wishlistSection] = res.body.split('\r\n\r\n');
+        const accountLines = accountSection.split('\r\n');
+        assert.strictEqual(accountLines[0], 'account');
+        assert.strictEqual(accountLines[1], 'field,value');
+        assert.ok(accountLines.includes('username,exporter'));
+        assert.ok(accountLines.includes('privacy.reviews,public'));
+        assert.ok(accountLines.includes('steamLibrary,ok'));
+
+        const gameLines = gamesSection.split('\r\n');
+        assert.strictEqual(gameLines[0], 'games');
+        assert.strictEqual(gameLines[1], 'appId,name,playtimeMinutes,lastPlayed,achievementsUnlocked,achievementsTotal,status,startedAt,finishedAt,notes,rating,review,reviewedAt');
+        assert.strictEqual(gameLines[2], '440,Team Fortress 2,600,,3,5,completed,,2026-01-15,"Świetna, ""klasyk"", polecam",,,');
+        assert.ok(gamesSection.includes(',8,"Pierwsza linia\nDruga linia",'));
+
+        assert.deepStrictEqual(wishlistSection.split('\r\n').slice(0, 2), [
+            'wishlist', 'appId,gameName,targetPrice,createdAt,updatedAt'
+        ]);
+        assert.match(res.body, /\r\n\r\nsessions\r\nuserAgent,ip,createdAt,lastActive,expiresAt\r\n/);
+    });
+
+    it('chroni CSV przed wstrzyknięciem formuł w nazwach innych użytkowników', async () => {
+        const attacker = await registerUser(testApp, { username: '=HYPERLINK("http://x.pl","a")', email: 'formula@example.com' });
+        await attacker.post('/api/friends/requests', { username: 'exporter' });
+
+        const res = await me.get('/api/export?format=csv');
+        const friendships = res.body.split('\r\n\r\n').find(section => section.startsWith('friendships\r\n'));
+
+        const lines = friendships.split('\r\n');
+        assert.ok(lines.some(line => line.startsWith(`"'=HYPERLINK(""http://x.pl"",""a"")",received,pending,`)));
+        assert.ok(!/(^|,)=HYPERLINK/m.test(res.body));
+        // Pozostałe wartości (daty, liczby) bez zmian
+        assert.ok(lines.some(line => line.startsWith('buddy,sent,pending,20')));
+    });
+
+    it('eksportuje dane z GameZone przy prywatnym profilu Steam', async () => {
+        const agent = await loginSteamUser(testApp, { username: 'hidden', email: 'hidden@example.com', steamId: PRIVATE_STEAM_ID });
+        await agent.put('/api/library/620', { status: 'backlog' });
+
+        const res = await agent.get('/api/export');
+        assert.strictEqual(res.body.steamLibrary, 'private');
+        assert.deepStrictEqual(res.body.games.map(game => [game.appId, game.status]), [[620, 'backlog']]);
+    });
+
+    it('eksportuje konto bez Steam', async () => {
+        const agent = await registerUser(testApp, { username: 'nosteam', email: 'nosteam@example.com' });
+
+        const res = await agent.get('/api/export');
+        assert.strictEqual(res.body.steamLibrary, 'not_linked');
+        assert.strictEqual(res.body.account.steamId, null);
+        assert.deepStrictEqual(res.body.games, []);
+    });
+
+    it('odrzuca nieznany format i wymaga zalogowania', async () => {
+        assert.strictEqual((await me.get('/api/export?format=xml')).status, 400);
+        assert.strictEqual((await me.get('/api/export?format=constructor')).status, 400);
+        assert.strictEqual((await testApp.agent().get('/api/export')).status, 401);
+    });
+});
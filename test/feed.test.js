@@ -0,0 +1,178 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, loginSteamUser } = require('./helpers/testApp');
+
+const MY_STEAM_ID = '76561198000000001';
+const FRIEND_A_STEAM_ID = '76561198000000002';
+const FRIEND_B_STEAM_ID = '76561198000000005';
+const STRANGER_STEAM_ID = '76561198000000009';
+
+const OWNED_GAMES = '/IPlayerService/GetOwnedGames/v1/';
+const FRIEND_LIST = '/ISteamUser/GetFriendList/v1/';
+
+let testApp;
+let me;
+let friendA;
+let stranger;
+let playtime = {};
+
+const userIdOf = (email) => require('../database/init').userQueries.findByEmail.get(email).id;
+
+// Zrzut czasu gry znajomego A z podanego dnia
+async function snapshotFriendA(date, minutes) {
+    const { snapshotUser } = require('../services/playtimeHistory');
+    playtime = minutes;
+    await snapshotUser(userIdOf('a@example.com'), FRIEND_A_STEAM_ID, date);
+}
+
+// Synchronizacja osiągnięć gry 620 znajomego B przy danej liczbie zdobytych (z 2)
+async function syncFriendB(unlocked) {
+    const { createAchievementSync } = require('../services/achievementSync');
+    const achievements = [0, 1].map(i => ({ apiname: `ACH_${i}`, achieved: i < unlocked ? 1 : 0, unlocktime: i < unlocked ? 1767225600 + i : 0 }));
+    const client = { getPlayerAchievements: async () => ({ success: true, achievements }) };
+
+    const sync = createAchievementSync({ client, delay: 0 });
+    const userId = userIdOf('b@example.com');
+    sync.enqueue(userId, FRIEND_B_STEAM_ID, [{ appId: 620, name: 'Portal 2' }]);
+
+    while (sync.getProgress(userId).job.status !== 'done') {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+before(async () => {
+    testApp = await startTestApp();
+
+    testApp.upstream.on(OWNED_GAMES, () => ({
+        response: {
+            game_count: 2,
+            games: [
+                { appid: 10, name: 'Counter-Strike', playtime_forever: playtime[10] },
+                { appid: 440, name: 'Team Fortress 2', playtime_forever: playtime[440] }
+            ]
+        }
+    }));
+    testApp.upstream.on(FRIEND_LIST, ({ steamid }) => steamid === MY_STEAM_ID
+        ? { friendslist: { friends: [{ steamid: FRIEND_A_STEAM_ID }, { steamid: FRIEND_B_STEAM_ID }] } }
+        : { status: 401, body: {} });
+
+    me = await loginSteamUser(testApp, { username: 'feeder', email: 'me@example.com', steamId: MY_STEAM_ID });
+    friendA = await loginSteamUser(testApp, { username: 'friendA', email: 'a@example.com', steamId: FRIEND_A_STEAM_ID });
+    await loginSteamUser(testApp, { username: 'friendB', email: 'b@example.com', steamId: FRIEND_B_STEAM_ID });
+    stranger = await loginSteamUser(testApp, { username: 'stranger', email: 's@example.com', steamId: STRANGER_STEAM_ID });
+
+    // A: nowa gra (440) i przekroczone progi godzin; ponowny zrzut tego samego dnia nie dubluje zdarzeń
+    await snapshotFriendA('2026-01-01', { 10: 500, 440: 0 });
+    await snapshotFriendA('2026-01-02', { 10: 3100, 440: 700 });
+    await snapshotFriendA('2026-01-02', { 10: 3100, 440: 700 });
+
+    // B: pierwsza synchronizacja to punkt odniesienia, druga - nowe osiągnięcie i 100%
+    await syncFriendB(1);
+    await syncFriendB(2);
+
+    await friendA.post('/api/reviews/440', { rating: 9 });
+    await stranger.post('/api/reviews/440', { rating: 2 });
+});
+
+after(async () => {
+    await testApp.close();
+});
+
+describe('GET /api/feed', () => {
+    it('zwraca zdarzenia znajomych od najnowszego', async () => {
+        const res = await me.get('/api/feed');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.events.map(e => [e.type, e.appId, e.data]), [
+            ['review', 440, { rating: 9 }],
+            ['playtime_milestone', 440, { hours: 10 }],
+            ['started_game', 440, {}],
+            ['playtime_milestone', 10, { hours: 50 }],
+            ['playtime_milestone', 10, { hours: 10 }],
+            ['completed_game', 620, { total: 2 }],
+            ['achievement_unlocked', 620, { count: 1, unlocked: 2, total: 2 }]
+        ]);
+        assert.strictEqual(res.body.events[0].friend.steamId, FRIEND_A_STEAM_ID);
+        assert.strictEqual(res.body.events[6].occurredAt, new Date(1767225601 * 1000).toISOString());
+    });
+
+    it('nie pokazuje aktywności spoza listy znajomych', async () => {
+        const res = await me.get('/api/feed');
+        assert.ok(res.body.events.every(e => e.friend.steamId !== STRANGER_STEAM_ID));
+    });
+
+    it('dzieli wyniki na strony', async () => {
+        const res = await me.get('/api/feed?limit=4&page=2');
+
+        assert.strictEqual(res.body.events.length, 3);
+        assert.deepStrictEqual(res.body.pagination, { page: 2, limit: 4, total: 7, totalPages: 2 });
+    });
+
+    it('filtruje po typie i znajomym', async () => {
+        const milestones = await me.get('/api/feed?type=playtime_milestone,completed_game');
+        assert.deepStrictEqual(milestones.body.events.map(e => e.type), ['playtime_milestone', 'playtime_milestone', 'playtime_milestone', 'completed_game']);
+
+        const onlyB = await me.get(`/api/feed?friend=${FRIEND_B_STEAM_ID}`);
+        assert.deepStrictEqual(onlyB.body.events.map(e => e.appId), [620, 620]);
+
+        const notFriend = await me.get(`/api/feed?friend=${STRANGER_STEAM_ID}`);
+        assert.deepStrictEqual(notFriend.body.events, []);
+    });
+
+    it('odrzuca nieznany typ zdarzenia', async () => {
+        const res = await me.get('/api/feed?type=levelup');
+        assert.strictEqual(res.status, 400);
+    });
+
+    it('ukrywa zdarzenia z sekcji niewidocznych dla oglądającego', async () => {
+        const friendB = testApp.agent();
+        await friendB.post('/api/auth/login', { email: 'b@example.com', password: 'password123' });
+
+        await friendA.put('/api/users/me/privacy', { reviews: 'private' });
+        await friendB.put('/api/users/me/privacy', { achievements: 'friends' });
+
+        let res = await me.get('/api/feed');
+        assert.deepStrictEqual(res.body.events.map(e => e.type), ['playtime_milestone', 'started_game', 'playtime_milestone', 'playtime_milestone']);
+        assert.strictEqual(res.body.pagination.total, 4);
+
+        // Znajomi w GameZone widzą sekcje "friends"
+        await me.post('/api/friends/requests', { username: 'friendB' });
+        await friendB.post('/api/friends/requests', { username: 'feeder' });
+
+        res = await me.get(`/api/feed?friend=${FRIEND_B_STEAM_ID}`);
+        assert.deepStrictEqual(res.body.events.map(e => e.type), ['completed_game', 'achievement_unlocked']);
+    });
+
+    it('pierwszy zrzut i pierwsza synchronizacja nie tworzą zdarzeń', () => {
+        const { db } = require('../database/init');
+        const count = (email) => db.prepare('SELECT COUNT(*) AS count FROM activity_events WHERE user_id = ?').get(userIdOf(email)).count;
+
+        // A: tylko zdarzenia z drugiego zrzutu i recenzja, B: tylko z drugiej synchronizacji
+        assert.strictEqual(count('a@example.com'), 5);
+        assert.strictEqual(count('b@example.com'), 2);
+    });
+});
+
+describe('Zdarzenia recenzji', () => {
+    const reviewEvents = async () => (await me.get(`/api/feed?type=review&friend=${FRIEND_B_STEAM_ID}`)).body.events;
+
+    it('zawiera nazwę gry z biblioteki Steam', async () => {
+        const friendB = testApp.agent();
+        await friendB.post('/api/auth/login', { email: 'b@example.com', password: 'password123' });
+        await friendB.post('/api/reviews/10', { rating: 7 });
+
+        const events = await reviewEvents();
+        assert.deepStrictEqual(events.map(e => [e.appId, e.gameName, e.data]), [[10, 'Counter-Strike', { rating: 7 }]]);
+    });
+
+    it('usunięta recenzja znika z feedu, a nowa tworzy nowe zdarzenie', async () => {
+        const friendB = testApp.agent();
+        await friendB.post('/api/auth/login', { email: 'b@example.com', password: 'password123' });
+
+        assert.strictEqual((await friendB.delete('/api/reviews/10')).status, 200);
+        assert.deepStrictEqual(await reviewEvents(), []);
+
+        await friendB.post('/api/reviews/10', { rating: 4 });
+        assert.deepStrictEqual((await reviewEvents()).map(e => e.data), [{ rating: 4 }]);
+    });
+});
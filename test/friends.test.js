@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, registerUser, loginSteamUser } = require('./helpers/testApp');
+
+const BOB_STEAM_ID = '76561198000000002';
+
+let testApp;
+let alice;
+let bob;
+let carol;
+let ids;
+
+before(async () => {
+    testApp = await startTestApp();
+
+    alice = await registerUser(testApp, { username: 'alice', email: 'alice@example.com' });
+    bob = await loginSteamUser(testApp, { username: 'bob', email: 'bob@example.com', steamId: BOB_STEAM_ID });
+    carol = await registerUser(testApp, { username: 'carol', email: 'carol@example.com' });
+
+    const { userQueries } = require('../database/init');
+    ids = Object.fromEntries(['alice', 'bob', 'carol'].map(name => [name, userQueries.findByUsername.get(name).id]));
+});
+
+after(async () => {
+    await testApp.close();
+});
+
+describe('Zaproszenia do znajomych', () => {
+    it('wysłane zaproszenie po przyjęciu tworzy znajomość ze Steam ID', async () => {
+        const sent = await alice.post('/api/friends/requests', { username: 'bob' });
+        assert.strictEqual(sent.status, 201);
+
+        const bobBefore = await bob.get('/api/friends');
+        assert.deepStrictEqual(bobBefore.body.incoming.map(f => f.username), ['alice']);
+        assert.deepStrictEqual((await alice.get('/api/friends')).body.outgoing.map(f => f.username), ['bob']);
+
+        const accepted = await bob.post(`/api/friends/requests/${ids.alice}/accept`);
+        assert.strictEqual(accepted.status, 200);
+
+        const aliceFriends = await alice.get('/api/friends');
+        assert.strictEqual(aliceFriends.body.friends.length, 1);
+        assert.strictEqual(aliceFriends.body.friends[0].username, 'bob');
+        assert.strictEqual(aliceFriends.body.friends[0].steamId, BOB_STEAM_ID);
+        assert.ok(aliceFriends.body.friends[0].since);
+        assert.deepStrictEqual(aliceFriends.body.outgoing, []);
+    });
+
+    it('odrzuca zaproszenie do siebie, duplikat i nieznanego użytkownika', async () => {
+        assert.strictEqual((await alice.post('/api/friends/requests', { username: 'alice' })).status, 400);
+        assert.strictEqual((await bob.post('/api/friends/requests', { username: 'alice' })).status, 409);
+        assert.strictEqual((await alice.post('/api/friends/requests', { username: 'ghost' })).status, 404);
+    });
+
+    it('zaproszenie w drugą stronę przyjmuje oczekujące', async () => {
+        await carol.post('/api/friends/requests', { userId: ids.alice });
+        const res = await alice.post('/api/friends/requests', { username: 'carol' });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.status, 'accepted');
+        assert.deepStrictEqual((await carol.get('/api/friends')).body.friends.map(f => f.username), ['alice']);
+    });
+
+    it('odrzucenie i anulowanie usuwają zaproszenie', async () => {
+        await bob.post('/api/friends/requests', { username: 'carol' });
+        assert.strictEqual((await carol.post(`/api/friends/requests/${ids.bob}/decline`)).status, 200);
+        assert.deepStrictEqual((await bob.get('/api/friends')).body.outgoing, []);
+
+        await bob.post('/api/friends/requests', { username: 'carol' });
+        assert.strictEqual((await bob.delete(`/api/friends/${ids.carol}`)).status, 200);
+        assert.deepStrictEqual((await carol.get('/api/friends')).body.incoming, []);
+
+        // Nie można przyjąć nieistniejącego zaproszenia
+        assert.strictEqual((await carol.post(`/api/friends/requests/${ids.bob}/accept`)).status, 404);
+    });
+
+    it('usuwa znajomego', async () => {
+        const res = await carol.delete(`/api/friends/${ids.alice}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual((await alice.get('/api/friends')).body.friends.map(f => f.username), ['bob']);
+    });
+
+    it('wymaga logowania', async () => {
+        assert.strictEqual((await testApp.agent().get('/api/friends')).status, 401);
+    });
+});
+
+describe('Blokowanie użytkowników', () => {
+    it('blokada usuwa znajomość i uniemożliwia zaproszenia w obie strony', async () => {
+        const res = await bob.post(`/api/friends/blocks/${ids.alice}`);
+        assert.strictEqual(res.status, 200);
+
+        assert.deepStrictEqual((await alice.get('/api/friends')).body.friends, []);
+        assert.strictEqual((await alice.post('/api/friends/requests', { username: 'bob' })).status, 404);
+        assert.strictEqual((await bob.post('/api/friends/requests', { username: 'alice' })).status, 404);
+
+        const blocks = await bob.get('/api/friends/blocks');
+        assert.deepStrictEqual(blocks.body.blocked.map(b => b.username), ['alice']);
+    });
+
+    it('odblokowanie pozwala znów zaprosić', async () => {
+        assert.strictEqual((await bob.delete(`/api/friends/blocks/${ids.alice}`)).status, 200);
+        assert.strictEqual((await bob.delete(`/api/friends/blocks/${ids.alice}`)).status, 404);
+        assert.strictEqual((await alice.post('/api/friends/requests', { username: 'bob' })).status, 201);
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, registerUser } = require('./helpers/testApp');
+
+const ALICE = '76561198000000011';
+const BOB = '76561198000000012';
+const CAROL = '76561198000000013';
+const PRIVATE = '76561198000000014';
+
+const OWNED_GAMES = '/IPlayerService/GetOwnedGames/v1/';
+const PLAYER_SUMMARIES = '/ISteamUser/GetPlayerSummaries/v2/';
+const RESOLVE_VANITY = '/ISteamUser/ResolveVanityURL/v1/';
+const GGDEALS_PRICES = '/v1/prices/by-steam-app-id/';
+const STORE_APP_DETAILS = '/api/appdetails';
+const STEAM_SPY = '/api.php';
+
+// Minuty gry w każdej bibliotece
+const LIBRARIES = {
+    [ALICE]: { 10: 60, 440: 600, 620: 100 },
+    [BOB]: { 10: 30, 440: 60, 730: 10 },
+    [CAROL]: { 10: 5, 620: 200, 730: 0 }
+};
+const NAMES = { 10: 'Counter-Strike', 440: 'Team Fortress 2', 620: 'Portal 2', 730: 'Counter-Strike 2' };
+
+let testApp;
+let me;
+
+before(async () => {
+    process.env.GROUP_RATE_LIMIT = '11';
+    testApp = await startTestApp();
+    const { upstream } = testApp;
+
+    upstream.on(OWNED_GAMES, ({ steamid }) => {
+        const library = LIBRARIES[steamid];
+        if (!library) return { response: {} };
+        return {
+            response: {
+                game_count: Object.keys(library).length,
+                games: Object.entries(library).map(([appid, minutes]) => ({
+                    appid: Number(appid), name: NAMES[appid], playtime_forever: minutes
+                }))
+            }
+        };
+    });
+    upstream.on(PLAYER_SUMMARIES, ({ steamids }) => ({
+        response: { players: steamids.split(',').map(id => ({ steamid: id, personaname: `Player${id.slice(-2)}`, avatarmedium: 'am.jpg' })) }
+    }));
+    upstream.on(RESOLVE_VANITY, ({ vanityurl }) => vanityurl === 'carol'
+        ? { response: { success: 1, steamid: CAROL } }
+        : { response: { success: 42 } });
+    upstream.on(GGDEALS_PRICES, ({ ids }) => ({
+        success: true,
+        data: Object.fromEntries(ids.split(',').map(id => [id, id === '730' ? null : {
+            url: `https://gg.deals/game/${id}/`,
+            prices: { currentRetail: '50.00', currentKeyshops: '20.00', currency: 'PLN' }
+        }]))
+    }));
+    upstream.on(STORE_APP_DETAILS, ({ appids }) => ({
+        [appids]: {
+            success: true,
+            data: { name: NAMES[appids], categories: appids === '440' || appids === '730' ? [{ id: 38, description: 'Online Co-op' }] : [] }
+        }
+    }));
+    upstream.on(STEAM_SPY, { tags: [] });
+
+    me = await registerUser(testApp, { username: 'organizer', email: 'organizer@example.com' });
+});
+
+after(async () => {
+    delete process.env.GROUP_RATE_LIMIT;
+    await testApp.close();
+});
+
+describe('GET /api/group/library', () => {
+    it('zwraca gry wspólne dla wszystkich i brakujące jednej osobie', async () => {
+        const res = await me.get(`/api/group/library?steamIds=${ALICE},${BOB},carol,${PRIVATE}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.everyoneOwns.map(g => [g.appId, g.totalPlaytime]), [[10, 95]]);
+        assert.deepStrictEqual(res.body.everyoneOwns[0].playtime, { [ALICE]: 60, [BOB]: 30, [CAROL]: 5 });
+
+        // Ranking po łącznym czasie gry grupy
+        assert.deepStrictEqual(
+            res.body.allButOne.map(g => [g.appId, g.totalPlaytime, g.missing.steamId]),
+            [[440, 660, CAROL], [620, 300, BOB], [730, 10, ALICE]]
+        );
+        assert.strictEqual(res.body.allButOne[0].missing.personaName, 'Player13');
+        assert.strictEqual(res.body.allButOne[0].price.currentPrice, 20);
+        assert.strictEqual(res.body.allButOne[2].price, null);
+        assert.strictEqual(res.body.pricesAvailable, true);
+    });
+
+    it('zgłasza prywatne biblioteki zamiast je pomijać', async () => {
+        const res = await me.get(`/api/group/library?steamIds=${ALICE},${BOB},${CAROL},${PRIVATE}`);
+
+        assert.deepStrictEqual(res.body.privateMembers, [PRIVATE]);
+        assert.deepStrictEqual(res.body.members.map(m => [m.steamId, m.isPrivate, m.gameCount]), [
+            [ALICE, false, 3], [BOB, false, 3], [CAROL, false, 3], [PRIVATE, true, 0]
+        ]);
+        assert.strictEqual(res.body.members[0].playtimeHours, 12.7);
+    });
+
+    it('dla dwóch osób nie liczy gier „wszyscy oprócz jednej”', async () => {
+        const res = await me.get(`/api/group/library?steamIds=${ALICE},${BOB}`);
+
+        assert.deepStrictEqual(res.body.everyoneOwns.map(g => g.appId), [440, 10]);
+        assert.deepStrictEqual(res.body.allButOne, []);
+    });
+
+    it('wskazuje nieprawidłowy identyfikator', async () => {
+        const invalid = await me.get(`/api/group/library?steamIds=${ALICE},???`);
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.code, 'INVALID_STEAM_ID');
+        assert.strictEqual(invalid.body.input, '???');
+
+        const unknown = await me.get(`/api/group/library?steamIds=${ALICE},nobody`);
+        assert.strictEqual(unknown.status, 404);
+        assert.strictEqual(unknown.body.code, 'STEAM_USER_NOT_FOUND');
+    });
+
+    it('wymaga od 2 do 10 różnych osób', async () => {
+        assert.strictEqual((await me.get(`/api/group/library?steamIds=${ALICE},${ALICE}`)).status, 400);
+        assert.strictEqual((await me.get('/api/group/library')).status, 400);
+    });
+
+    it('odrzuca zbyt dużą grupę bez zapytań do Steam', async () => {
+        const before = testApp.upstream.callCount(RESOLVE_VANITY);
+        const names = Array.from({ length: 11 }, (_, i) => `player${i}`);
+
+        // 11 różnych nazw, każda podana dwa razy
+        const res = await me.get(`/api/group/library?steamIds=${[...names, ...names].join(',')}`);
+        assert.strictEqual(res.status, 400);
+        assert.match(res.body.message, /od 2 do 10/);
+        assert.strictEqual(testApp.upstream.callCount(RESOLVE_VANITY), before);
+    });
+
+    it('filtruje gry wieloosobowe po danych sklepu', async () => {
+        const url = `/api/group/library?steamIds=${ALICE},${BOB},${CAROL}&multiplayer=coop`;
+        await me.get(url);
+
+        const { storeDetails } = require('../services/storeDetails');
+        while (!storeDetails.isIdle()) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        const res = await me.get(url);
+        assert.deepStrictEqual(res.body.everyoneOwns, []);
+        assert.deepStrictEqual(res.body.allButOne.map(g => g.appId), [440, 730]);
+        assert.strictEqual(res.body.detailsPending, 0);
+    });
+
+    it('wymaga zalogowania i ogranicza liczbę porównań', async () => {
+        assert.strictEqual((await testApp.agent().get(`/api/group/library?steamIds=${ALICE},${BOB}`)).status, 401);
+
+        // 10 porównań w poprzednich testach, limit testowy 11
+        assert.strictEqual((await me.get(`/api/group/library?steamIds=${ALICE},${BOB}`)).status, 200);
+
+        const limited = await me.get(`/api/group/library?steamIds=${ALICE},${BOB}`);
+        assert.strictEqual(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    });
+});
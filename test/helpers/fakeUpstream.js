@@ -0,0 +1,50 @@
+const http = require('http');
+
+// Lokalny zastępnik api.steampowered.com, store.steampowered.com, steamspy.com i api.gg.deals.
+// Odpowiedzi ustawia się per ścieżka: fake.on('/ISteamUser/GetPlayerSummaries/v2/', handler),
+// gdzie handler(query) zwraca { status, body } lub sam obiekt body (status 200).
+async function createFakeUpstream() {
+    const handlers = new Map();
+    const calls = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const query = Object.fromEntries(url.searchParams);
+        calls.push({ path: url.pathname, query });
+
+        const handler = handlers.get(url.pathname);
+        if (!handler) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: 'not found' }));
+        }
+
+        const result = handler(query);
+        const { status = 200, body = result } = result && result.status ? result : {};
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        calls,
+
+        on(path, handler) {
+            handlers.set(path, typeof handler === 'function' ? handler : () => handler);
+        },
+
+        // Liczba zapytań do ścieżki (opcjonalnie z danym parametrem)
+        callCount(path, predicate = () => true) {
+            return calls.filter(call => call.path === path && predicate(call.query)).length;
+        },
+
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { createFakeUpstream };
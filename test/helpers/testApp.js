@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeUpstream } = require('./fakeUpstream');
+
+// Uruchom aplikację na tymczasowej bazie SQLite z fałszywym Steam i gg.deals.
+// Musi być wywołane przed pierwszym require modułów aplikacji.
+async function startTestApp() {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamezone-test-'));
+    const upstream = await createFakeUpstream();
+
+    process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+    process.env.SESSION_SECRET = 'test-secret';
+    process.env.STEAM_API_KEY = 'test-steam-key';
+    process.env.STEAM_API_BASE_URL = upstream.url;
+    process.env.STEAM_API_RETRIES = '0';
+    process.env.GGDEALS_API_KEY = 'test-ggdeals-key';
+    process.env.GGDEALS_API_BASE_URL = upstream.url;
+    process.env.ACHIEVEMENT_SYNC_DELAY = '0';
+    process.env.STEAM_STORE_BASE_URL = upstream.url;
+    process.env.STEAM_STORE_DELAY = '0';
+    process.env.STEAM_SPY_BASE_URL = upstream.url;
+
+    // Migracje i cache logują na konsolę - w testach to tylko szum
+    const originalLog = console.log;
+    console.log = () => {};
+
+    const app = require('../../server');
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        app,
+        upstream,
+        baseUrl,
+        agent: (headers) => createAgent(baseUrl, headers),
+
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            require('../../services/achievementSync').achievementSync.stop();
+            require('../../services/storeDetails').storeDetails.stop();
+            await upstream.close();
+            require('../../database/init').db.close();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+            console.log = originalLog;
+        }
+    };
+}
+
+// Klient HTTP z ciasteczkiem sesji (jak przeglądarka jednego użytkownika).
+// defaultHeaders - nagłówki wysyłane z każdym zapytaniem (np. Accept-Language)
+function createAgent(baseUrl, defaultHeaders = {}) {
+    let cookie = null;
+
+    async function request(method, urlPath, body) {
+        const headers = { ...defaultHeaders };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (cookie) headers.Cookie = cookie;
+
+        const res = await fetch(baseUrl + urlPath, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            redirect: 'manual'
+        });
+
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) {
+            const match = /connect\.sid=([^;]*)/.exec(setCookie);
+            cookie = match && match[1] ? `connect.sid=${match[1]}` : null;
+        }
+
+        const text = await res.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            data = text;
+        }
+
+        return { status: res.status, headers: res.headers, body: data };
+    }
+
+    return {
+        get: (urlPath) => request('GET', urlPath),
+        post: (urlPath, body) => request('POST', urlPath, body),
+        put: (urlPath, body) => request('PUT', urlPath, body),
+        delete: (urlPath, body) => request('DELETE', urlPath, body),
+        hasSession: () => cookie !== null
+    };
+}
+
+// Zarejestruj użytkownika i zwróć zalogowanego agenta
+async function registerUser(testApp, { username, email, password = 'password123' }) {
+    const agent = testApp.agent();
+    const res = await agent.post('/api/auth/register', { username, email, password });
+    if (res.status !== 201) {
+        throw new Error(`Rejestracja nie powiodła się: ${JSON.stringify(res.body)}`);
+    }
+    return agent;
+}
+
+// Użytkownik z połączonym Steam - sesja zawiera steamId dopiero po ponownym logowaniu
+async function loginSteamUser(testApp, { username, email, steamId, password = 'password123' }) {
+    await registerUser(testApp, { username, email, password });
+
+    const { userQueries } = require('../../database/init');
+    const user = userQueries.findByEmail.get(email);
+    userQueries.linkSteam.run(steamId, `${username}_steam`, null, user.id);
+
+    const agent = testApp.agent();
+    await agent.post('/api/auth/login', { email, password });
+    return agent;
+}
+
+module.exports = { startTestApp, registerUser, loginSteamUser };
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { fetchJSON, redactUrl } = require('../services/httpClient');
+const { createFakeUpstream } = require('./helpers/fakeUpstream');
+
+let upstream;
+
+before(async () => {
+    upstream = await createFakeUpstream();
+});
+
+after(async () => {
+    await upstream.close();
+});
+
+describe('fetchJSON', () => {
+    it('ponawia zapytanie po HTTP 429 i 5xx', async () => {
+        let attempts = 0;
+        upstream.on('/flaky', () => {
+            attempts++;
+            if (attempts === 1) return { status: 429, body: {} };
+            if (attempts === 2) return { status: 503, body: {} };
+            return { ok: true };
+        });
+
+        const data = await fetchJSON(`${upstream.url}/flaky`, { retries: 3, retryDelay: 1 });
+
+        assert.deepStrictEqual(data, { ok: true });
+        assert.strictEqual(attempts, 3);
+    });
+
+    it('nie ponawia błędów 4xx i zwraca status w błędzie', async () => {
+        upstream.on('/forbidden', { status: 403, body: { error: 'private' } });
+
+        await assert.rejects(
+            fetchJSON(`${upstream.url}/forbidden`, { retries: 3, retryDelay: 1 }),
+            (error) => error.status === 403
+        );
+        assert.strictEqual(upstream.callCount('/forbidden'), 1);
+    });
+
+    it('ukrywa klucz API w błędach', async () => {
+        upstream.on('/broken', { status: 500, body: {} });
+
+        await assert.rejects(
+            fetchJSON(`${upstream.url}/broken?key=secret123&steamid=1`, { retries: 0 }),
+            (error) => {
+                assert.ok(!JSON.stringify({ ...error, message: error.message }).includes('secret123'));
+                assert.match(error.url, /key=\[REDACTED\]&steamid=1/);
+                return true;
+            }
+        );
+    });
+});
+
+describe('redactUrl', () => {
+    it('ukrywa parametry key', () => {
+        assert.strictEqual(
+            redactUrl('https://api.example.com/x/?key=abc&ids=1'),
+            'https://api.example.com/x/?key=[REDACTED]&ids=1'
+        );
+        assert.strictEqual(redactUrl('https://api.example.com/?a=1&key=abc'), 'https://api.example.com/?a=1&key=[REDACTED]');
+    });
+});
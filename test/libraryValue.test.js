@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, registerUser, loginSteamUser } = require('./helpers/testApp');
+
+const MY_STEAM_ID = '76561198000000001';
+
+const OWNED_GAMES = '/IPlayerService/GetOwnedGames/v1/';
+const GGDEALS_PRICES = '/v1/prices/by-steam-app-id/';
+
+// 150 gier: 1-100 grane (appId godzin), 101-150 nigdy nieuruchomione; co dziesiąta bez ceny w gg.deals,
+// gry kończące się na 5 bez najniższej ceny w historii
+const GAME_COUNT = 150;
+
+let testApp;
+let me;
+
+before(async () => {
+    testApp = await startTestApp();
+
+    testApp.upstream.on(OWNED_GAMES, () => ({
+        response: {
+            game_count: GAME_COUNT,
+            games: Array.from({ length: GAME_COUNT }, (_, i) => ({
+                appid: i + 1,
+                name: `Game ${String(i + 1).padStart(3, '0')}`,
+                playtime_forever: i + 1 <= 100 ? (i + 1) * 60 : 0
+            }))
+        }
+    }));
+
+    testApp.upstream.on(GGDEALS_PRICES, ({ ids }) => ({
+        success: true,
+        data: Object.fromEntries(ids.split(',').map(id => [id, Number(id) % 10 === 0 ? null : {
+            title: `Game ${id}`,
+            url: `https://gg.deals/game/${id}/`,
+            prices: {
+                currentRetail: '20.00',
+                currentKeyshops: '10.00',
+                historicalRetail: Number(id) % 10 === 5 ? null : '8.00',
+                historicalKeyshops: Number(id) % 10 === 5 ? null : '5.00',
+                currency: 'PLN'
+            }
+        }]))
+    }));
+
+    me = await loginSteamUser(testApp, { username: 'collector', email: 'collector@example.com', steamId: MY_STEAM_ID });
+});
+
+after(async () => {
+    await testApp.close();
+});
+
+describe('GET /api/steam/library/value', () => {
+    it('pobiera ceny w paczkach po 100 i liczy wartość biblioteki', async () => {
+        const res = await me.get('/api/steam/library/value');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.currency, 'PLN');
+        assert.deepStrictEqual(res.body.summary, {
+            gameCount: 150,
+            pricedGames: 135,
+            unpricedGames: 15,
+            currentValue: 1350,
+            // 120 gier po 5 zł i 15 bez najniższej ceny - po bieżącej cenie 10 zł
+            historicalLowValue: 750,
+            historicalLowMissing: 15,
+            playtimeHours: 5050,
+            averageCostPerHour: 0.2
+        });
+
+        const batches = testApp.upstream.calls.filter(call => call.path === GGDEALS_PRICES).map(call => call.query.ids.split(',').length);
+        assert.deepStrictEqual(batches, [100, 50]);
+    });
+
+    it('liczy koszt godziny gry i kupkę wstydu', async () => {
+        const res = await me.get('/api/steam/library/value?sort=costPerHour');
+
+        assert.deepStrictEqual(res.body.games[0], {
+            appId: 1,
+            name: 'Game 001',
+            playtime: 60,
+            playtimeHours: 1,
+            currentPrice: 10,
+            historicalLow: 5,
+            costPerHour: 10,
+            costPerHourAtLow: 5
+        });
+        assert.strictEqual(res.body.games.find(game => game.appId === 10).costPerHour, null);
+
+        const { pileOfShame } = res.body;
+        assert.strictEqual(pileOfShame.count, 50);
+        assert.strictEqual(pileOfShame.currentValue, 450);
+        assert.strictEqual(pileOfShame.historicalLowValue, 250);
+        assert.strictEqual(pileOfShame.historicalLowMissing, 5);
+        assert.strictEqual(pileOfShame.games.find(game => game.appId === 105).historicalLow, null);
+        assert.deepStrictEqual(pileOfShame.games[0], { appId: 101, name: 'Game 101', currentPrice: 10, historicalLow: 5 });
+        assert.strictEqual(pileOfShame.games.at(-1).currentPrice, null);
+    });
+
+    it('nie pobiera cen ponownie przy kolejnym zapytaniu', async () => {
+        const before = testApp.upstream.callCount(GGDEALS_PRICES);
+
+        const res = await me.get('/api/steam/library/value?sort=playtime');
+        assert.strictEqual(res.body.fromCache, true);
+        assert.strictEqual(res.body.games[0].appId, 100);
+        assert.strictEqual(testApp.upstream.callCount(GGDEALS_PRICES), before);
+    });
+
+    it('odrzuca nieznane sortowanie i wymaga Steam', async () => {
+        assert.strictEqual((await me.get('/api/steam/library/value?sort=name')).status, 400);
+        assert.strictEqual((await testApp.agent().get('/api/steam/library/value')).status, 401);
+
+        const noSteam = await registerUser(testApp, { username: 'nosteam', email: 'nosteam@example.com' });
+        assert.strictEqual((await noSteam.get('/api/steam/library/value')).status, 400);
+    });
+});
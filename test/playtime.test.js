@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, loginSteamUser } = require('./helpers/testApp');
+
+const MY_STEAM_ID = '76561198000000001';
+const OWNED_GAMES = '/IPlayerService/GetOwnedGames/v1/';
+
+let testApp;
+let me;
+let userId;
+let playtime = {};
+
+// Zrzut z podanego dnia przy danym czasie gry (w minutach) dla gier 10 i 440
+async function snapshotOn(date, minutes) {
+    const { snapshotUser } = require('../services/playtimeHistory');
+    playtime = minutes;
+    return snapshotUser(userId, MY_STEAM_ID, date);
+}
+
+before(async () => {
+    process.env.PLAYTIME_SNAPSHOT_RATE_LIMIT = '2';
+    testApp = await startTestApp();
+
+    testApp.upstream.on(OWNED_GAMES, () => ({
+        response: {
+            game_count: 2,
+            games: [
+                { appid: 10, name: 'Counter-Strike', playtime_forever: playtime[10] },
+                { appid: 440, name: 'Team Fortress 2', playtime_forever: playtime[440] }
+            ]
+        }
+    }));
+
+    me = await loginSteamUser(testApp, { username: 'historian', email: 'history@example.com', steamId: MY_STEAM_ID });
+    userId = require('../database/init').userQueries.findByEmail.get('history@example.com').id;
+
+    await snapshotOn('2026-01-01', { 10: 60, 440: 600 });
+    await snapshotOn('2026-01-02', { 10: 60, 440: 660 });
+    await snapshotOn('2026-01-08', { 10: 120, 440: 780 });
+    await snapshotOn('2026-02-03', { 10: 120, 440: 900 });
+});
+
+after(async () => {
+    delete process.env.PLAYTIME_SNAPSHOT_RATE_LIMIT;
+    await testApp.close();
+});
+
+describe('Zrzuty czasu gry', () => {
+    it('zapisuje tylko gry, których czas się zmienił', () => {
+        const { db } = require('../database/init');
+        const count = db.prepare('SELECT COUNT(*) AS count FROM playtime_snapshots WHERE user_id = ?').get(userId).count;
+
+        // 2 gry pierwszego dnia + 440 (02.01) + obie (08.01) + 440 (03.02)
+        assert.strictEqual(count, 6);
+    });
+
+    it('harmonogram zapisuje zrzut wszystkich użytkowników ze Steam', async () => {
+        const { db } = require('../database/init');
+        const { createPlaytimeScheduler, toDateString } = require('../services/playtimeHistory');
+
+        playtime = { 10: 180, 440: 900 };
+        await createPlaytimeScheduler({ userDelay: 0 }).runOnce();
+
+        const row = db.prepare('SELECT * FROM playtime_snapshots WHERE user_id = ? AND snapshot_date = ?').get(userId, toDateString(new Date()));
+        assert.strictEqual(row.app_id, 10);
+        assert.strictEqual(row.playtime_minutes, 180);
+    });
+});
+
+describe('GET /api/playtime/history', () => {
+    it('zwraca czas gry w przedziałach dziennych', async () => {
+        const res = await me.get('/api/playtime/history?from=2026-01-01&to=2026-01-03');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.series.map(b => b.minutes), [0, 60, 0]);
+        assert.deepStrictEqual(res.body.series.map(b => b.totalMinutes), [660, 720, 720]);
+        assert.strictEqual(res.body.minutes, 60);
+    });
+
+    it('grupuje w tygodnie od poniedziałku i w miesiące', async () => {
+        const weekly = await me.get('/api/playtime/history?from=2026-01-01&to=2026-01-11&bucket=week');
+        assert.deepStrictEqual(weekly.body.series.map(b => [b.start, b.end, b.minutes]), [
+            ['2026-01-01', '2026-01-04', 60],
+            ['2026-01-05', '2026-01-11', 180]
+        ]);
+
+        const monthly = await me.get('/api/playtime/history?from=2026-01-01&to=2026-02-28&bucket=month');
+        assert.deepStrictEqual(monthly.body.series.map(b => b.minutes), [240, 120]);
+        assert.deepStrictEqual(monthly.body.games.map(g => [g.appId, g.minutes]), [[440, 300], [10, 60]]);
+    });
+
+    it('zwraca historię jednej gry', async () => {
+        const res = await me.get('/api/playtime/history/10?from=2026-01-01&to=2026-02-28&bucket=month');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.appId, 10);
+        assert.strictEqual(res.body.gameName, 'Counter-Strike');
+        assert.deepStrictEqual(res.body.series.map(b => b.minutes), [60, 0]);
+    });
+
+    it('odrzuca nieprawidłowy zakres i przedział', async () => {
+        assert.strictEqual((await me.get('/api/playtime/history?from=2026-02-01&to=2026-01-01')).status, 400);
+        assert.strictEqual((await me.get('/api/playtime/history?bucket=year')).status, 400);
+        assert.strictEqual((await me.get('/api/playtime/history?from=2020-01-01&to=2026-01-01')).status, 400);
+    });
+
+    it('wymaga logowania', async () => {
+        const res = await testApp.agent().get('/api/playtime/history');
+        assert.strictEqual(res.status, 401);
+    });
+});
+
+describe('POST /api/playtime/snapshot', () => {
+    it('zapisuje zrzut i ogranicza liczbę zapytań do Steam', async () => {
+        playtime = { 10: 240, 440: 900 };
+        const res = await me.post('/api/playtime/snapshot');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.saved, 1);
+
+        // Limit testowy 2 zrzuty - trzeci nie pobiera biblioteki
+        assert.strictEqual((await me.post('/api/playtime/snapshot')).status, 200);
+        const before = testApp.upstream.callCount(OWNED_GAMES);
+
+        const limited = await me.post('/api/playtime/snapshot');
+        assert.strictEqual(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+        assert.strictEqual(testApp.upstream.callCount(OWNED_GAMES), before);
+    });
+});
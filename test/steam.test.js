@@ -0,0 +1,696 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, registerUser, loginSteamUser } = require('./helpers/testApp');
+
+const MY_STEAM_ID = '76561198000000001';
+const FRIEND_STEAM_ID = '76561198000000002';
+const PRIVATE_STEAM_ID = '76561198000000003';
+const EMPTY_STEAM_ID = '76561198000000004';
+
+const OWNED_GAMES = '/IPlayerService/GetOwnedGames/v1/';
+const PLAYER_SUMMARIES = '/ISteamUser/GetPlayerSummaries/v2/';
+const FRIEND_LIST = '/ISteamUser/GetFriendList/v1/';
+const PLAYER_ACHIEVEMENTS = '/ISteamUserStats/GetPlayerAchievements/v1/';
+const RESOLVE_VANITY = '/ISteamUser/ResolveVanityURL/v1/';
+const GAME_SCHEMA = '/ISteamUserStats/GetSchemaForGame/v2/';
+const GLOBAL_ACHIEVEMENTS = '/ISteamUserStats/GetGlobalAchievementPercentagesForApp/v2/';
+const GGDEALS_PRICES = '/v1/prices/by-steam-app-id/';
+const STORE_APP_DETAILS = '/api/appdetails';
+const STEAM_SPY = '/api.php';
+
+const player = (steamid, personaname, personastate = 0) => ({
+    steamid,
+    personaname,
+    profileurl: `https://steamcommunity.com/profiles/${steamid}/`,
+    avatar: 'a.jpg',
+    avatarmedium: 'am.jpg',
+    avatarfull: 'af.jpg',
+    personastate,
+    communityvisibilitystate: 3,
+    lastlogoff: 1700000000
+});
+
+let testApp;
+let me;
+
+before(async () => {
+    testApp = await startTestApp();
+    const { upstream } = testApp;
+
+    upstream.on(OWNED_GAMES, ({ steamid }) => {
+        if (steamid === PRIVATE_STEAM_ID || steamid === EMPTY_STEAM_ID) {
+            return { response: {} };
+        }
+        return {
+            response: {
+                game_count: 2,
+                games: [
+                    { appid: 10, name: 'Counter-Strike', playtime_forever: 60, img_icon_url: 'icon10' },
+                    { appid: 440, name: 'Team Fortress 2', playtime_forever: 600, playtime_2weeks: 30 }
+                ]
+            }
+        };
+    });
+
+    upstream.on(PLAYER_SUMMARIES, ({ steamids }) => ({
+        response: {
+            players: steamids.split(',')
+                .filter(id => id !== EMPTY_STEAM_ID)
+                .map((id, i) => player(id, `Player${id.slice(-1)}`, i % 2))
+        }
+    }));
+
+    upstream.on(FRIEND_LIST, ({ steamid }) => {
+        if (steamid !== MY_STEAM_ID) {
+            return { status: 401, body: {} };
+        }
+        return { friendslist: { friends: [{ steamid: FRIEND_STEAM_ID }, { steamid: PRIVATE_STEAM_ID }] } };
+    });
+
+    upstream.on(PLAYER_ACHIEVEMENTS, ({ steamid, appid }) => {
+        if (steamid === PRIVATE_STEAM_ID) {
+            return { status: 403, body: { playerstats: { error: 'Profile is not public', success: false } } };
+        }
+        if (appid === '10') {
+            return { status: 400, body: { playerstats: { error: 'Requested app has no stats', success: false } } };
+        }
+        if (steamid === FRIEND_STEAM_ID) {
+            return {
+                playerstats: {
+                    steamID: steamid,
+                    gameName: 'Team Fortress 2',
+                    success: true,
+                    achievements: [
+                        { apiname: 'A', achieved: 1, unlocktime: 1500000000 },
+                        { apiname: 'B', achieved: 0, unlocktime: 0 },
+                        { apiname: 'C', achieved: 1, unlocktime: 1600000200 },
+                        { apiname: 'D', achieved: 0, unlocktime: 0 }
+                    ]
+                }
+            };
+        }
+        return {
+            playerstats: {
+                steamID: steamid,
+                gameName: 'Team Fortress 2',
+                success: true,
+                achievements: [
+                    { apiname: 'A', achieved: 1, unlocktime: 1600000000 },
+                    { apiname: 'B', achieved: 1, unlocktime: 1600000100 },
+                    { apiname: 'C', achieved: 0, unlocktime: 0 },
+                    { apiname: 'D', achieved: 0, unlocktime: 0 }
+                ]
+            }
+        };
+    });
+
+    upstream.on(GAME_SCHEMA, ({ l }) => ({
+        game: {
+            gameName: 'Team Fortress 2',
+            availableGameStats: {
+                achievements: ['A', 'B', 'C', 'D'].map(name => ({
+                    name,
+                    displayName: `${l === 'english' ? 'Achievement' : 'Osiągnięcie'} ${name}`,
+                    description: name === 'D' ? '' : `Opis ${name}`,
+                    icon: `${name}.jpg`,
+                    icongray: `${name}_gray.jpg`,
+                    hidden: name === 'D' ? 1 : 0
+                }))
+            }
+        }
+    }));
+
+    upstream.on(GLOBAL_ACHIEVEMENTS, {
+        achievementpercentages: {
+            achievements: [
+                { name: 'A', percent: '80.5' },
+                { name: 'B', percent: '40.25' },
+                { name: 'C', percent: '5.1' },
+                { name: 'D', percent: '12' }
+            ]
+        }
+    });
+
+    upstream.on(RESOLVE_VANITY, ({ vanityurl }) => vanityurl === 'gaben'
+        ? { response: { success: 1, steamid: FRIEND_STEAM_ID } }
+        : { response: { success: 42, message: 'No match' } });
+
+    upstream.on(GGDEALS_PRICES, ({ ids }) => ({
+        success: true,
+        data: Object.fromEntries(ids.split(',').map(id => [id, id === '999' ? null : {
+            title: `Game ${id}`,
+            url: `https://gg.deals/game/${id}/`,
+            prices: {
+                currentRetail: '100.00',
+                currentKeyshops: '60.00',
+                historicalRetail: '50.00',
+                historicalKeyshops: '40.00',
+                currency: 'PLN'
+            }
+        }]))
+    }));
+
+    upstream.on(STORE_APP_DETAILS, ({ appids }) => ({
+        [appids]: appids === '440'
+            ? {
+                success: true,
+                data: {
+                    name: 'Team Fortress 2',
+                    type: 'game',
+                    categories: [{ id: 1, description: 'Multi-player' }, { id: 36, description: 'Online PvP' }, { id: 9, description: 'Co-op' }],
+                    genres: [{ id: '1', description: 'Action' }]
+                }
+            }
+            : { success: true, data: { name: 'Counter-Strike', type: 'game', categories: [{ id: 2, description: 'Single-player' }], genres: [] } }
+    }));
+    // SteamSpy: tagi jako { nazwa: liczba głosów }, gry bez tagów - pusta tablica
+    upstream.on(STEAM_SPY, ({ appid }) => ({
+        appid: Number(appid),
+        tags: appid === '440' ? { 'Hero Shooter': 800, 'Free to Play': 2500, 'Multiplayer': 1900 } : []
+    }));
+
+    me = await loginSteamUser(testApp, { username: 'steamer', email: 'steamer@example.com', steamId: MY_STEAM_ID });
+});
+
+after(async () => {
+    delete process.env.ADMIN_USER_IDS;
+    await testApp.close();
+});
+
+describe('Wymagane połączenie Steam', () => {
+    it('zwraca 401 bez logowania i 400 bez połączonego Steam', async () => {
+        const guest = await testApp.agent().get('/api/steam/games');
+        assert.strictEqual(guest.status, 401);
+
+        const emailOnly = await registerUser(testApp, { username: 'nosteam', email: 'nosteam@example.com' });
+        const res = await emailOnly.get('/api/steam/games');
+        assert.strictEqual(res.status, 400);
+    });
+});
+
+describe('GET /api/steam/games', () => {
+    it('zwraca gry posortowane po czasie gry', async () => {
+        const res = await me.get('/api/steam/games');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.totalGames, 2);
+        assert.deepStrictEqual(res.body.games.map(g => g.appId), [440, 10]);
+        assert.strictEqual(res.body.games[0].playtimeHours, 10);
+        assert.strictEqual(res.body.games[0].playtime2Weeks, 30);
+        assert.match(res.body.games[1].iconUrl, /\/10\/icon10\.jpg$/);
+    });
+
+    it('kolejne zapytanie korzysta z cache', async () => {
+        const before = testApp.upstream.callCount(OWNED_GAMES, q => q.steamid === MY_STEAM_ID);
+        const res = await me.get('/api/steam/games');
+
+        assert.strictEqual(res.body.fromCache, true);
+        assert.strictEqual(testApp.upstream.callCount(OWNED_GAMES, q => q.steamid === MY_STEAM_ID), before);
+    });
+
+    it('przekazuje klucz API tylko do Steam', () => {
+        const call = testApp.upstream.calls.find(c => c.path === OWNED_GAMES);
+        assert.strictEqual(call.query.key, 'test-steam-key');
+    });
+});
+
+describe('Filtr ?multiplayer=', () => {
+    // Dane sklepu pobierane są w tle - czekamy aż kolejka się opróżni
+    async function waitForStoreDetails() {
+        const { storeDetails } = require('../services/storeDetails');
+        while (!storeDetails.isIdle()) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    it('pierwsze zapytanie zgłasza gry bez danych sklepu, potem filtruje po kategoriach', async () => {
+        const first = await testApp.agent().get(`/api/steam/games/${FRIEND_STEAM_ID}?multiplayer=coop`);
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.body.detailsPending, 2);
+
+        await waitForStoreDetails();
+
+        const coop = await testApp.agent().get(`/api/steam/games/${FRIEND_STEAM_ID}?multiplayer=coop`);
+        assert.deepStrictEqual(coop.body.games.map(g => g.appId), [440]);
+        assert.deepStrictEqual(coop.body.games[0].genres, [{ id: 1, description: 'Action' }]);
+        assert.deepStrictEqual(coop.body.games[0].tags, ['Free to Play', 'Multiplayer', 'Hero Shooter']);
+        assert.deepStrictEqual(coop.body.multiplayer, ['coop']);
+        assert.strictEqual(coop.body.detailsPending, 0);
+
+        const lan = await me.get('/api/steam/games?multiplayer=lan,remote');
+        assert.deepStrictEqual(lan.body.games, []);
+    });
+
+    it('zapisuje dane sklepu w SQLite - bez ponownych zapytań', async () => {
+        const before = testApp.upstream.callCount(STORE_APP_DETAILS);
+        await me.get('/api/steam/games?multiplayer=any');
+
+        assert.strictEqual(testApp.upstream.callCount(STORE_APP_DETAILS), before);
+        const { storeDetailsQueries } = require('../database/init');
+        const rows = storeDetailsQueries.findMany.all('[10, 440]');
+        assert.deepStrictEqual(rows.map(row => JSON.parse(row.tags)), [[], ['Free to Play', 'Multiplayer', 'Hero Shooter']]);
+    });
+
+    it('odrzuca nieznany tryb', async () => {
+        const res = await me.get('/api/steam/games?multiplayer=battle-royale');
+        assert.strictEqual(res.status, 400);
+    });
+
+    it('ogranicza kolejkę i pomija gry, o które nikt już nie pyta', async () => {
+        const { createStoreDetails } = require('../services/storeDetails');
+        const fetched = [];
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const client = {
+            getAppDetails: async (appId) => {
+                fetched.push(appId);
+                if (fetched.length === 1) await gate;
+                return null;
+            }
+        };
+        const queue = createStoreDetails({ client, delay: 0, queueSize: 3, queueTtl: 50 });
+
+        try {
+            // Pełna kolejka: 900001-900003, pozostałe gry czekają na kolejne zapytanie
+            const { pending } = queue.get([900001, 900002, 900003, 900004, 900005]);
+            assert.strictEqual(pending.length, 5);
+
+            // Po czasie życia zapytań pytamy ponownie tylko o 900003 i 900004
+            await new Promise(resolve => setTimeout(resolve, 60));
+            queue.get([900003, 900004]);
+            release();
+
+            while (!queue.isIdle()) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            assert.deepStrictEqual(fetched, [900001, 900003, 900004]);
+        } finally {
+            queue.stop();
+        }
+    });
+});
+
+describe('GET /api/steam/games/:steamId', () => {
+    it('zwraca gry innego użytkownika', async () => {
+        const res = await testApp.agent().get(`/api/steam/games/${FRIEND_STEAM_ID}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.steamId, FRIEND_STEAM_ID);
+        assert.strictEqual(res.body.games.length, 2);
+    });
+
+    it('zwraca pustą listę dla prywatnego profilu', async () => {
+        const res = await testApp.agent().get(`/api/steam/games/${PRIVATE_STEAM_ID}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.games, []);
+        assert.ok(res.body.message);
+        assert.strictEqual(res.body.isPrivate, true);
+        assert.strictEqual(res.body.code, 'PRIVATE_PROFILE');
+    });
+
+    it('odrzuca nieprawidłowe Steam ID', async () => {
+        const res = await testApp.agent().get('/api/steam/games/123');
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.code, 'INVALID_STEAM_ID');
+    });
+
+    it('przyjmuje link do profilu, nazwę vanity i SteamID3', async () => {
+        const inputs = [
+            `https://steamcommunity.com/profiles/${FRIEND_STEAM_ID}/`,
+            'https://steamcommunity.com/id/gaben',
+            '[U:1:39734274]'
+        ];
+
+        for (const input of inputs) {
+            const res = await testApp.agent().get(`/api/steam/games/${encodeURIComponent(input)}`);
+            assert.strictEqual(res.status, 200, input);
+            assert.strictEqual(res.body.steamId, FRIEND_STEAM_ID, input);
+            assert.strictEqual(res.body.games.length, 2, input);
+        }
+    });
+
+    it('zwraca 404 z kodem dla nieznanej nazwy vanity', async () => {
+        const res = await testApp.agent().get('/api/steam/games/nobody');
+
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.code, 'STEAM_USER_NOT_FOUND');
+    });
+});
+
+describe('GET /api/steam/profile', () => {
+    it('zwraca profil zalogowanego użytkownika', async () => {
+        const res = await me.get('/api/steam/profile');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.profile.steamId, MY_STEAM_ID);
+        assert.strictEqual(res.body.profile.avatarFull, 'af.jpg');
+    });
+});
+
+describe('GET /api/steam/profile/:steamId', () => {
+    it('zwraca profil innego użytkownika', async () => {
+        const res = await testApp.agent().get(`/api/steam/profile/${FRIEND_STEAM_ID}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.profile.personaName, 'Player2');
+    });
+
+    it('zwraca 404 dla nieistniejącego profilu', async () => {
+        const res = await testApp.agent().get(`/api/steam/profile/${EMPTY_STEAM_ID}`);
+        assert.strictEqual(res.status, 404);
+    });
+
+    it('przyjmuje nazwę vanity i link do profilu', async () => {
+        for (const input of ['gaben', 'https://steamcommunity.com/id/gaben/']) {
+            const res = await testApp.agent().get(`/api/steam/profile/${encodeURIComponent(input)}`);
+            assert.strictEqual(res.status, 200, input);
+            assert.strictEqual(res.body.profile.steamId, FRIEND_STEAM_ID, input);
+        }
+    });
+
+    it('odrzuca nieprawidłowe Steam ID i nieznaną nazwę vanity', async () => {
+        const invalid = await testApp.agent().get('/api/steam/profile/123');
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.code, 'INVALID_STEAM_ID');
+
+        const unknown = await testApp.agent().get('/api/steam/profile/nobody');
+        assert.strictEqual(unknown.status, 404);
+        assert.strictEqual(unknown.body.code, 'STEAM_USER_NOT_FOUND');
+    });
+});
+
+describe('GET /api/steam/resolve/:input', () => {
+    it('zamienia vanity URL na Steam ID', async () => {
+        const res = await testApp.agent().get('/api/steam/resolve/gaben');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.steamId, FRIEND_STEAM_ID);
+        assert.strictEqual(res.body.inputType, 'vanity');
+    });
+
+    it('zamienia SteamID2 bez zapytania do Steam', async () => {
+        const before = testApp.upstream.calls.filter(c => c.path === RESOLVE_VANITY).length;
+        const res = await testApp.agent().get('/api/steam/resolve/STEAM_1:0:19867137');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.steamId, FRIEND_STEAM_ID);
+        assert.strictEqual(res.body.inputType, 'steamId2');
+        assert.strictEqual(testApp.upstream.calls.filter(c => c.path === RESOLVE_VANITY).length, before);
+    });
+
+    it('zwraca 404 dla nieznanej nazwy', async () => {
+        const res = await testApp.agent().get('/api/steam/resolve/nobody');
+        assert.strictEqual(res.status, 404);
+        assert.strictEqual(res.body.code, 'STEAM_USER_NOT_FOUND');
+    });
+
+    it('zwraca 400 dla nieprawidłowego formatu', async () => {
+        const res = await testApp.agent().get(`/api/steam/resolve/${encodeURIComponent('https://example.com/id/gaben')}`);
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.code, 'INVALID_STEAM_ID');
+    });
+});
+
+describe('GET /api/steam/achievements/:appId', () => {
+    it('zwraca podsumowanie osiągnięć', async () => {
+        const res = await me.get('/api/steam/achievements/440');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.hasAchievements, true);
+        assert.strictEqual(res.body.total, 4);
+        assert.strictEqual(res.body.unlocked, 2);
+        assert.strictEqual(res.body.percentage, 50);
+    });
+
+    it('traktuje HTTP 400 jako grę bez osiągnięć', async () => {
+        const res = await me.get('/api/steam/achievements/10');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.hasAchievements, false);
+        assert.strictEqual(res.body.total, 0);
+    });
+
+    it('wymaga połączonego Steam', async () => {
+        const res = await testApp.agent().get('/api/steam/achievements/440');
+        assert.strictEqual(res.status, 401);
+    });
+});
+
+describe('GET /api/steam/achievements/:appId/details', () => {
+    it('łączy stan gracza ze schematem i globalną rzadkością', async () => {
+        const res = await me.get('/api/steam/achievements/440/details');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.total, 4);
+        assert.strictEqual(res.body.unlocked, 2);
+        assert.deepStrictEqual(res.body.achievements[0], {
+            apiName: 'A',
+            name: 'Osiągnięcie A',
+            description: 'Opis A',
+            iconUrl: 'A.jpg',
+            hidden: false,
+            achieved: true,
+            unlockedAt: new Date(1600000000 * 1000).toISOString(),
+            globalPercent: 80.5
+        });
+        assert.strictEqual(res.body.achievements[3].hidden, true);
+        assert.strictEqual(res.body.achievements[3].iconUrl, 'D_gray.jpg');
+    });
+
+    it('filtruje zablokowane i sortuje od najrzadszych', async () => {
+        const res = await me.get('/api/steam/achievements/440/details?filter=locked&sort=rarest&lang=en');
+
+        assert.deepStrictEqual(res.body.achievements.map(a => a.apiName), ['C', 'D']);
+        assert.strictEqual(res.body.achievements[0].name, 'Achievement C');
+        assert.strictEqual(res.body.total, 4);
+    });
+
+    it('zwraca pustą listę dla gry bez osiągnięć', async () => {
+        const res = await me.get('/api/steam/achievements/10/details');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.hasAchievements, false);
+        assert.deepStrictEqual(res.body.achievements, []);
+    });
+
+    it('odrzuca nieznany filtr', async () => {
+        const res = await me.get('/api/steam/achievements/440/details?filter=secret');
+        assert.strictEqual(res.status, 400);
+    });
+});
+
+describe('GET /api/steam/achievements/:appId/compare/:steamId', () => {
+    it('dzieli osiągnięcia na wspólne, tylko moje i tylko znajomego', async () => {
+        const res = await me.get(`/api/steam/achievements/440/compare/${FRIEND_STEAM_ID}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.both.map(a => a.apiName), ['A']);
+        assert.deepStrictEqual(res.body.onlyMe.map(a => a.apiName), ['B']);
+        assert.deepStrictEqual(res.body.onlyFriend.map(a => a.apiName), ['C']);
+        assert.strictEqual(res.body.lockedByBoth, 1);
+        assert.strictEqual(res.body.me.unlocked, 2);
+        assert.strictEqual(res.body.friend.unlocked, 2);
+    });
+
+    it('wskazuje, kto pierwszy zdobył wspólne osiągnięcie', async () => {
+        const res = await me.get(`/api/steam/achievements/440/compare/${FRIEND_STEAM_ID}`);
+        const [shared] = res.body.both;
+
+        assert.strictEqual(shared.firstUnlockedBy, 'friend');
+        assert.strictEqual(shared.friendUnlockedAt, new Date(1500000000 * 1000).toISOString());
+        assert.strictEqual(res.body.friend.firstUnlocks, 1);
+        assert.strictEqual(res.body.me.firstUnlocks, 0);
+    });
+
+    it('oznacza prywatny profil po dowolnej stronie', async () => {
+        const friendPrivate = await me.get(`/api/steam/achievements/440/compare/${PRIVATE_STEAM_ID}`);
+        assert.strictEqual(friendPrivate.status, 200);
+        assert.strictEqual(friendPrivate.body.isPrivate, true);
+        assert.deepStrictEqual(friendPrivate.body.privateProfiles, { me: false, friend: true });
+
+        const mePrivate = await me.get(`/api/steam/achievements/440/compare/${FRIEND_STEAM_ID}?me=${PRIVATE_STEAM_ID}`);
+        assert.deepStrictEqual(mePrivate.body.privateProfiles, { me: true, friend: false });
+    });
+
+    it('zwraca brak osiągnięć dla gry bez statystyk', async () => {
+        const res = await me.get(`/api/steam/achievements/10/compare/${FRIEND_STEAM_ID}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.hasAchievements, false);
+    });
+
+    it('przyjmuje nazwę vanity i link do profilu', async () => {
+        const res = await me.get(`/api/steam/achievements/440/compare/gaben?me=${encodeURIComponent(`https://steamcommunity.com/profiles/${MY_STEAM_ID}`)}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.me.steamId, MY_STEAM_ID);
+        assert.strictEqual(res.body.friend.steamId, FRIEND_STEAM_ID);
+        assert.deepStrictEqual(res.body.both.map(a => a.apiName), ['A']);
+    });
+
+    it('odrzuca nieprawidłowe Steam ID', async () => {
+        const res = await me.get('/api/steam/achievements/440/compare/123');
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.code, 'INVALID_STEAM_ID');
+
+        assert.strictEqual((await me.get(`/api/steam/achievements/440/compare/${FRIEND_STEAM_ID}?me=123`)).status, 400);
+        assert.strictEqual((await me.get('/api/steam/achievements/440/compare/nobody')).status, 404);
+    });
+});
+
+describe('GET /api/steam/achievements/:appId/:steamId', () => {
+    it('zwraca osiągnięcia znajomego', async () => {
+        const res = await me.get(`/api/steam/achievements/440/${FRIEND_STEAM_ID}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.unlocked, 2);
+    });
+
+    it('oznacza prywatny profil (HTTP 403)', async () => {
+        const res = await me.get(`/api/steam/achievements/440/${PRIVATE_STEAM_ID}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.isPrivate, true);
+        assert.strictEqual(res.body.hasAchievements, false);
+    });
+
+    it('traktuje HTTP 400 jako grę bez osiągnięć', async () => {
+        const res = await me.get(`/api/steam/achievements/10/${FRIEND_STEAM_ID}`);
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.hasAchievements, false);
+    });
+
+    it('przyjmuje nazwę vanity i SteamID3', async () => {
+        for (const input of ['gaben', '[U:1:39734274]']) {
+            const res = await me.get(`/api/steam/achievements/440/${encodeURIComponent(input)}`);
+            assert.strictEqual(res.status, 200, input);
+            assert.strictEqual(res.body.unlocked, 2, input);
+        }
+    });
+
+    it('odrzuca nieprawidłowe Steam ID i brak logowania', async () => {
+        assert.strictEqual((await me.get('/api/steam/achievements/440/123')).status, 400);
+        assert.strictEqual((await me.get('/api/steam/achievements/440/nobody')).status, 404);
+        assert.strictEqual((await testApp.agent().get(`/api/steam/achievements/440/${FRIEND_STEAM_ID}`)).status, 401);
+    });
+});
+
+describe('GET /api/steam/friends', () => {
+    it('zwraca znajomych - online na górze', async () => {
+        const res = await me.get('/api/steam/friends');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.total, 2);
+        assert.strictEqual(res.body.friends[0].isOnline, true);
+        assert.deepStrictEqual(res.body.friends.map(f => f.steamId).sort(), [FRIEND_STEAM_ID, PRIVATE_STEAM_ID]);
+    });
+
+    it('zwraca pustą listę gdy lista znajomych jest prywatna', async () => {
+        const privateUser = await loginSteamUser(testApp, {
+            username: 'hidden',
+            email: 'hidden@example.com',
+            steamId: PRIVATE_STEAM_ID
+        });
+        const res = await privateUser.get('/api/steam/friends');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.friends, []);
+    });
+});
+
+describe('GET /api/steam/prices', () => {
+    it('zwraca ceny z priorytetem keyshopów', async () => {
+        const res = await testApp.agent().get('/api/steam/prices?appIds=440,999');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.prices['440'], {
+            name: 'Game 440',
+            currentPrice: 60,
+            regularPrice: 100,
+            discount: 40,
+            currency: 'PLN',
+            url: 'https://gg.deals/game/440/',
+            historicalLow: 40,
+            source: 'keyshop'
+        });
+        assert.strictEqual(res.body.prices['999'], null);
+
+        const call = testApp.upstream.calls.find(c => c.path === GGDEALS_PRICES);
+        assert.strictEqual(call.query.key, 'test-ggdeals-key');
+    });
+
+    it('zwraca linki do sklepów przez /go (keyshop z tagiem afiliacyjnym pierwszy)', async () => {
+        process.env.KINGUIN_AFFILIATE_ID = 'test-ref';
+        try {
+            const res = await testApp.agent().get('/api/steam/prices?appIds=440,999');
+
+            assert.deepStrictEqual(res.body.links['440'].map(link => [link.store, link.affiliate]), [
+                ['kinguin', true], ['ggdeals', false], ['steam', false]
+            ]);
+            assert.strictEqual(res.body.links['440'][0].url, '/go/kinguin/440?name=Game+440');
+            assert.strictEqual(res.body.links['440'][1].url, `/go/ggdeals/440?url=${encodeURIComponent('https://gg.deals/game/440/')}`);
+            // Gry bez cen w gg.deals też mają linki
+            assert.strictEqual(res.body.links['999'][2].url, '/go/steam/999');
+        } finally {
+            delete process.env.KINGUIN_AFFILIATE_ID;
+        }
+    });
+
+    it('wymaga parametru appIds', async () => {
+        const res = await testApp.agent().get('/api/steam/prices');
+        assert.strictEqual(res.status, 400);
+    });
+
+    it('podaje użyty region (domyślnie pl)', async () => {
+        const res = await testApp.agent().get('/api/steam/prices?appIds=440');
+
+        assert.strictEqual(res.body.region, 'pl');
+        assert.strictEqual(res.body.currency, 'PLN');
+    });
+
+    it('pobiera ceny w regionie z Accept-Language, osobno w cache', async () => {
+        const before = testApp.upstream.callCount(GGDEALS_PRICES, query => query.ids === '440' && query.region === 'gb');
+        const guest = testApp.agent({ 'Accept-Language': 'en-GB,en;q=0.9' });
+
+        const res = await guest.get('/api/steam/prices?appIds=440');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.region, 'gb');
+        assert.strictEqual(res.body.currency, 'GBP');
+        assert.strictEqual(res.body.fromCache, undefined);
+
+        const cached = await guest.get('/api/steam/prices?appIds=440');
+        assert.strictEqual(cached.body.fromCache, true);
+        assert.strictEqual(cached.body.region, 'gb');
+        assert.strictEqual(testApp.upstream.callCount(GGDEALS_PRICES, query => query.ids === '440' && query.region === 'gb'), before + 1);
+    });
+
+    it('region zapisany w profilu ma pierwszeństwo przed Accept-Language', async () => {
+        await me.put('/api/users/me/region', { region: 'us' });
+
+        const res = await me.get('/api/steam/prices?appIds=620');
+        assert.strictEqual(res.body.region, 'us');
+        assert.ok(testApp.upstream.callCount(GGDEALS_PRICES, query => query.ids === '620' && query.region === 'us') >= 1);
+
+        await me.put('/api/users/me/region', { region: null });
+    });
+});
+
+describe('GET /api/steam/cache/stats', () => {
+    it('jest dostępne tylko dla administratorów', async () => {
+        assert.strictEqual((await testApp.agent().get('/api/steam/cache/stats')).status, 401);
+        assert.strictEqual((await me.get('/api/steam/cache/stats')).status, 403);
+    });
+
+    it('zwraca statystyki cache', async () => {
+        const { userQueries } = require('../database/init');
+        process.env.ADMIN_USER_IDS = String(userQueries.findBySteamId.get(MY_STEAM_ID).id);
+
+        const res = await me.get('/api/steam/cache/stats');
+
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.caches.games.hits >= 1);
+        assert.ok(res.body.caches.games.misses >= 1);
+    });
+});
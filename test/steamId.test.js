@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseSteamId, resolveSteamId } = require('../services/steamId');
+
+const GABEN = '76561197960287930';
+
+describe('parseSteamId', () => {
+    it('rozpoznaje SteamID64 i linki do profilu', () => {
+        assert.deepStrictEqual(parseSteamId(GABEN), { type: 'steamId64', steamId: GABEN });
+        assert.deepStrictEqual(parseSteamId(` ${GABEN} `), { type: 'steamId64', steamId: GABEN });
+        assert.deepStrictEqual(parseSteamId(`https://steamcommunity.com/profiles/${GABEN}/`), { type: 'profileUrl', steamId: GABEN });
+        assert.deepStrictEqual(parseSteamId(`steamcommunity.com/profiles/${GABEN}?l=polish`), { type: 'profileUrl', steamId: GABEN });
+    });
+
+    it('zamienia SteamID2 i SteamID3 na SteamID64', () => {
+        assert.deepStrictEqual(parseSteamId('STEAM_0:0:11101'), { type: 'steamId2', steamId: GABEN });
+        assert.deepStrictEqual(parseSteamId('STEAM_1:0:11101'), { type: 'steamId2', steamId: GABEN });
+        assert.deepStrictEqual(parseSteamId('STEAM_0:1:11101'), { type: 'steamId2', steamId: '76561197960287931' });
+        assert.deepStrictEqual(parseSteamId('[U:1:22202]'), { type: 'steamId3', steamId: GABEN });
+        assert.deepStrictEqual(parseSteamId('U:1:22202'), { type: 'steamId3', steamId: GABEN });
+    });
+
+    it('rozpoznaje nazwy vanity', () => {
+        assert.deepStrictEqual(parseSteamId('gabelogannewell'), { type: 'vanity', vanity: 'gabelogannewell' });
+        assert.deepStrictEqual(parseSteamId('https://steamcommunity.com/id/gabelogannewell/'), { type: 'vanityUrl', vanity: 'gabelogannewell' });
+        assert.deepStrictEqual(parseSteamId('http://www.steamcommunity.com/id/gabe_2'), { type: 'vanityUrl', vanity: 'gabe_2' });
+    });
+
+    it('odrzuca nieprawidłowe wartości', () => {
+        for (const input of ['', '123', '12345678901234567', 'https://example.com/id/gabe', 'steamcommunity.com/profiles/abc', 'STEAM_0:2:1', '[U:1:99999999999]', 'gabe newell', null]) {
+            assert.strictEqual(parseSteamId(input), null, String(input));
+        }
+    });
+});
+
+describe('resolveSteamId', () => {
+    const client = { resolveVanityURL: async (vanity) => (vanity === 'gabelogannewell' ? GABEN : null) };
+
+    it('rozwiązuje nazwę vanity przez Steam API', async () => {
+        assert.deepStrictEqual(await resolveSteamId('steamcommunity.com/id/gabelogannewell', { client }), {
+            type: 'vanityUrl', vanity: 'gabelogannewell', steamId: GABEN
+        });
+    });
+
+    it('nie odpytuje Steam dla formatów liczbowych', async () => {
+        const noCalls = { resolveVanityURL: async () => assert.fail('niepotrzebne zapytanie') };
+        assert.strictEqual((await resolveSteamId('[U:1:22202]', { client: noCalls })).steamId, GABEN);
+    });
+
+    it('rzuca błędy z kodami', async () => {
+        await assert.rejects(resolveSteamId('???', { client }), { code: 'INVALID_STEAM_ID', status: 400 });
+        await assert.rejects(resolveSteamId('nobody', { client }), { code: 'STEAM_USER_NOT_FOUND', status: 404 });
+    });
+});
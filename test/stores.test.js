@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, registerUser } = require('./helpers/testApp');
+
+let testApp;
+let shopper;
+let guest;
+
+before(async () => {
+    testApp = await startTestApp();
+    process.env.KINGUIN_AFFILIATE_ID = 'test-ref';
+
+    shopper = await registerUser(testApp, { username: 'shopper', email: 'shopper@example.com' });
+    guest = testApp.agent();
+});
+
+after(async () => {
+    delete process.env.KINGUIN_AFFILIATE_ID;
+    delete process.env.ADMIN_USER_IDS;
+    delete process.env.STORE_KEYSHOPS;
+    await testApp.close();
+});
+
+describe('GET /go/:store/:appId', () => {
+    it('przekierowuje do strony gry w sklepie', async () => {
+        const res = await guest.get('/go/steam/440');
+
+        assert.strictEqual(res.status, 302);
+        assert.strictEqual(res.headers.get('location'), 'https://store.steampowered.com/app/440/');
+    });
+
+    it('dodaje tag afiliacyjny z konfiguracji', async () => {
+        const res = await shopper.get('/go/kinguin/440?name=Team%20Fortress%202');
+
+        const location = new URL(res.headers.get('location'));
+        assert.strictEqual(location.hostname, 'www.kinguin.net');
+        assert.strictEqual(location.searchParams.get('phrase'), 'Team Fortress 2');
+        assert.strictEqual(location.searchParams.get('r'), 'test-ref');
+    });
+
+    it('używa strony gry z gg.deals tylko w domenie gg.deals', async () => {
+        const own = await guest.get(`/go/ggdeals/440?url=${encodeURIComponent('https://gg.deals/game/team-fortress-2/')}`);
+        assert.strictEqual(own.headers.get('location'), 'https://gg.deals/game/team-fortress-2/');
+
+        const foreign = await guest.get(`/go/ggdeals/440?url=${encodeURIComponent('https://evil.example.com/')}`);
+        assert.strictEqual(foreign.headers.get('location'), 'https://gg.deals/game/?steam_app_id=440');
+    });
+
+    it('odrzuca wyłączony sklep i nieprawidłowe appId', async () => {
+        assert.strictEqual((await guest.get('/go/g2a/440')).status, 404);
+        assert.strictEqual((await guest.get('/go/unknown/440')).status, 404);
+        assert.strictEqual((await guest.get('/go/steam/abc')).status, 400);
+
+        process.env.STORE_KEYSHOPS = 'kinguin,g2a';
+        try {
+            assert.strictEqual((await guest.get('/go/g2a/440')).status, 302);
+        } finally {
+            delete process.env.STORE_KEYSHOPS;
+        }
+    });
+});
+
+describe('/api/stores', () => {
+    it('zwraca włączone sklepy', async () => {
+        const res = await guest.get('/api/stores');
+
+        assert.deepStrictEqual(res.body.stores.map(store => [store.store, store.affiliate]), [
+            ['steam', false], ['ggdeals', false], ['kinguin', true]
+        ]);
+    });
+
+    it('raport kliknięć jest tylko dla administratorów', async () => {
+        assert.strictEqual((await guest.get('/api/stores/clicks')).status, 401);
+        assert.strictEqual((await shopper.get('/api/stores/clicks')).status, 403);
+
+        const { userQueries } = require('../database/init');
+        process.env.ADMIN_USER_IDS = `999, ${userQueries.findByUsername.get('shopper').id}`;
+        assert.strictEqual((await shopper.get('/api/stores/clicks?from=2026-02-01&to=2026-01-01')).status, 400);
+    });
+
+    it('zlicza przejścia per sklep bez powtórzeń', async () => {
+        // Ponowne kliknięcia tej samej gry w tym samym sklepie nie są liczone
+        await guest.get('/go/steam/440');
+        await testApp.agent().get('/go/steam/440');
+        await shopper.get('/go/steam/440');
+
+        const res = await shopper.get('/api/stores/clicks');
+
+        assert.strictEqual(res.status, 200);
+        // steam (gość i shopper), kinguin, ggdeals, g2a (przy włączonym STORE_KEYSHOPS)
+        assert.strictEqual(res.body.total, 5);
+        assert.deepStrictEqual(res.body.stores.map(row => [row.store, row.clicks, row.affiliateClicks]), [
+            ['steam', 2, 0], ['g2a', 1, 0], ['ggdeals', 1, 0], ['kinguin', 1, 1]
+        ]);
+        assert.strictEqual(res.body.stores[0].share, 40);
+        assert.deepStrictEqual(res.body.topGames, [{ appId: 440, clicks: 5 }]);
+        assert.strictEqual(res.body.stores.find(row => row.store === 'kinguin').users, 1);
+    });
+});
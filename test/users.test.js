@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, registerUser, loginSteamUser } = require('./helpers/testApp');
+
+const OWNER_STEAM_ID = '76561198000000001';
+
+let testApp;
+let owner;
+let friend;
+let stranger;
+let guest;
+
+before(async () => {
+    testApp = await startTestApp();
+
+    owner = await loginSteamUser(testApp, { username: 'owner', email: 'owner@example.com', steamId: OWNER_STEAM_ID });
+    friend = await registerUser(testApp, { username: 'friend', email: 'friend@example.com' });
+    stranger = await registerUser(testApp, { username: 'stranger', email: 'stranger@example.com' });
+    guest = testApp.agent();
+
+    await owner.post('/api/friends/requests', { username: 'friend' });
+    await friend.post('/api/friends/requests', { username: 'owner' });
+
+    await owner.put('/api/library/620', { status: 'completed' });
+    await owner.put('/api/library/440', { status: 'backlog' });
+    await owner.put('/api/library/10', { status: 'backlog' });
+    await owner.post('/api/reviews/620', { rating: 10, body: 'Świetna' });
+    await owner.post('/api/reviews/440', { rating: 7 });
+
+    const { achievementSyncQueries, userQueries } = require('../database/init');
+    const userId = userQueries.findByUsername.get('owner').id;
+    for (const [appId, unlocked] of [[620, 2], [440, 1]]) {
+        achievementSyncQueries.saveResult.run({
+            userId, appId, steamId: OWNER_STEAM_ID, gameName: null, hasAchievements: 1, total: 2, unlocked
+        });
+    }
+});
+
+after(async () => {
+    await testApp.close();
+});
+
+describe('GET /api/users/:username', () => {
+    it('zwraca publiczny profil ze statystykami (domyślnie wszystko publiczne)', async () => {
+        const res = await guest.get('/api/users/owner');
+
+        assert.strictEqual(res.status, 200);
+        const { profile } = res.body;
+        assert.strictEqual(profile.username, 'owner');
+        assert.strictEqual(profile.relationship, 'none');
+        assert.deepStrictEqual(profile.hidden, []);
+        assert.strictEqual(profile.privacy, undefined);
+        assert.deepStrictEqual(profile.steam, {
+            steamId: OWNER_STEAM_ID,
+            personaName: 'owner_steam',
+            profileUrl: `https://steamcommunity.com/profiles/${OWNER_STEAM_ID}`
+        });
+        assert.deepStrictEqual(profile.library, { total: 3, byStatus: { backlog: 2, completed: 1 } });
+        assert.strictEqual(profile.reviews.count, 2);
+        assert.strictEqual(profile.reviews.averageRating, 8.5);
+        assert.deepStrictEqual(profile.reviews.recent.map(r => r.appId), [440, 620]);
+        assert.strictEqual(profile.achievements.perfectGames, 1);
+        assert.strictEqual(profile.achievements.unlockedAchievements, 3);
+        assert.strictEqual(profile.achievements.overallCompletion, 75);
+    });
+
+    it('zwraca 404 dla nieznanego użytkownika', async () => {
+        const res = await guest.get('/api/users/ghost');
+        assert.strictEqual(res.status, 404);
+    });
+
+    it('ukrywa sekcje po stronie serwera według relacji', async () => {
+        const saved = await owner.put('/api/users/me/privacy', { library: 'friends', reviews: 'private' });
+        assert.strictEqual(saved.status, 200);
+        assert.deepStrictEqual(saved.body.privacy, { steam: 'public', library: 'friends', reviews: 'private', achievements: 'public' });
+
+        const asStranger = (await stranger.get('/api/users/owner')).body.profile;
+        assert.deepStrictEqual(asStranger.hidden, ['library', 'reviews']);
+        assert.strictEqual(asStranger.library, null);
+        assert.strictEqual(asStranger.reviews, null);
+
+        const asFriend = (await friend.get('/api/users/owner')).body.profile;
+        assert.strictEqual(asFriend.relationship, 'friend');
+        assert.deepStrictEqual(asFriend.hidden, ['reviews']);
+        assert.strictEqual(asFriend.library.total, 3);
+
+        const asOwner = (await owner.get('/api/users/owner')).body.profile;
+        assert.strictEqual(asOwner.relationship, 'self');
+        assert.deepStrictEqual(asOwner.hidden, []);
+        assert.strictEqual(asOwner.reviews.count, 2);
+        assert.strictEqual(asOwner.privacy.reviews, 'private');
+    });
+
+    it('ukrywa profil przed zablokowanym użytkownikiem', async () => {
+        const { userQueries } = require('../database/init');
+        await owner.post(`/api/friends/blocks/${userQueries.findByUsername.get('stranger').id}`);
+
+        assert.strictEqual((await stranger.get('/api/users/owner')).status, 404);
+        assert.strictEqual((await owner.get('/api/users/stranger')).status, 404);
+    });
+});
+
+describe('/api/users/me/privacy', () => {
+    it('wymaga zalogowania', async () => {
+        assert.strictEqual((await guest.get('/api/users/me/privacy')).status, 401);
+        assert.strictEqual((await guest.put('/api/users/me/privacy', { steam: 'private' })).status, 401);
+    });
+
+    it('odrzuca nieznaną sekcję lub poziom', async () => {
+        assert.strictEqual((await owner.put('/api/users/me/privacy', { email: 'public' })).status, 400);
+        assert.strictEqual((await owner.put('/api/users/me/privacy', { steam: 'everyone' })).status, 400);
+    });
+
+    it('zwraca zapisane ustawienia', async () => {
+        const res = await owner.get('/api/users/me/privacy');
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.privacy, { steam: 'public', library: 'friends', reviews: 'private', achievements: 'public' });
+    });
+});
+
+describe('/api/users/me/region', () => {
+    it('zapisuje region z Accept-Language przy rejestracji', async () => {
+        const british = testApp.agent({ 'Accept-Language': 'en-GB,en;q=0.9' });
+        await british.post('/api/auth/register', { username: 'british', email: 'british@example.com', password: 'password123' });
+
+        const res = await british.get('/api/users/me/region');
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual({ region: res.body.region, currency: res.body.currency, source: res.body.source }, {
+            region: 'gb', currency: 'GBP', source: 'user'
+        });
+        assert.strictEqual(res.body.regions.pl, 'PLN');
+    });
+
+    it('zmienia region i przywraca automatyczny', async () => {
+        const saved = await owner.put('/api/users/me/region', { region: 'us' });
+        assert.strictEqual(saved.status, 200);
+        assert.strictEqual(saved.body.region, 'us');
+        assert.strictEqual(saved.body.source, 'user');
+
+        // Bez zapisanego regionu i bez Accept-Language - region domyślny
+        const reset = await owner.put('/api/users/me/region', { region: null });
+        assert.deepStrictEqual({ region: reset.body.region, source: reset.body.source }, { region: 'pl', source: 'default' });
+    });
+
+    it('odrzuca nieznany region i wymaga zalogowania', async () => {
+        assert.strictEqual((await owner.put('/api/users/me/region', { region: 'xx' })).status, 400);
+        assert.strictEqual((await guest.get('/api/users/me/region')).status, 401);
+    });
+});
+
+describe('regionFromAcceptLanguage', () => {
+    it('wybiera kraj z nagłówka, potem język, wg wag q', () => {
+        const { regionFromAcceptLanguage } = require('../services/priceRegion');
+
+        assert.strictEqual(regionFromAcceptLanguage('en-GB,en;q=0.9'), 'gb');
+        assert.strictEqual(regionFromAcceptLanguage('de-AT,de;q=0.8'), 'de');
+        assert.strictEqual(regionFromAcceptLanguage('en'), 'us');
+        assert.strictEqual(regionFromAcceptLanguage('pl;q=0.5,sv-SE;q=0.9'), 'se');
+        assert.strictEqual(regionFromAcceptLanguage('cs-CZ,fr;q=0.7'), 'fr');
+    });
+
+    it('zwraca null bez dopasowania', () => {
+        const { regionFromAcceptLanguage } = require('../services/priceRegion');
+
+        assert.strictEqual(regionFromAcceptLanguage(undefined), null);
+        assert.strictEqual(regionFromAcceptLanguage('*'), null);
+        assert.strictEqual(regionFromAcceptLanguage('cs-CZ'), null);
+    });
+});
+
+describe('GET /api/reviews/:appId - prywatność autorów', () => {
+    it('pokazuje recenzje tylko oglądającym z dostępem do sekcji recenzji autora', async () => {
+        await friend.post('/api/reviews/620', { rating: 6 });
+        await owner.put('/api/users/me/privacy', { reviews: 'friends' });
+
+        const authors = async (agent) => (await agent.get('/api/reviews/620')).body.reviews.map(r => r.author.username).sort();
+
+        assert.deepStrictEqual(await authors(guest), ['friend']);
+        assert.deepStrictEqual(await authors(stranger), ['friend']);
+        assert.deepStrictEqual(await authors(friend), ['friend', 'owner']);
+        assert.deepStrictEqual(await authors(owner), ['friend', 'owner']);
+
+        // Paginacja i średnia liczą tylko widoczne recenzje
+        const res = await guest.get('/api/reviews/620');
+        assert.strictEqual(res.body.pagination.total, 1);
+        assert.strictEqual(res.body.reviewCount, 1);
+        assert.strictEqual(res.body.averageRating, 6);
+
+        const asFriend = await friend.get('/api/reviews/620');
+        assert.strictEqual(asFriend.body.reviewCount, 2);
+        assert.strictEqual(asFriend.body.averageRating, 8);
+
+        const averages = async (agent) => (await agent.get('/api/reviews/averages?appIds=620')).body.averages[620];
+        assert.deepStrictEqual(await averages(guest), { averageRating: 6, reviewCount: 1 });
+        assert.deepStrictEqual(await averages(friend), { averageRating: 8, reviewCount: 2 });
+    });
+});
@@ -0,0 +1,203 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, registerUser } = require('./helpers/testApp');
+
+const GGDEALS_PRICES = '/v1/prices/by-steam-app-id/';
+
+let testApp;
+let buyer;
+let other;
+let guest;
+// Aktualne ceny w fałszywym gg.deals: appId -> { keyshops, retail, low }
+let prices = {};
+
+// Zapis cen przez harmonogram przy podanych cenach
+async function recordAt(nextPrices) {
+    const { createPriceScheduler } = require('../services/priceHistory');
+    prices = { ...prices, ...nextPrices };
+    return createPriceScheduler().runOnce();
+}
+
+async function notificationsOf(agent) {
+    return (await agent.get('/api/notifications')).body.notifications;
+}
+
+before(async () => {
+    testApp = await startTestApp();
+
+    testApp.upstream.on(GGDEALS_PRICES, ({ ids }) => ({
+        success: true,
+        data: Object.fromEntries(ids.split(',').map(id => [id, prices[id] ? {
+            title: `Game ${id}`,
+            url: `https://gg.deals/game/${id}/`,
+            prices: {
+                currentRetail: String(prices[id].retail),
+                currentKeyshops: prices[id].keyshops != null ? String(prices[id].keyshops) : null,
+                historicalRetail: String(prices[id].low),
+                historicalKeyshops: null,
+                currency: 'PLN'
+            }
+        } : null]))
+    }));
+
+    buyer = await registerUser(testApp, { username: 'buyer', email: 'buyer@example.com' });
+    other = await registerUser(testApp, { username: 'other', email: 'other@example.com' });
+    guest = testApp.agent();
+});
+
+after(async () => {
+    await testApp.close();
+});
+
+describe('/api/wishlist', () => {
+    it('wymaga zalogowania', async () => {
+        assert.strictEqual((await guest.get('/api/wishlist')).status, 401);
+        assert.strictEqual((await guest.put('/api/wishlist/440', {})).status, 401);
+    });
+
+    it('dodaje grę i zmienia próg cenowy', async () => {
+        const created = await buyer.put('/api/wishlist/440', { targetPrice: 50 });
+        assert.strictEqual(created.status, 201);
+        assert.deepStrictEqual(
+            { appId: created.body.item.appId, targetPrice: created.body.item.targetPrice, price: created.body.item.price },
+            { appId: 440, targetPrice: 50, price: null }
+        );
+
+        const updated = await buyer.put('/api/wishlist/440', { targetPrice: 45 });
+        assert.strictEqual(updated.status, 200);
+        assert.strictEqual(updated.body.item.targetPrice, 45);
+
+        // Pola nieprzekazane pozostają bez zmian
+        const unchanged = await buyer.put('/api/wishlist/440', {});
+        assert.strictEqual(unchanged.body.item.targetPrice, 45);
+    });
+
+    it('odrzuca nieprawidłowe appId i próg', async () => {
+        assert.strictEqual((await buyer.put('/api/wishlist/abc', {})).status, 400);
+        assert.strictEqual((await buyer.put('/api/wishlist/440', { targetPrice: -5 })).status, 400);
+        assert.strictEqual((await buyer.put('/api/wishlist/440', { targetPrice: '10' })).status, 400);
+    });
+
+    it('usuwa grę z listy', async () => {
+        await buyer.put('/api/wishlist/10', {});
+        assert.strictEqual((await buyer.delete('/api/wishlist/10')).status, 200);
+        assert.strictEqual((await buyer.delete('/api/wishlist/10')).status, 404);
+    });
+});
+
+describe('Historia cen i powiadomienia', () => {
+    it('harmonogram zapisuje ceny gier z list życzeń', async () => {
+        await other.put('/api/wishlist/620', {});
+
+        const saved = await recordAt({ 440: { keyshops: 60, retail: 100, low: 40 }, 620: { retail: 80, low: 30 } });
+        assert.strictEqual(saved, 2);
+
+        const ids = testApp.upstream.calls.filter(call => call.path === GGDEALS_PRICES).at(-1).query.ids;
+        assert.deepStrictEqual(ids.split(','), ['440', '620']);
+
+        const [item] = (await buyer.get('/api/wishlist')).body.items;
+        assert.strictEqual(item.gameName, 'Game 440');
+        assert.deepStrictEqual({ ...item.price, recordedAt: undefined }, {
+            current: 60, retail: 100, keyshops: 60, historicalLow: 40, currency: 'PLN', recordedAt: undefined
+        });
+
+        // Cena powyżej progu i pierwsza obserwacja - bez powiadomień
+        assert.deepStrictEqual(await notificationsOf(buyer), []);
+    });
+
+    it('powiadamia o spadku ceny do progu - raz na spadek', async () => {
+        await recordAt({ 440: { keyshops: 45, retail: 100, low: 40 } });
+        await recordAt({ 440: { keyshops: 45, retail: 100, low: 40 } });
+
+        let notifications = await notificationsOf(buyer);
+        assert.strictEqual(notifications.length, 1);
+        assert.strictEqual(notifications[0].type, 'price_target');
+        assert.strictEqual(notifications[0].gameName, 'Game 440');
+        assert.deepStrictEqual(notifications[0].data, { price: 45, targetPrice: 45, currency: 'PLN' });
+
+        // Powrót powyżej progu i ponowny spadek - nowe powiadomienie
+        await recordAt({ 440: { keyshops: 70, retail: 100, low: 40 } });
+        await recordAt({ 440: { keyshops: 44, retail: 100, low: 40 } });
+
+        notifications = await notificationsOf(buyer);
+        assert.strictEqual(notifications.length, 2);
+        assert.strictEqual(notifications[0].data.price, 44);
+
+        // Ponowny wzrost i spadek do tej samej ceny - kolejne powiadomienie
+        await recordAt({ 440: { keyshops: 70, retail: 100, low: 40 } });
+        await recordAt({ 440: { keyshops: 44, retail: 100, low: 40 } });
+
+        notifications = await notificationsOf(buyer);
+        assert.strictEqual(notifications.length, 3);
+        assert.deepStrictEqual(notifications.slice(0, 2).map(notification => notification.data.price), [44, 44]);
+
+        // Użytkownicy bez tej gry na liście nie dostają powiadomień
+        assert.deepStrictEqual(await notificationsOf(other), []);
+    });
+
+    it('powiadamia o nowej najniższej cenie w historii', async () => {
+        await recordAt({ 620: { retail: 25, low: 25 } });
+
+        const [notification] = await notificationsOf(other);
+        assert.strictEqual(notification.type, 'historical_low');
+        assert.strictEqual(notification.appId, 620);
+        assert.deepStrictEqual(notification.data, { price: 25, previousLow: 30, currentPrice: 25, currency: 'PLN' });
+    });
+
+    it('zwraca historię cen gry', async () => {
+        const res = await guest.get('/api/steam/prices/440/history');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.currency, 'PLN');
+        assert.deepStrictEqual(res.body.points.map(point => point.price), [60, 45, 45, 70, 44, 70, 44, 44]);
+        assert.strictEqual(res.body.lowest.price, 44);
+
+        const empty = await guest.get('/api/steam/prices/440/history?from=2020-01-01&to=2020-01-31');
+        assert.deepStrictEqual(empty.body.points, []);
+        assert.strictEqual(empty.body.lowest, null);
+    });
+
+    it('zapisuje ceny w regionie właściciela listy', async () => {
+        await other.put('/api/users/me/region', { region: 'us' });
+        await recordAt({});
+
+        const calls = testApp.upstream.calls.filter(call => call.path === GGDEALS_PRICES).slice(-2);
+        assert.deepStrictEqual(calls.map(call => [call.query.region, call.query.ids]), [['pl', '440'], ['us', '620']]);
+
+        const res = await guest.get('/api/steam/prices/620/history?region=us');
+        assert.strictEqual(res.body.region, 'us');
+        assert.strictEqual(res.body.points.length, 1);
+
+        // Pierwsza obserwacja w nowym regionie - bez powiadomienia o najniższej cenie
+        assert.strictEqual((await notificationsOf(other)).length, 1);
+        assert.strictEqual((await guest.get('/api/steam/prices/620/history?region=xx')).status, 400);
+    });
+
+    it('odrzuca nieprawidłowy zakres historii cen', async () => {
+        assert.strictEqual((await guest.get('/api/steam/prices/440/history?from=2026-02-01&to=2026-01-01')).status, 400);
+        assert.strictEqual((await guest.get('/api/steam/prices/abc/history')).status, 400);
+    });
+});
+
+describe('/api/notifications', () => {
+    it('wymaga zalogowania', async () => {
+        assert.strictEqual((await guest.get('/api/notifications')).status, 401);
+    });
+
+    it('oznacza powiadomienia jako przeczytane', async () => {
+        const [latest] = await notificationsOf(buyer);
+
+        assert.strictEqual((await other.post(`/api/notifications/${latest.id}/read`)).status, 404);
+        assert.strictEqual((await buyer.post(`/api/notifications/${latest.id}/read`)).status, 200);
+
+        let res = await buyer.get('/api/notifications?unread=1');
+        assert.strictEqual(res.body.unreadCount, 2);
+        assert.strictEqual(res.body.notifications.length, 2);
+        assert.ok(res.body.notifications.every(notification => notification.id !== latest.id));
+
+        await buyer.post('/api/notifications/read');
+        res = await buyer.get('/api/notifications');
+        assert.strictEqual(res.body.unreadCount, 0);
+        assert.ok(res.body.notifications.every(notification => notification.read));
+    });
+});